@@ -0,0 +1,122 @@
+import { expect } from 'chai';
+import addContext from 'mochawesome/addContext.js';
+import { testConfig } from './support/config.js';
+import { loadTestData } from './support/data-loader.js';
+import { selectTestData } from './support/selection.js';
+import { reportSummary } from './support/summary.js';
+import { registerViaApi, loginViaApi, responseMessage } from './support/api-client.js';
+import { Outcome, loadSystemErrorRules, matchSystemError, recordOutcome, outcomeList } from './support/outcomes.js';
+import { compareServerResponse } from './support/network.js';
+import { registerFields, loginFields } from './support/fields.js';
+import { cleanupAccounts } from './support/cleanup.js';
+import { dependencyBlocker } from './support/dependencies.js';
+
+// Bản API của 2 suite UI: cùng data row, gọi thẳng /users/register và /users/login, không cần browser
+const usersData = await loadTestData('register');
+const loginData = await loadTestData('login');
+const selected = selectTestData(usersData, loginData, { report: './reports/api-report.json' });
+const systemErrorRules = loadSystemErrorRules();
+
+console.log(`🔌 API suite against ${testConfig.apiUrl || testConfig.baseUrl}`);
+
+// Kết quả suite đăng ký, giữ ở ngoài cho row dependsOn và để dọn account sau khi Login suite chạy xong
+const registrationResults = { successful: [], failed: [] };
+const registrationOutcomes = new Map();
+
+after(async function () {
+    this.timeout(testConfig.timeouts.setup);
+    const created = new Set(registrationResults.successful);
+    await cleanupAccounts(usersData.filter(user => created.has(user.testCaseID)).map(user => user.email));
+});
+
+// Chạy 1 data row qua API: gắn request/response vào report, so expectedResult và expectedResponse
+// Trả về systemError nếu response khớp rule lỗi hệ thống (test được đánh dấu Blocked / Skipped)
+async function runApiCase(context, record, call, fields, results) {
+    const { actualResult, exchange } = await call(record);
+    addContext(context, { title: `API: ${exchange.method} ${new URL(exchange.url).pathname}`, value: exchange });
+    addContext(context, { title: 'Actual result', value: actualResult });
+
+    const systemError = matchSystemError({ errorMessage: responseMessage(exchange), currentUrl: '', responses: [exchange] }, systemErrorRules);
+    if (systemError) {
+        console.log(`🚧 ${record.testCaseID}: ${systemError.outcome} by "${systemError.rule}" - ${systemError.evidence}`);
+        return systemError;
+    }
+
+    results[actualResult === 'Success' ? 'successful' : 'failed'].push(record.testCaseID);
+    console.log(`${actualResult === record.expectedResult ? '✅' : '⚠'} ${record.testCaseID}: HTTP ${exchange.status ?? exchange.error} -> ${actualResult}`);
+    expect(actualResult, `${record.testCaseID} expected ${record.expectedResult}`).to.equal(record.expectedResult);
+
+    if (record.expectedResponse) {
+        expect(compareServerResponse(record.expectedResponse, exchange, fields), `${record.testCaseID} server response`).to.deep.equal([]);
+    }
+    return null;
+}
+
+// Blocked / Skipped hiện là pending trong mochawesome, giống suite UI
+function skipAsSystemError(context, systemError) {
+    context.test.outcome = { outcome: systemError.outcome, reason: `${systemError.rule} (${systemError.evidence})` };
+    addContext(context, { title: 'Outcome', value: { ...context.test.outcome, rule: systemError.rule } });
+    context.skip();
+}
+
+// Row dependsOn mà account chưa được tạo -> Blocked như suite UI
+function skipIfDependencyFailed(context, record) {
+    const reason = dependencyBlocker(record, { ...registrationResults, outcomes: outcomeList(registrationOutcomes) });
+    if (!reason) return;
+    console.log(`🚧 ${record.testCaseID}: Blocked - ${reason}`);
+    context.test.outcome = { outcome: Outcome.Blocked, reason };
+    addContext(context, { title: 'Outcome', value: { ...context.test.outcome, dependsOn: record.dependsOn } });
+    context.skip();
+}
+
+describe('🔌 API Registration Test Suite', function () {
+    this.timeout(testConfig.timeouts.suite);
+
+    const testUsers = selected.register;
+    const results = registrationResults;
+    const outcomes = registrationOutcomes;
+
+    afterEach(function () {
+        recordOutcome(outcomes, this.currentTest);
+    });
+
+    after(function () {
+        reportSummary('api-registration', 'API Registration', { ...results, total: testUsers.length, outcomes: outcomeList(outcomes) });
+    });
+
+    testUsers.forEach(user => {
+        it(`🔌 API Register ${user.testCaseID}: ${user.firstName} ${user.lastName}`, async function () {
+            this.timeout(testConfig.timeouts.testCase);
+            this.test.testCaseID = user.testCaseID;
+            skipIfDependencyFailed(this, user);
+            const systemError = await runApiCase(this, user, registerViaApi, registerFields, results);
+            if (systemError) skipAsSystemError(this, systemError);
+        });
+    });
+});
+
+describe('🔌 API Login Test Suite', function () {
+    this.timeout(testConfig.timeouts.suite);
+
+    const testLogins = selected.login;
+    const results = { successful: [], failed: [] };
+    const outcomes = new Map();
+
+    afterEach(function () {
+        recordOutcome(outcomes, this.currentTest);
+    });
+
+    after(function () {
+        reportSummary('api-login', 'API Login', { ...results, total: testLogins.length, outcomes: outcomeList(outcomes) });
+    });
+
+    testLogins.forEach(loginCase => {
+        it(`🔌 API Login ${loginCase.testCaseID}: ${loginCase.email}`, async function () {
+            this.timeout(testConfig.timeouts.testCase);
+            this.test.testCaseID = loginCase.testCaseID;
+            skipIfDependencyFailed(this, loginCase);
+            const systemError = await runApiCase(this, loginCase, loginViaApi, loginFields, results);
+            if (systemError) skipAsSystemError(this, systemError);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+import fs from 'fs';
+import path from 'path';
+import { readMochawesomeTests } from './support/report-utils.js';
+
+// So kết quả UI và API của cùng testCaseID, tìm chỗ validation chỉ có ở phía client (hoặc ngược lại)
+// node tests/consistency_report.js [--ui reports/test-report.json] [--api reports/api-report.json]
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : fallback;
+};
+
+const uiReport = option('ui', './reports/test-report.json');
+const apiReport = option('api', './reports/api-report.json');
+// Thư mục riêng: reports/*.json chỉ dành cho report mochawesome (npm run merge-reports)
+const outputBase = './reports/consistency/consistency';
+
+const findings = {
+    'api-accepts-ui-rejects': 'API accepts input the UI rejects (client-side-only validation)',
+    'ui-accepts-api-rejects': 'UI accepts input the API rejects'
+};
+
+// testCaseID -> { actual, state } của các test đã chạy xong (bỏ Blocked / Skipped)
+function readResults(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`${file} not found - run the suite with the mochawesome reporter first`);
+    }
+    const results = new Map();
+    for (const test of readMochawesomeTests(file)) {
+        const actual = test.context['Actual result'];
+        if (!actual || !['passed', 'failed'].includes(test.state)) continue;
+        results.set(test.testCaseID, { actual, state: test.state });
+    }
+    return results;
+}
+
+function compare(ui, api) {
+    const rows = [];
+    const notCompared = [];
+    for (const testCaseID of new Set([...ui.keys(), ...api.keys()])) {
+        const uiResult = ui.get(testCaseID);
+        const apiResult = api.get(testCaseID);
+        if (!uiResult || !apiResult) {
+            notCompared.push({ testCaseID, missing: !uiResult ? 'ui' : 'api' });
+            continue;
+        }
+        let finding = null;
+        if (apiResult.actual === 'Success' && uiResult.actual !== 'Success') finding = 'api-accepts-ui-rejects';
+        if (uiResult.actual === 'Success' && apiResult.actual !== 'Success') finding = 'ui-accepts-api-rejects';
+        rows.push({ testCaseID, ui: uiResult.actual, api: apiResult.actual, finding });
+    }
+    return { rows, notCompared };
+}
+
+function writeReport({ rows, notCompared }) {
+    const inconsistent = rows.filter(row => row.finding);
+    fs.mkdirSync(path.dirname(outputBase), { recursive: true });
+    fs.writeFileSync(`${outputBase}.json`, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        uiReport,
+        apiReport,
+        compared: rows.length,
+        inconsistent,
+        notCompared
+    }, null, 2));
+
+    const lines = [
+        '# UI vs API consistency report',
+        '',
+        `UI: ${uiReport} - API: ${apiReport} - compared ${rows.length} test case(s)`,
+        ''
+    ];
+    if (inconsistent.length === 0) {
+        lines.push('UI and API agree on every compared test case.');
+    } else {
+        lines.push('| Test case | UI | API | Finding |', '| --- | --- | --- | --- |');
+        inconsistent.forEach(row => lines.push(`| ${row.testCaseID} | ${row.ui} | ${row.api} | ${findings[row.finding]} |`));
+    }
+    if (notCompared.length > 0) {
+        lines.push('', `Not compared (missing, blocked or skipped on one side): ${notCompared.map(row => row.testCaseID).join(', ')}`);
+    }
+    fs.writeFileSync(`${outputBase}.md`, `${lines.join('\n')}\n`);
+    return inconsistent;
+}
+
+try {
+    const result = compare(readResults(uiReport), readResults(apiReport));
+    const inconsistent = writeReport(result);
+
+    console.log(`\n🔍 UI vs API: compared ${result.rows.length} test case(s), ${inconsistent.length} inconsistent`);
+    for (const row of inconsistent) {
+        console.log(`  - ${row.testCaseID}: UI ${row.ui}, API ${row.api} -> ${findings[row.finding]}`);
+    }
+    if (result.notCompared.length > 0) {
+        console.log(`ℹ️ ${result.notCompared.length} test case(s) not compared (missing, blocked or skipped on one side)`);
+    }
+    console.log(`📄 ${outputBase}.md, ${outputBase}.json`);
+    process.exit(inconsistent.length > 0 ? 1 : 0);
+} catch (error) {
+    console.error(`⚠ ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,48 @@
+import fs from 'fs';
+import path from 'path';
+import { readExecutionResults, toJUnitXml, executionSheet, writeExecutionReport, updateSourceSheet } from './support/result-export.js';
+
+// Xuất kết quả của report mochawesome: JUnit XML cho CI, execution report XLSX / CSV theo data row,
+// và (--update-source) ghi Actual Result / Status... ngược vào spreadsheet nguồn (REGISTER_DATA / LOGIN_DATA)
+// node tests/export_results.js [--report reports/test-report.json] [--output reports/results] [--update-source]
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : fallback;
+};
+
+const report = option('report', './reports/test-report.json');
+const output = option('output', './reports/results');
+const updateSource = args.includes('--update-source');
+const kinds = ['register', 'login'];
+
+try {
+    const results = readExecutionResults(report);
+    fs.mkdirSync(output, { recursive: true });
+
+    const junit = path.join(output, 'junit.xml');
+    fs.writeFileSync(junit, toJUnitXml(results));
+
+    const sheets = [];
+    for (const kind of kinds) sheets.push(await executionSheet(kind, results));
+    const { files, counts } = await writeExecutionReport(sheets, path.join(output, 'execution-report'));
+
+    console.log(`\n📤 Exported ${results.tests.length} test(s) from ${report}, data rows: ` +
+        `${Object.entries(counts).map(([status, count]) => `${status} ${count}`).join(', ')}`);
+    console.log(`📄 ${[junit, ...files].join(', ')}`);
+
+    if (updateSource) {
+        for (const kind of kinds) {
+            const result = await updateSourceSheet(kind, results);
+            if (result.skipped) {
+                console.log(`ℹ️ ${result.file} not updated: ${result.skipped}`);
+            } else {
+                console.log(`✍️ ${result.file}: ${result.updated} row(s) updated` +
+                    `${result.added.length > 0 ? `, added column(s) ${result.added.map(header => `"${header}"`).join(', ')}` : ''}`);
+            }
+        }
+    }
+} catch (error) {
+    console.error(`⚠ ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,16 @@
+import { testConfig } from './support/config.js';
+import { loadFlakyHistory, reportFlaky } from './support/flakiness.js';
+
+// Xếp hạng test case flaky từ lịch sử các lần chạy (reports/history/flaky-history.json)
+// node tests/flaky_report.js [--limit 20] [--flaky-history=file]
+const args = process.argv.slice(2);
+const limitIndex = args.indexOf('--limit');
+const limit = limitIndex >= 0 ? parseInt(args[limitIndex + 1]) : 10;
+
+const history = loadFlakyHistory();
+if (history.runs === 0) {
+    console.log(`ℹ️ No flaky history at ${testConfig.flaky.historyFile} yet - run the suite first`);
+    process.exit(0);
+}
+reportFlaky(history, { limit });
+console.log('📄 reports/flaky-report.md');
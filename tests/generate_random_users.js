@@ -0,0 +1,208 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    fakerVI,
+    fakerEN_US,
+    fakerEN_GB,
+    fakerEN_AU,
+    fakerEN_CA,
+    fakerDE,
+    fakerFR,
+    fakerNL,
+    fakerIT,
+    fakerES,
+    fakerPT_BR
+} from '@faker-js/faker';
+
+// Faker locale tương ứng từng mã quốc gia: địa chỉ, postcode, số điện thoại đúng định dạng nước đó
+const localesByCountry = {
+    VN: fakerVI,
+    US: fakerEN_US,
+    GB: fakerEN_GB,
+    AU: fakerEN_AU,
+    CA: fakerEN_CA,
+    DE: fakerDE,
+    FR: fakerFR,
+    NL: fakerNL,
+    IT: fakerIT,
+    ES: fakerES,
+    BR: fakerPT_BR
+};
+
+// Giới hạn độ dài giống rule của form Sign Up (xem tests/mock-server/rules.json)
+const limits = {
+    firstName: 40,
+    lastName: 20,
+    street: 70,
+    postalCode: 10,
+    city: 40,
+    state: 40,
+    phone: 24,
+    email: 60
+};
+
+function parseArgs(argv) {
+    const options = {
+        count: 500,
+        seed: 12345,
+        countries: Object.keys(localesByCountry),
+        refDate: '2025-07-01',
+        out: null,
+        loginOut: null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split('=');
+        const value = () => inlineValue ?? argv[++i];
+        switch (flag) {
+            case '--count': options.count = parseInt(value()); break;
+            case '--seed': options.seed = parseInt(value()); break;
+            case '--countries': options.countries = value().split(',').map(c => c.trim().toUpperCase()); break;
+            case '--ref-date': options.refDate = value(); break;
+            case '--out': options.out = value(); break;
+            case '--login-out': options.loginOut = value(); break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    const unsupported = options.countries.filter(c => !localesByCountry[c]);
+    if (unsupported.length > 0) {
+        throw new Error(`Unsupported countries: ${unsupported.join(', ')} (supported: ${Object.keys(localesByCountry).join(', ')})`);
+    }
+    if (!Number.isInteger(options.count) || options.count < 1) {
+        throw new Error('--count must be a positive integer');
+    }
+
+    options.out = options.out || `./data/users_random_${options.count}.json`;
+    options.loginOut = options.loginOut || `./data/logins_random_${options.count}.json`;
+    return options;
+}
+
+// Bỏ dấu tiếng Việt / Latin mở rộng và ký tự lạ để tên qua được rule chỉ chữ cái A-Z
+function toAsciiName(name, maxLength) {
+    return name
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/đ/g, 'd')
+        .replace(/Đ/g, 'D')
+        .replace(/[^A-Za-z ]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, maxLength)
+        .trim();
+}
+
+// Giữ giá trị nằm trong giới hạn độ dài, thử tạo lại vài lần trước khi cắt bớt
+function withinLimit(generate, maxLength, attempts = 5) {
+    let value = generate();
+    for (let i = 1; i < attempts && value.length > maxLength; i++) {
+        value = generate();
+    }
+    return value.slice(0, maxLength).trim();
+}
+
+function pickState(faker) {
+    try {
+        return faker.location.state();
+    } catch (error) {
+        // Một số locale không có state - dùng county hoặc city thay thế
+        try {
+            return faker.location.county();
+        } catch (countyError) {
+            return faker.location.city();
+        }
+    }
+}
+
+// Password thoả rule Toolshop: 10-40 ký tự, có chữ hoa, chữ thường, số và ký tự đặc biệt
+function strongPassword(faker) {
+    const chars = [
+        faker.string.alpha({ length: 1, casing: 'upper' }),
+        faker.string.alpha({ length: 1, casing: 'lower' }),
+        faker.string.numeric(1),
+        faker.helpers.arrayElement(['!', '@', '#', '$', '%', '&', '*']),
+        ...faker.string.alphanumeric(10).split('')
+    ];
+    return faker.helpers.shuffle(chars).join('');
+}
+
+// Domain dành riêng cho ví dụ (example.com / .net / .org, RFC 2606): account được đăng ký thật trên hệ thống
+// đang test, không được để mail của hệ thống đó tới hộp thư có thật
+function uniqueEmail(faker, firstName, lastName, usedEmails) {
+    for (let attempt = 0; attempt < 20; attempt++) {
+        const email = faker.internet.exampleEmail({
+            firstName: firstName.split(' ')[0],
+            lastName: lastName.split(' ')[0],
+            allowSpecialCharacters: false
+        }).toLowerCase();
+        if (email.length <= limits.email && !usedEmails.has(email)) {
+            usedEmails.add(email);
+            return email;
+        }
+    }
+    throw new Error(`Could not generate a unique email for ${firstName} ${lastName}`);
+}
+
+export function generateUsers({ count, seed, countries, refDate }) {
+    const usedEmails = new Set();
+    const users = [];
+    const logins = [];
+    const width = Math.max(4, String(count).length);
+
+    for (let i = 0; i < count; i++) {
+        const country = countries[i % countries.length];
+        const faker = localesByCountry[country];
+        // Seed theo từng record để cùng seed + tham số luôn ra cùng một user
+        faker.seed(seed + i);
+
+        const sex = faker.person.sexType();
+        const firstName = toAsciiName(faker.person.firstName(sex), limits.firstName) || 'Alex';
+        const lastName = toAsciiName(faker.person.lastName(sex), limits.lastName) || 'Smith';
+        const id = String(i + 1).padStart(width, '0');
+
+        const user = {
+            testCaseID: `Sign Up-R${id}`,
+            email: uniqueEmail(faker, firstName, lastName, usedEmails),
+            password: strongPassword(faker),
+            firstName,
+            lastName,
+            dob: faker.date.birthdate({ mode: 'age', min: 20, max: 70, refDate }).toISOString().split('T')[0],
+            street: withinLimit(() => faker.location.streetAddress(), limits.street),
+            postalCode: withinLimit(() => faker.location.zipCode(), limits.postalCode),
+            city: withinLimit(() => faker.location.city(), limits.city),
+            state: withinLimit(() => pickState(faker), limits.state),
+            country,
+            phone: withinLimit(() => faker.phone.number({ style: 'national' }).replace(/\D/g, ''), limits.phone),
+            expectedResult: 'Success'
+        };
+
+        users.push(user);
+        logins.push({
+            testCaseID: `Sign In-R${id}`,
+            email: user.email,
+            password: user.password,
+            expectedResult: 'Success'
+        });
+    }
+
+    return { users, logins };
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        const { users, logins } = generateUsers(options);
+
+        fs.writeFileSync(options.out, JSON.stringify(users, null, 2) + '\n');
+        fs.writeFileSync(options.loginOut, JSON.stringify(logins, null, 2) + '\n');
+
+        console.log(`✅ Generated ${users.length} users (seed ${options.seed}, countries ${options.countries.join(', ')})`);
+        console.log(`📄 Register data: ${options.out}`);
+        console.log(`📄 Login data: ${options.loginOut}`);
+    } catch (error) {
+        console.error(`⚠ ${error.message}`);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,16 @@
+import { testConfig } from './support/config.js';
+import { loadRunHistory } from './support/history.js';
+import { reportHistory } from './support/history-dashboard.js';
+
+// Dựng lại dashboard xu hướng từ lịch sử các lần chạy (reports/history/run-history.json)
+// node tests/history_report.js [--output reports/history.html] [--history-file=file]
+const args = process.argv.slice(2);
+const outputIndex = args.indexOf('--output');
+const output = outputIndex >= 0 ? args[outputIndex + 1] : './reports/history.html';
+
+const history = loadRunHistory();
+if (history.runs.length === 0) {
+    console.log(`ℹ️ No run history at ${testConfig.history.file} yet - run the suite first`);
+    process.exit(0);
+}
+reportHistory(history, { output });
@@ -0,0 +1,35 @@
+import { dataSource, loadDataset } from './support/data-loader.js';
+import { validateDataset, formatValidationReport } from './support/data-validation.js';
+
+// Kiểm tra file dữ liệu test trước khi chạy suite
+// node tests/lint_data.js [--register file] [--login file]
+const args = process.argv.slice(2);
+const option = name => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : undefined;
+};
+
+let failed = false;
+for (const kind of ['register', 'login']) {
+    const file = option(kind) || dataSource(kind).file;
+    let records;
+    let dependencyProblems;
+    try {
+        // dependsOn của login được kiểm tra với file đăng ký đang lint
+        ({ records, problems: dependencyProblems } = await loadDataset(kind, { file, registerFile: option('register') }));
+    } catch (error) {
+        console.log(`❌ ${file}: cannot be loaded - ${error.message}`);
+        failed = true;
+        continue;
+    }
+
+    const problems = [...dependencyProblems, ...validateDataset(records, kind)];
+    if (problems.length > 0) {
+        console.log(formatValidationReport(file, problems));
+        failed = true;
+    } else {
+        console.log(`✅ ${file}: ${records.length} ${kind} test cases OK`);
+    }
+}
+
+process.exit(failed ? 1 : 0);
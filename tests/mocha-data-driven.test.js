@@ -1,389 +1,188 @@
-import { Builder, By, until, Key } from 'selenium-webdriver';
 import { expect, use } from 'chai';
 import chaiAsPromised from 'chai-as-promised';
-import fs from 'fs';
+import addContext from 'mochawesome/addContext.js';
+import { testConfig, describeConfig } from './support/config.js';
+import { createDriver, getSessionInfo } from './support/driver.js';
+import { loadTestData } from './support/data-loader.js';
+import { shardRecords } from './support/sharding.js';
+import { selectTestData } from './support/selection.js';
+import { reportSummary } from './support/summary.js';
+import { Outcome, loadSystemErrorRules, matchSystemError, recordOutcome, outcomeList } from './support/outcomes.js';
+import { compareFieldErrors } from './support/field-errors.js';
+import { NetworkRecorder, compareServerResponse, unverifiedResponseChecks } from './support/network.js';
+import { registerFields, loginFields } from './support/fields.js';
+import { cleanupAccounts } from './support/cleanup.js';
+import { dependencyBlocker, readDependencyResults } from './support/dependencies.js';
+import { FlakinessTracker, drainFallbacks, isLastAttempt, recordFlakyRun, reportFlaky } from './support/flakiness.js';
+import { loadQuarantine, quarantinedFailure } from './support/quarantine.js';
+import { recordRun } from './support/history.js';
+import { reportHistory } from './support/history-dashboard.js';
+import { collectFailureArtifacts } from './support/artifacts.js';
+import { startTrace, finishTrace } from './support/tracing.js';
+import { drainWaitStats, mergeWaitStats, printWaitSavings } from './support/waits.js';
+import { drainLocatorDrift, reportLocatorDrift } from './support/locators.js';
+import { AccessibilityAudit } from './support/accessibility.js';
+import { VisualCheck } from './support/visual.js';
+import { reportLink } from './support/report-utils.js';
+import { RegisterPage } from './pages/register-page.js';
+import { LoginPage } from './pages/login-page.js';
 
 // Thiết lập chai-as-promised
 use(chaiAsPromised);
 
-// Đọc dữ liệu từ file JSON
-const usersData = JSON.parse(fs.readFileSync('./data/register.json', 'utf-8'));
-const loginData = JSON.parse(fs.readFileSync('./data/login.json', 'utf-8'));
+// Đọc dữ liệu (JSON / CSV / XLSX / YAML) và validate trước khi sinh test case
+const usersData = await loadTestData('register');
+const loginData = await loadTestData('login');
+// Row được chạy theo --ids / --tags / --expected / --rerun-failed và MAX_USERS / MAX_LOGINS
+const selected = selectTestData(usersData, loginData, { report: './reports/test-report.json' });
+const systemErrorRules = loadSystemErrorRules();
+const quarantine = loadQuarantine();
 
-// Test configuration
-const testConfig = {
-    baseUrl: 'http://localhost:4200/',
-    maxUsers: process.env.MAX_USERS ? parseInt(process.env.MAX_USERS) : 71, // Giảm số lượng để debug
-    maxLogins: process.env.MAX_LOGINS ? parseInt(process.env.MAX_LOGINS) : 14, // Số lượng login test cases
-    headless: process.env.HEADLESS === 'false' ? false : true, // Default false để debug
-    browser: (process.env.BROWSER || 'chrome').trim().toLowerCase(),
-    timeouts: {
-        implicit: 1000,
-        pageLoad: 10000,
-        elementWait: 7000,
-        testCase: 30000, // Tăng timeout
-        suite: 300000,
-        setup: 30000
-    }
-};
-
-console.log('🚀 Test Configuration:', testConfig);
-
-// Hàm tạo driver
-async function createDriver(browser = 'chrome', headless = false) {
-    let options;
-    const commonArgs = [
-        '--no-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-blink-features=AutomationControlled',
-        '--disable-web-security',
-        '--disable-features=VizDisplayCompositor,VoiceTranscription',
-        '--disable-extensions',
-        '--disable-plugins',
-        '--disable-images',
-        '--no-first-run',
-        '--disable-gpu',
-        '--disable-notifications'
-    ];
+console.log(describeConfig());
 
-    switch (browser.toLowerCase()) {
-        case 'chrome':
-            const { Options: ChromeOptions } = await import('selenium-webdriver/chrome.js');
-            options = new ChromeOptions();
-            if (headless) {
-                options.addArguments('--headless', ...commonArgs);
-            } else {
-                options.addArguments(...commonArgs);
-            }
-            options.setUserPreferences({ 'profile.default_content_setting_values.notifications': 2 });
-            break;
+// Kết quả đăng ký của lần chạy: row dependsOn dựa vào đây, Login suite dùng lại account
+// nên chỉ dọn sau khi cả 2 suite xong
+const successfulRegistrations = [];
+const failedRegistrations = [];
+const registrationOutcomes = new Map();
 
-        case 'firefox':
-            const { Options: FirefoxOptions } = await import('selenium-webdriver/firefox.js');
-            options = new FirefoxOptions();
-            if (headless) {
-                options.addArguments('--headless');
-            }
-            options.addArguments(...commonArgs);
-            break;
+// Runner song song chạy Login ở process khác, khi đó kết quả Registration đọc từ file runner ghi
+function registrationResults() {
+    if (testConfig.dependencyResults) return readDependencyResults(testConfig.dependencyResults);
+    return {
+        successful: successfulRegistrations.map(user => user.testCaseID),
+        failed: failedRegistrations,
+        outcomes: outcomeList(registrationOutcomes)
+    };
+}
 
-        case 'edge':
-            const { Options: EdgeOptions } = await import('selenium-webdriver/edge.js');
-            options = new EdgeOptions();
-            if (headless) {
-                options.addArguments('--headless');
-            }
-            break;
+// Account cần cho row chưa được tạo -> Blocked (pending trong mochawesome), không tính là Failed
+function skipIfDependencyFailed(context, record) {
+    const reason = dependencyBlocker(record, registrationResults());
+    if (!reason) return;
+    console.log(`🚧 ${record.testCaseID}: Blocked - ${reason}`);
+    context.test.outcome = { outcome: Outcome.Blocked, reason };
+    addContext(context, { title: 'Outcome', value: { ...context.test.outcome, dependsOn: record.dependsOn } });
+    context.skip();
+}
 
-        default:
-            throw new Error(`Browser ${browser} is not supported`);
+// Mocha chạy lại test bị fail (RETRIES): bỏ kết quả của attempt trước khỏi các danh sách
+function startAttempt(context, record, ...lists) {
+    const retry = context.test.currentRetry();
+    if (retry === 0) return;
+    console.log(`🔁 ${record.testCaseID}: retry ${retry}/${context.test.retries()}`);
+    for (const list of lists) {
+        const index = list.findIndex(item => item === record.testCaseID || item?.testCaseID === record.testCaseID);
+        if (index >= 0) list.splice(index, 1);
     }
+}
 
-    let driver;
-    const maxRetries = 3;
-    for (let i = 0; i < maxRetries; i++) {
-        try {
-            driver = await new Builder()
-                .forBrowser(browser === 'edge' ? 'MicrosoftEdge' : browser)
-                .setChromeOptions(browser === 'chrome' ? options : null)
-                .setFirefoxOptions(browser === 'firefox' ? options : null)
-                .setEdgeOptions(browser === 'edge' ? options : null)
-                .build();
-            break;
-        } catch (error) {
-            console.log(`⚠️ Driver creation attempt ${i + 1}/${maxRetries} failed: ${error.message}`);
-            if (i === maxRetries - 1) throw error;
-            await new Promise(resolve => setTimeout(resolve, 2000));
-        }
-    }
-
-    await driver.manage().setTimeouts({ 
-        implicit: testConfig.timeouts.implicit, 
-        pageLoad: testConfig.timeouts.pageLoad 
-    });
-
-    await driver.manage().window().setRect({ width: 1920, height: 1080, x: 0, y: 0 });
-
-    console.log(`📺 Screen resolution set to: 1920x1080`);
-
-    return driver;
+// Case trong config/quarantine.json fail ở lần thử cuối: ghi Failed (quarantined) nhưng không làm fail build
+function skipIfQuarantined(context, record, error) {
+    const entry = quarantine.get(record.testCaseID);
+    if (!entry || !isLastAttempt(context.test)) return;
+    console.log(`🧊 ${record.testCaseID}: failed but quarantined (${entry.reason}), not failing the build`);
+    context.test.outcome = quarantinedFailure(entry, error);
+    addContext(context, { title: 'Quarantined failure', value: { ...entry, error: error.message } });
+    context.skip();
 }
 
+// Test "♿ Accessibility" cuối mỗi suite: gộp violation của mọi trạng thái form đã audit, fail theo ngưỡng failOn
+function checkAccessibility(context, accessibility) {
+    context.retries(0);
+    if (!testConfig.accessibility.enabled || accessibility.audits.length === 0) context.skip();
 
-// Hàm set date với multiple strategies
-async function setDateValue(driver, element, dateValue) {
-    const strategies = [
-        // Strategy 1: Direct value setting (best for HTML5 date inputs)
-        async () => {
-            await driver.executeScript(`
-                arguments[0].value = '';
-                arguments[0].value = arguments[1];
-                arguments[0].dispatchEvent(new Event('input', { bubbles: true }));
-                arguments[0].dispatchEvent(new Event('change', { bubbles: true }));
-            `, element, dateValue);
-        },
-        
-        // Strategy 2: Clear and sendKeys
-        async () => {
-            await element.clear();
-            await element.sendKeys(dateValue);
-        },
-        
-        // Strategy 3: Select all and replace
-        async () => {
-            await element.sendKeys(Key.CONTROL + 'a');
-            await element.sendKeys(dateValue);
-        },
-        
-        // Strategy 4: Focus and type character by character
-        async () => {
-            await element.click();
-            await element.clear();
-            for (const char of dateValue) {
-                await element.sendKeys(char);
-                await driver.sleep(10);
-            }
-        },
-        
-        // Strategy 5: JavaScript with date parsing
-        async () => {
-            const [year, month, day] = dateValue.split('-');
-            await driver.executeScript(`
-                const element = arguments[0];
-                const date = new Date(${year}, ${parseInt(month) - 1}, ${day});
-                const isoString = date.toISOString().split('T')[0];
-                element.value = isoString;
-                element.dispatchEvent(new Event('input', { bubbles: true }));
-                element.dispatchEvent(new Event('change', { bubbles: true }));
-            `, element);
-        }
-    ];
-    
-    for (let i = 0; i < strategies.length; i++) {
-        try {
-            await strategies[i]();
-            
-            // Verify the value was set correctly
-            const setValue = await element.getAttribute('value');
-            
-            // Check if the year is correct (most important part)
-            if (setValue.includes('2007') || setValue === dateValue) {
-                console.log(`✅ DOB set successfully with strategy ${i + 1}: ${setValue}`);
-                return setValue;
-            } else {
-                console.log(`⚠️ Strategy ${i + 1} failed. Set: ${setValue}, Expected: ${dateValue}`);
-            }
-            
-        } catch (error) {
-            console.log(`⚠️ DOB strategy ${i + 1} failed: ${error.message}`);
-        }
-    }
-    
-    throw new Error(`All DOB setting strategies failed for value: ${dateValue}`);
+    const { failOn } = testConfig.accessibility;
+    const { file, report } = accessibility.save();
+    const blocking = accessibility.blocking();
+    const counts = report.violations.reduce((all, violation) => ({ ...all, [violation.impact]: (all[violation.impact] || 0) + 1 }), {});
+    console.log(`\n♿ ${accessibility.page}: ${report.violations.length} rule(s) violated` +
+        `${report.violations.length > 0 ? ` (${Object.entries(counts).map(([impact, count]) => `${count} ${impact}`).join(', ')})` : ''}` +
+        ` across ${report.audits.length} audited state(s), ${blocking.length} at or above "${failOn}"`);
+    report.violations.forEach(violation => console.log(`  - [${violation.impact}] ${violation.rule}: ${violation.help} (${violation.selectors.slice(0, 3).join(', ')}${violation.selectors.length > 3 ? ', ...' : ''})`));
+
+    addContext(context, { title: 'Audited states', value: report.audits });
+    addContext(context, { title: `Violations by rule (fail on ${failOn}+) - ${file}`, value: report.violations });
+    expect(blocking.map(violation => `${violation.impact} ${violation.rule}: ${violation.selectors.join(', ')}`),
+        `${accessibility.page} accessibility violations at or above ${failOn}`).to.deep.equal([]);
 }
 
+// Test "🖼️ Visual regression" cuối mỗi suite: các trạng thái form đã chụp phải khớp baseline trong tolerance
+function checkVisual(context, visual) {
+    context.retries(0);
+    if (!testConfig.visual.enabled || visual.checkpoints.length === 0) context.skip();
 
-// Hàm find element với retry khi gặp stale reference
-async function findElementWithRetry(driver, locator, maxRetries = 3) {
-    let lastError;
-    
-    for (let i = 0; i < maxRetries; i++) {
-        try {
-            const element = await driver.wait(until.elementLocated(locator), testConfig.timeouts.elementWait);
-            await driver.wait(until.elementIsVisible(element), 2000);
-            return element;
-        } catch (error) {
-            lastError = error;
-            if (error.name === 'StaleElementReferenceError' || error.message.includes('stale element')) {
-                console.log(`⚠️ Stale element retry ${i + 1}/${maxRetries}`);
-                await driver.sleep(100);
-                continue;
-            }
-            throw error;
-        }
+    const { file, report } = visual.save();
+    const failures = visual.failures();
+    const created = report.checkpoints.filter(checkpoint => checkpoint.status === 'new');
+    console.log(`\n🖼️ ${visual.page} (${report.viewport}): ${report.checkpoints.length} state(s) captured, ` +
+        `${failures.length} differ from baseline, ${created.length} without baseline`);
+    [...failures, ...created].forEach(checkpoint => console.log(`  - ${checkpoint.state} [${checkpoint.testCaseID}]: ${checkpoint.status} ` +
+        `(${checkpoint.reason || (checkpoint.status === 'new' ? checkpoint.actual : `${(checkpoint.diffRatio * 100).toFixed(2)}% pixels differ, ${checkpoint.diff}`)})`));
+    if (failures.length > 0 || created.length > 0) {
+        console.log('  Review the diff images, then accept intended changes with: npm run update-baselines');
     }
-    throw lastError;
-}
+    // Baseline theo row: row có baseline không chạy thì trạng thái đó không được so trong lần này
+    report.notChecked.forEach(entry => console.log(`  ⏭️ ${entry.state}: not checked, baseline row(s) ${entry.rows.join(', ')} did not run`));
 
-// Helper function cải tiến với stale element handling
-async function waitAndFillElement(driver, locator, value, timeout = testConfig.timeouts.elementWait) {
-    const maxRetries = 3;
-    let lastError;
-    
-    for (let retry = 0; retry < maxRetries; retry++) {
-        try {
-            const element = await findElementWithRetry(driver, locator);
-            await driver.wait(until.elementIsEnabled(element), timeout);
-            
-            // Scroll into view
-            await driver.executeScript("arguments[0].scrollIntoView({behavior: 'smooth', block: 'center'});", element);
-            await driver.sleep(60);
-            
-            // Clear and fill
-            await element.clear();
-            await driver.sleep(20);
-            await element.sendKeys(value);
-            
-            // Verify value was set
-            const actualValue = await element.getAttribute('value');
-            if (actualValue === value) {
-                return element;
-            } else {
-                // Try JavaScript approach
-                await driver.executeScript("arguments[0].value = arguments[1];", element, value);
-                await driver.executeScript("arguments[0].dispatchEvent(new Event('input', { bubbles: true }));", element);
-            }
-            
-            return element;
-            
-        } catch (error) {
-            lastError = error;
-            console.log(`⚠️ Fill attempt ${retry + 1}/${maxRetries} failed: ${error.message}`);
-            
-            if (retry < maxRetries - 1) {
-                await driver.sleep(200);
-            }
-        }
-    }
-    
-    console.log(`⚠ Error filling element ${locator}: ${lastError.message}`);
-    throw lastError;
+    addContext(context, { title: `Visual checkpoints (tolerance ${report.tolerance}) - ${file}`, value: report.checkpoints });
+    failures.filter(checkpoint => checkpoint.diff).forEach(checkpoint => addContext(context, { title: `Diff: ${checkpoint.state}`, value: reportLink(checkpoint.diff) }));
+    expect(failures.map(checkpoint => `${checkpoint.state}: ${checkpoint.reason || `${(checkpoint.diffRatio * 100).toFixed(2)}% pixels differ`}`),
+        `${visual.page} visual regressions (${report.viewport})`).to.deep.equal([]);
 }
 
-async function waitAndClick(driver, locator, timeout = testConfig.timeouts.elementWait) {
-    const maxRetries = 3;
-    let lastError;
-    
-    for (let retry = 0; retry < maxRetries; retry++) {
-        try {
-            const element = await findElementWithRetry(driver, locator);
-            await driver.wait(until.elementIsEnabled(element), timeout);
-            
-            // Scroll into view
-            await driver.executeScript("arguments[0].scrollIntoView({behavior: 'smooth', block: 'center'});", element);
-            await driver.sleep(100);
-            
-            // Try different click strategies
-            try {
-                await element.click();
-                return element;
-            } catch (clickError) {
-                console.log(`⚠️ Normal click failed, trying JavaScript: ${clickError.message}`);
-                await driver.executeScript("arguments[0].click();", element);
-                return element;
-            }
-            
-        } catch (error) {
-            lastError = error;
-            console.log(`⚠️ Click attempt ${retry + 1}/${maxRetries} failed: ${error.message}`);
-            
-            if (retry < maxRetries - 1) {
-                await driver.sleep(200);
-            }
-        }
-    }
-    
-    console.log(`⚠ Error clicking element ${locator}: ${lastError.message}`);
-    throw lastError;
-}
+// Các lần thử + fallback của cả 2 suite, ghi vào lịch sử flaky khi chạy xong
+const flakyEntries = [];
+// Thời gian smart wait của từng suite so với sleep cố định, in tổng khi chạy xong
+const suiteWaits = [];
+// Locator chỉ khớp bằng fallback của cả 2 suite, báo cáo drift khi chạy xong
+const locatorDrift = [];
+// Outcome + thời gian chạy từng case của cả 2 suite, ghi vào lịch sử các lần chạy khi chạy xong
+const historyEntries = [];
 
-// Hàm reset form state
-async function resetFormState(driver) {
-    try {
-        // Clear any existing form data
-        await driver.executeScript(`
-            document.querySelectorAll('input, select, textarea').forEach(el => {
-                if (el.type !== 'submit' && el.type !== 'button') {
-                    el.value = '';
-                    el.dispatchEvent(new Event('change', { bubbles: true }));
-                }
-            });
-        `);
-        await driver.sleep(100);
-    } catch (error) {
-        console.log('⚠️ Could not reset form state:', error.message);
+after(async function () {
+    this.timeout(testConfig.timeouts.setup);
+    printWaitSavings('Run', mergeWaitStats(suiteWaits));
+    reportLocatorDrift(locatorDrift);
+    await cleanupAccounts(successfulRegistrations.map(user => user.email));
+    if (testConfig.flaky.record && flakyEntries.length > 0) {
+        reportFlaky(recordFlakyRun(flakyEntries));
     }
-}
-
-// Hàm kiểm tra error message
-async function checkForErrorMessages(driver) {
-    let errorMessage = '';
-    try {
-        const errorSelectors = [
-            '.error',
-            '.alert-danger',
-            '.invalid-feedback',
-            '.text-danger',
-            '[class*="error"]',
-            '[class*="danger"]',
-            '.mat-error',
-            '.validation-error',
-            '.alert',
-            '.error-message',
-            '#error',
-            '[role="alert"]',
-            '.notification',
-            '.message',
-            '.login-error', // Thêm selector cụ thể cho lỗi đăng nhập
-            '#auth-error'   // Thêm selector ID cho lỗi đăng nhập
-        ];
-        
-        await driver.sleep(1500); // Tăng thời gian chờ để đảm bảo thông báo lỗi xuất hiện
-        
-        for (const selector of errorSelectors) {
-            const errorElements = await driver.findElements(By.css(selector));
-            for (const element of errorElements) {
-                try {
-                    if (await element.isDisplayed()) {
-                        const text = await element.getText();
-                        if (text && text.trim()) {
-                            errorMessage = text.trim();
-                            console.log(`✅ Tìm thấy thông báo lỗi: ${errorMessage}`);
-                            break;
-                        }
-                    }
-                } catch (e) {
-                    console.log(`⚠️ Lỗi khi kiểm tra selector ${selector}: ${e.message}`);
-                }
-            }
-            if (errorMessage) break;
-        }
-        
-        return errorMessage;
-    } catch (e) {
-        console.log('⚠️ Lỗi khi kiểm tra thông báo lỗi:', e.message);
-        return '';
+    if (testConfig.history.record && historyEntries.length > 0) {
+        reportHistory(recordRun(historyEntries));
     }
-}
+});
 
-// Hàm take screenshot khi có lỗi
-async function takeErrorScreenshot(driver, testCaseId) {
-    try {
-        if (!fs.existsSync('./screenshots')) {
-            fs.mkdirSync('./screenshots');
-        }
-        const screenshot = await driver.takeScreenshot();
-        fs.writeFileSync(`./screenshots/${testCaseId}-error.png`, screenshot, 'base64');
-        console.log(`📸 Screenshot saved: ./screenshots/${testCaseId}-error.png`);
-    } catch (screenshotError) {
-        console.log('⚠️ Could not save screenshot:', screenshotError.message);
-    }
+// expectedResponse không kiểm tra được (network capture lỗi, Firefox không có body): Skipped thay vì Passed,
+// để report không cho thấy server đã được đối chiếu khi thực ra chưa
+function skipIfResponseUnverified(context, record, unverified) {
+    if (unverified.length === 0) return;
+    console.warn(`⚠️ ${record.testCaseID}: Skipped - ${unverified.join('; ')}`);
+    context.test.outcome = { outcome: Outcome.Skipped, reason: unverified.join('; ') };
+    addContext(context, { title: 'Expected response NOT verified', value: { expected: record.expectedResponse, unverified } });
+    context.skip();
 }
 
 // Test suite cho Registration
 describe('📝 Registration Test Suite', function () {
     this.timeout(testConfig.timeouts.suite);
+    this.retries(testConfig.retries);
     
     let driver;
-    const testUsers = usersData.slice(0, testConfig.maxUsers);
-    const successfulRegistrations = [];
-    const failedRegistrations = [];
+    let registerPage;
+    let network;
+    const testUsers = shardRecords(selected.register);
+    const flakiness = new FlakinessTracker();
+    const accessibility = new AccessibilityAudit('Sign Up form');
+    const visual = new VisualCheck('Sign Up form');
     
     before(async function() {
         this.timeout(testConfig.timeouts.setup);
         console.log(`\n🚀 Starting registration test with ${testUsers.length} users`);
         
         driver = await createDriver(testConfig.browser, testConfig.headless);
+        registerPage = new RegisterPage(driver);
+        network = await NetworkRecorder.attach(driver);
         console.log('✅ WebDriver initialized successfully for Registration');
     });
     
@@ -394,199 +193,162 @@ describe('📝 Registration Test Suite', function () {
             console.log('✅ Registration WebDriver closed successfully');
         }
         
-        console.log(`\n📊 Registration Results Summary:`);
-        console.log(`✅ Successful: ${successfulRegistrations.length}/${testUsers.length}`);
-        console.log(`⚠ Failed: ${failedRegistrations.length}/${testUsers.length}`);
-        
-        if (failedRegistrations.length > 0) {
-            console.log('\n⚠ Failed Registration Test Cases:');
-            failedRegistrations.forEach(tc => console.log(`  - ${tc}`));
-        }
+        flakyEntries.push(...flakiness.entries());
+        historyEntries.push(...outcomeList(registrationOutcomes).map(entry => ({ suite: 'registration', ...entry })));
+        const waits = drainWaitStats();
+        const drift = drainLocatorDrift();
+        suiteWaits.push(waits);
+        locatorDrift.push(...drift);
+        reportSummary('registration', 'Registration', {
+            successful: successfulRegistrations.map(user => user.testCaseID),
+            failed: failedRegistrations,
+            total: testUsers.length,
+            outcomes: outcomeList(registrationOutcomes),
+            flaky: flakiness.entries(),
+            waits,
+            drift
+        });
+    });
+
+    afterEach(function () {
+        recordOutcome(registrationOutcomes, this.currentTest);
+        flakiness.recordAttempt(this.currentTest, drainFallbacks());
+        finishTrace(this);
     });
 
     testUsers.forEach((user, index) => {
         it(`📝 Register ${user.testCaseID}: ${user.firstName} ${user.lastName}`, async function () {
             this.timeout(testConfig.timeouts.testCase);
+            this.test.testCaseID = user.testCaseID;
+            skipIfDependencyFailed(this, user);
+            startAttempt(this, user, successfulRegistrations, failedRegistrations);
+            startTrace(user.testCaseID, this.test.currentRetry());
+            addContext(this, { title: 'WebDriver session', value: getSessionInfo(driver) });
+            let systemError = null;
+            let unverified = [];
             
             try {
                 console.log(`\n🔄 Starting registration test ${index + 1}/${testUsers.length}: ${user.testCaseID}`);
                 
-                // Fresh start - navigate to homepage
-                await driver.get(testConfig.baseUrl);
-                await driver.sleep(400);
-                
-                // Navigate to registration page
-                await waitAndClick(driver, By.css('[data-test="nav-sign-in"]'));
-                await driver.sleep(100);
-                await waitAndClick(driver, By.css('[data-test="register-link"]'));
-                
-                // Wait for registration form to load completely
-                await driver.wait(until.elementLocated(By.id('first_name')), testConfig.timeouts.elementWait);
-                await driver.sleep(200); // Wait for form to be fully interactive
-                
-                // Reset any existing form state
-                await resetFormState(driver);
-                
-                // Fill form step by step with verification
-                console.log('📋 Filling form fields...');
-                
-                await waitAndFillElement(driver, By.id('first_name'), user.firstName);
-                await waitAndFillElement(driver, By.id('last_name'), user.lastName);
-                
-                // Handle Date of Birth with enhanced approach
-                console.log(`📅 Setting DOB: ${user.dob}`);
-                const dobElement = await findElementWithRetry(driver, By.id('dob'));
-                
-                await driver.executeScript("arguments[0].scrollIntoView({behavior: 'smooth', block: 'center'});", dobElement);
-                await driver.sleep(60);
-                
-                // Use the enhanced date setting function
-                try {
-                    const finalValue = await setDateValue(driver, dobElement, user.dob);
-                    console.log(`📅 DOB successfully set to: ${finalValue}`);
-                } catch (error) {
-                    console.log(`⚠ Failed to set DOB: ${error.message}`);
-                    
-                    // Last resort: try different date formats
-                    const alternativeFormats = [
-                        user.dob, // 2007-06-08
-                        user.dob.replace(/-/g, '/'), // 2007/06/08
-                        user.dob.split('-').reverse().join('/'), // 08/06/2007
-                        user.dob.split('-').slice(1).concat(user.dob.split('-')[0]).join('/') // 06/08/2007
-                    ];
-                    
-                    for (const format of alternativeFormats) {
-                        try {
-                            console.log(`⚠️ Trying alternative DOB format: ${format}`);
-                            await driver.executeScript(`
-                                arguments[0].value = '';
-                                arguments[0].value = arguments[1];
-                                arguments[0].dispatchEvent(new Event('input', { bubbles: true }));
-                                arguments[0].dispatchEvent(new Event('change', { bubbles: true }));
-                            `, dobElement, format);
-                            
-                            const testValue = await dobElement.getAttribute('value');
-                            if (testValue.includes('2007') || testValue === format) {
-                                console.log(`✅ Alternative DOB format worked: ${testValue}`);
-                                break;
-                            }
-                        } catch (altError) {
-                            console.log(`⚠️ Alternative format ${format} failed: ${altError.message}`);
-                        }
-                    }
-                }
-                
-                // Continue with address fields
-                await waitAndFillElement(driver, By.id('address'), user.street);
-                await waitAndFillElement(driver, By.id('postcode'), user.postalCode);
-                await waitAndFillElement(driver, By.id('city'), user.city);
-                await waitAndFillElement(driver, By.id('state'), user.state);
-                
-                // Handle country dropdown
-                console.log('🌍 Setting country...');
-                const countrySelect = await findElementWithRetry(driver, By.id('country'));
-                await driver.executeScript("arguments[0].scrollIntoView({behavior: 'smooth', block: 'center'});", countrySelect);
-                await driver.sleep(60);
-                
-                try {
-                    await countrySelect.click();
-                    await driver.sleep(40);
-                    await waitAndClick(driver, By.css(`option[value="${user.country}"]`));
-                } catch (error) {
-                    console.log('⚠️ Fallback to JavaScript for country selection');
-                    await driver.executeScript(`arguments[0].value = '${user.country}';`, countrySelect);
-                    await driver.executeScript("arguments[0].dispatchEvent(new Event('change', { bubbles: true }));", countrySelect);
-                }
-                
-                await waitAndFillElement(driver, By.id('phone'), user.phone);
-                await waitAndFillElement(driver, By.id('email'), user.email);
-                
-                // Handle password
-                console.log('🔒 Setting password...');
-                const passwordInput = await findElementWithRetry(driver, By.css('app-password-input input[type="password"]'));
-                await driver.executeScript("arguments[0].scrollIntoView({behavior: 'smooth', block: 'center'});", passwordInput);
-                await driver.sleep(60);
-                await passwordInput.clear();
-                await passwordInput.sendKeys(user.password);
-                
-                console.log('✅ Form filled, submitting...');
-                
-                // Submit form with enhanced error handling
-                const submitButton = await findElementWithRetry(driver, By.css('button[type="submit"]'));
-                await driver.executeScript("arguments[0].scrollIntoView({behavior: 'smooth', block: 'center'});", submitButton);
-                await driver.sleep(100);
-                
-                // Ensure button is enabled
-                await driver.wait(until.elementIsEnabled(submitButton), 5000);
-                
-                try {
-                    await submitButton.click();
-                } catch (error) {
-                    console.log('⚠️ Using JavaScript click for submit');
-                    await driver.executeScript("arguments[0].click();", submitButton);
-                }
-                
-                // Wait for response and check for errors
-                await driver.sleep(600);
-                
-                const errorMessage = await checkForErrorMessages(driver);
-                
-                // Check result
-                const currentUrl = await driver.getCurrentUrl();
-                let actualResult = currentUrl.includes('/auth/login') ? 'Success' : 'Fail';
-                
-                // Special handling for "Out of stock" error
-                if (errorMessage.toLowerCase().includes('out of stock')) {
-                    console.log('⚠️ Out of stock error detected - treating as system issue');
-                    actualResult = 'SystemError';
+                await registerPage.open();
+                await accessibility.audit(driver, this, 'loaded');
+                await visual.capture(driver, this, 'empty');
+                await registerPage.fillForm(user);
+                addContext(this, { title: 'Form fill details', value: registerPage.fillDetails });
+                await visual.capture(driver, this, 'filled');
+                network?.clear();
+                await registerPage.submit();
+                
+                const exchange = network ? await network.waitFor('/users/register') : null;
+                if (exchange) {
+                    addContext(this, { title: `Network: ${exchange.method} ${new URL(exchange.url).pathname}`, value: exchange });
                 }
                 
-                if (actualResult === 'Success') {
+                const outcome = await registerPage.readOutcome();
+                const { actualResult, errorMessage, fieldErrors } = outcome;
+                addContext(this, { title: 'Actual result', value: actualResult });
+                // Account đã được tạo: chạy lại sẽ gặp "already exists" và cho kết quả sai, nên không retry
+                if (actualResult === 'Success') this.retries(0);
+                const responses = exchange ? [...outcome.responses, exchange] : outcome.responses;
+                
+                // Lỗi môi trường (vd. "Out of stock", API 5xx) -> Blocked thay vì so với expected
+                systemError = matchSystemError({ ...outcome, responses }, systemErrorRules);
+                if (systemError) {
+                    console.log(`🚧 ${user.testCaseID}: ${systemError.outcome} by "${systemError.rule}" - ${systemError.evidence}`);
+                } else if (actualResult === 'Success') {
                     successfulRegistrations.push(user);
                     console.log(`✅ ${user.testCaseID}: Registration SUCCESS - redirected to login`);
-                } else if (actualResult === 'SystemError') {
-                    console.log(`⚠️ ${user.testCaseID}: System error (Out of stock) - skipping assertion`);
-                    return; // Skip this test due to system error
+                    await visual.capture(driver, this, 'after redirect');
                 } else {
                     failedRegistrations.push(user.testCaseID);
                     console.log(`⚠ ${user.testCaseID}: Registration FAILED - still on registration page`);
                     if (errorMessage) {
                         console.log(`   Error: ${errorMessage}`);
                     }
+                    for (const [field, messages] of Object.entries(fieldErrors)) {
+                        console.log(`   ${field}: ${messages.join(' | ')}`);
+                    }
+                    // Trạng thái lỗi cũng được audit WCAG và chụp visual: 1 lần cho mỗi tổ hợp field báo lỗi
+                    const errorFields = Object.keys(fieldErrors).sort().join(', ') || 'form error';
+                    await accessibility.audit(driver, this, 'submit failed', errorFields);
+                    await visual.capture(driver, this, 'validation errors', errorFields);
                 }
                 
-                // Compare with expected result (skip if system error)
-                if (actualResult !== 'SystemError') {
+                // Compare with expected result
+                if (!systemError) {
                     expect(actualResult, `${user.testCaseID} expected ${user.expectedResult}`).to.equal(user.expectedResult);
                 }
                 
+                // Fail phải đúng lý do: lỗi nằm ở đúng field và khớp message mong đợi
+                if (!systemError && user.expectedErrors) {
+                    addContext(this, { title: 'Field errors', value: { expected: user.expectedErrors, actual: fieldErrors } });
+                    expect(compareFieldErrors(user.expectedErrors, fieldErrors), `${user.testCaseID} field errors`).to.deep.equal([]);
+                }
+                
+                // Server cũng phải cùng kết luận: HTTP status và các field API báo vi phạm
+                if (!systemError && user.expectedResponse) {
+                    if (network) {
+                        expect(compareServerResponse(user.expectedResponse, exchange, registerFields), `${user.testCaseID} server response`).to.deep.equal([]);
+                    }
+                    unverified = unverifiedResponseChecks(user.expectedResponse, network, exchange);
+                }
+                
             } catch (error) {
-                failedRegistrations.push(user.testCaseID);
+                if (!failedRegistrations.includes(user.testCaseID)) {
+                    failedRegistrations.push(user.testCaseID);
+                }
                 console.log(`⚠ ${user.testCaseID}: Error - ${error.message}`);
                 
-                // Take screenshot for debugging
-                await takeErrorScreenshot(driver, user.testCaseID);
+                // Screenshot, HTML, console log, form values... gắn vào report để debug
+                await collectFailureArtifacts(this, driver, { testCaseID: user.testCaseID, record: user, fields: registerFields });
                 
+                this.test.attemptError = error.message;
+                skipIfQuarantined(this, user, error);
                 throw error;
             }
+            
+            // Blocked / Skipped hiện là pending trong mochawesome, kèm rule và bằng chứng
+            if (systemError) {
+                this.test.outcome = { outcome: systemError.outcome, reason: `${systemError.rule} (${systemError.evidence})` };
+                addContext(this, { title: 'Outcome', value: { ...this.test.outcome, rule: systemError.rule } });
+                this.skip();
+            }
+            skipIfResponseUnverified(this, user, unverified);
         });
     });
+
+    it('♿ Accessibility: Sign Up form (WCAG AA)', function () {
+        checkAccessibility(this, accessibility);
+    });
+
+    it('🖼️ Visual regression: Sign Up form', function () {
+        checkVisual(this, visual);
+    });
 });
 
 // Test suite cho Login
 describe('🔐 Login Test Suite', function () {
     this.timeout(testConfig.timeouts.suite);
+    this.retries(testConfig.retries);
     
     let driver;
-    const testLogins = loginData.slice(0, testConfig.maxLogins);
+    let loginPage;
+    let network;
+    const testLogins = shardRecords(selected.login);
     const successfulLogins = [];
     const failedLogins = [];
+    const loginOutcomes = new Map();
+    const flakiness = new FlakinessTracker();
+    const accessibility = new AccessibilityAudit('Sign In form');
+    const visual = new VisualCheck('Sign In form');
     
     before(async function() {
         this.timeout(testConfig.timeouts.setup);
         console.log(`\n🚀 Starting login test with ${testLogins.length} test cases`);
         
         driver = await createDriver(testConfig.browser, testConfig.headless);
+        loginPage = new LoginPage(driver);
+        network = await NetworkRecorder.attach(driver);
         console.log('✅ WebDriver initialized successfully for Login');
     });
     
@@ -597,29 +359,29 @@ describe('🔐 Login Test Suite', function () {
             console.log('✅ Login WebDriver closed successfully');
         }
         
-        console.log(`\n📊 Login Results Summary:`);
-        console.log(`✅ Successful: ${successfulLogins.length}/${testLogins.length}`);
-        console.log(`⚠ Failed: ${failedLogins.length}/${testLogins.length}`);
-        
-        if (failedLogins.length > 0) {
-            console.log('\n⚠ Failed Login Test Cases:');
-            failedLogins.forEach(tc => console.log(`  - ${tc}`));
-        }
+        flakyEntries.push(...flakiness.entries());
+        historyEntries.push(...outcomeList(loginOutcomes).map(entry => ({ suite: 'login', ...entry })));
+        const waits = drainWaitStats();
+        const drift = drainLocatorDrift();
+        suiteWaits.push(waits);
+        locatorDrift.push(...drift);
+        reportSummary('login', 'Login', {
+            successful: successfulLogins.map(loginCase => loginCase.testCaseID),
+            failed: failedLogins,
+            total: testLogins.length,
+            outcomes: outcomeList(loginOutcomes),
+            flaky: flakiness.entries(),
+            waits,
+            drift
+        });
     });
 
     afterEach(async function () {
+        recordOutcome(loginOutcomes, this.currentTest);
+        flakiness.recordAttempt(this.currentTest, drainFallbacks());
+        finishTrace(this);
         try {
-            const userMenu = await driver.findElements(By.css('[data-test="nav-user-menu"]'));
-            if (userMenu.length > 0) {
-                await userMenu[0].click();
-                await driver.wait(until.elementLocated(By.css('[data-test="nav-sign-out"]')), testConfig.timeouts.elementWait);
-                await driver.findElement(By.css('[data-test="nav-sign-out"]')).click();
-                console.log("🔄 Logged out after test case");
-            } else {
-                // Nếu không có user menu thì xoá cookie cho chắc
-                await driver.manage().deleteAllCookies();
-                console.log("🧹 Cleared cookies after test case");
-            }
+            await loginPage.nav.signOut();
         } catch (e) {
             console.log("⚠️ Reset state failed:", e.message);
         }
@@ -629,138 +391,44 @@ describe('🔐 Login Test Suite', function () {
     testLogins.forEach((loginCase, index) => {
         it(`🔐 Login ${loginCase.testCaseID}: ${loginCase.email}`, async function () {
             this.timeout(testConfig.timeouts.testCase);
+            this.test.testCaseID = loginCase.testCaseID;
+            skipIfDependencyFailed(this, loginCase);
+            startAttempt(this, loginCase, successfulLogins, failedLogins);
+            startTrace(loginCase.testCaseID, this.test.currentRetry());
+            addContext(this, { title: 'WebDriver session', value: getSessionInfo(driver) });
+            let systemError = null;
+            let unverified = [];
             
             try {
                 console.log(`\n🔄 Starting login test ${index + 1}/${testLogins.length}: ${loginCase.testCaseID}`);
                 
-                // Fresh start - navigate to homepage
-                await driver.get(testConfig.baseUrl);
-                await driver.sleep(3000);
-                
-                // Navigate to login page
-                await waitAndClick(driver, By.css('[data-test="nav-sign-in"]'));
-                
-                // Wait for login form to load completely
-                await driver.wait(until.elementLocated(By.id('email')), testConfig.timeouts.elementWait);
-                await driver.sleep(200); // Wait for form to be fully interactive
-                
-                // Reset any existing form state
-                await resetFormState(driver);
-                
-                // Fill login form
-                console.log('📋 Filling login form...');
-                console.log(`📧 Email: ${loginCase.email}`);
-                console.log(`🔑 Password: ${loginCase.password.replace(/./g, '*')}`);
-                
-                // Fill email field
-                await waitAndFillElement(driver, By.id('email'), loginCase.email);
-                
-                // Fill password field - Use specific selector for app-password-input
-                console.log('🔑 Filling password field...');
-                const passwordElement = await findElementWithRetry(driver, By.css('app-password-input input[type="password"]'));
-                
-                await driver.executeScript("arguments[0].scrollIntoView({behavior: 'smooth', block: 'center'});", passwordElement);
-                await driver.sleep(60);
-                await passwordElement.clear();
-                await passwordElement.sendKeys(loginCase.password);
-                
-                console.log('✅ Form filled, submitting...');
-                
-                // Find and click submit button - Use specific selector from HTML
-                const submitSelectors = [
-                    '[data-test="login-submit"]',  // From your HTML: data-test="login-submit"
-                    'input[type="submit"]',        // From your HTML: input type="submit"
-                    'input[value="Login"]',        // From your HTML: value="Login"
-                    '.btnSubmit'                   // From your HTML: class="btnSubmit"
-                ];
-                
-                let submitButton = null;
-                for (const selector of submitSelectors) {
-                    try {
-                        submitButton = await findElementWithRetry(driver, By.css(selector));
-                        console.log(`✅ Found submit button with selector: ${selector}`);
-                        break;
-                    } catch (error) {
-                        console.log(`⚠️ Submit selector ${selector} not found, trying next...`);
-                    }
-                }
-                
-                if (!submitButton) {
-                    throw new Error('Could not find submit button');
-                }
-                
-                await driver.executeScript("arguments[0].scrollIntoView({behavior: 'smooth', block: 'center'});", submitButton);
-                await driver.sleep(100);
-                
-                // For input[type="submit"], use click() method
-                try {
-                    await submitButton.click();
-                } catch (error) {
-                    console.log('⚠️ Using JavaScript click for submit');
-                    await driver.executeScript("arguments[0].click();", submitButton);
-                }
-                
-                // Wait for response
-                await driver.sleep(1000);
-                
-                // Check for error messages
-                const errorMessage = await checkForErrorMessages(driver);
-                
-                // Check result by URL or presence of dashboard elements
-                const currentUrl = await driver.getCurrentUrl();
-                let actualResult = 'Fail'; // Default to fail
-                
-                // Check various success indicators
-                const successIndicators = [
-                    () => {
-                        const expectedUrl = 'http://localhost:4200/#/account';
-                        const isAccountUrl = currentUrl === expectedUrl || currentUrl === expectedUrl + '/';
-                        if (isAccountUrl) console.log(`✅ URL khớp với trang tài khoản: ${currentUrl}`);
-                        return isAccountUrl;
-                    },
-                    async () => {
-                        const userMenuSelectors = [
-                            '[data-test="user-menu"]',
-                            '[data-test="logout"]',
-                            '.user-menu',
-                            'a[href*="logout"]',
-                            'button[data-test*="logout"]'
-                        ];
-                        for (const selector of userMenuSelectors) {
-                            try {
-                                const element = await driver.findElement(By.css(selector));
-                                if (await element.isDisplayed()) {
-                                    console.log(`✅ Tìm thấy phần tử người dùng: ${selector}`);
-                                    return true;
-                                }
-                            } catch (e) {
-                                console.log(`⚠️ Không tìm thấy selector ${selector}`);
-                            }
-                        }
-                        return false;
-                    },
-                ];
-                
-                // Test success indicators
-                for (const indicator of successIndicators) {
-                    try {
-                        const isSuccess = typeof indicator === 'function' ? await indicator() : indicator;
-                        if (isSuccess) {
-                            actualResult = 'Success';
-                            break;
-                        }
-                    } catch (error) {
-                        // Continue to next indicator
-                    }
+                await loginPage.open();
+                await accessibility.audit(driver, this, 'loaded');
+                await visual.capture(driver, this, 'empty');
+                await loginPage.fillForm(loginCase);
+                await visual.capture(driver, this, 'filled');
+                network?.clear();
+                await loginPage.submit();
+                
+                const exchange = network ? await network.waitFor('/users/login') : null;
+                if (exchange) {
+                    addContext(this, { title: `Network: ${exchange.method} ${new URL(exchange.url).pathname}`, value: exchange });
                 }
                 
-
+                const outcome = await loginPage.readOutcome();
+                const { actualResult, errorMessage, fieldErrors, currentUrl } = outcome;
+                addContext(this, { title: 'Actual result', value: actualResult });
+                const responses = exchange ? [...outcome.responses, exchange] : outcome.responses;
                 
                 // Log results
-                if (actualResult === 'Success') {
+                systemError = matchSystemError({ ...outcome, responses }, systemErrorRules);
+                if (systemError) {
+                    console.log(`🚧 ${loginCase.testCaseID}: ${systemError.outcome} by "${systemError.rule}" - ${systemError.evidence}`);
+                } else if (actualResult === 'Success') {
                     successfulLogins.push(loginCase);
                     console.log(`✅ ${loginCase.testCaseID}: Login SUCCESS`);
                     console.log(`   Current URL: ${currentUrl}`);
+                    await visual.capture(driver, this, 'after redirect');
                 } else {
                     failedLogins.push(loginCase.testCaseID);
                     console.log(`⚠ ${loginCase.testCaseID}: Login FAILED`);
@@ -768,20 +436,61 @@ describe('🔐 Login Test Suite', function () {
                     if (errorMessage) {
                         console.log(`   Error: ${errorMessage}`);
                     }
+                    for (const [field, messages] of Object.entries(fieldErrors)) {
+                        console.log(`   ${field}: ${messages.join(' | ')}`);
+                    }
+                    // Trạng thái lỗi cũng được audit WCAG và chụp visual: 1 lần cho mỗi tổ hợp field báo lỗi
+                    const errorFields = Object.keys(fieldErrors).sort().join(', ') || 'form error';
+                    await accessibility.audit(driver, this, 'submit failed', errorFields);
+                    await visual.capture(driver, this, 'validation errors', errorFields);
                 }
                 
                 // Compare with expected result
-                expect(actualResult, `${loginCase.testCaseID} expected ${loginCase.expectedResult}`).to.equal(loginCase.expectedResult);
+                if (!systemError) {
+                    expect(actualResult, `${loginCase.testCaseID} expected ${loginCase.expectedResult}`).to.equal(loginCase.expectedResult);
+                }
+                
+                if (!systemError && loginCase.expectedErrors) {
+                    addContext(this, { title: 'Field errors', value: { expected: loginCase.expectedErrors, actual: fieldErrors } });
+                    expect(compareFieldErrors(loginCase.expectedErrors, fieldErrors), `${loginCase.testCaseID} field errors`).to.deep.equal([]);
+                }
+                
+                if (!systemError && loginCase.expectedResponse) {
+                    if (network) {
+                        expect(compareServerResponse(loginCase.expectedResponse, exchange, loginFields), `${loginCase.testCaseID} server response`).to.deep.equal([]);
+                    }
+                    unverified = unverifiedResponseChecks(loginCase.expectedResponse, network, exchange);
+                }
                 
             } catch (error) {
-                failedLogins.push(loginCase.testCaseID);
+                if (!failedLogins.includes(loginCase.testCaseID)) {
+                    failedLogins.push(loginCase.testCaseID);
+                }
                 console.log(`⚠ ${loginCase.testCaseID}: Error - ${error.message}`);
                 
-                // Take screenshot for debugging
-                await takeErrorScreenshot(driver, loginCase.testCaseID);
+                // Screenshot, HTML, console log, form values... gắn vào report để debug
+                await collectFailureArtifacts(this, driver, { testCaseID: loginCase.testCaseID, record: loginCase, fields: loginFields });
                 
+                this.test.attemptError = error.message;
+                skipIfQuarantined(this, loginCase, error);
                 throw error;
             }
+            
+            // Blocked / Skipped hiện là pending trong mochawesome, kèm rule và bằng chứng
+            if (systemError) {
+                this.test.outcome = { outcome: systemError.outcome, reason: `${systemError.rule} (${systemError.evidence})` };
+                addContext(this, { title: 'Outcome', value: { ...this.test.outcome, rule: systemError.rule } });
+                this.skip();
+            }
+            skipIfResponseUnverified(this, loginCase, unverified);
         });
     });
-});
\ No newline at end of file
+
+    it('♿ Accessibility: Sign In form (WCAG AA)', function () {
+        checkAccessibility(this, accessibility);
+    });
+
+    it('🖼️ Visual regression: Sign In form', function () {
+        checkVisual(this, visual);
+    });
+});
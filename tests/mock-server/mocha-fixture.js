@@ -0,0 +1,18 @@
+import { testConfig } from '../support/config.js';
+import { createMockServer } from './server.js';
+
+// Global fixture cho mocha: bật mock Toolshop trên đúng port của baseUrl trước khi chạy suite
+// Dùng qua: mocha --require tests/mock-server/mocha-fixture.js (npm run test:mock)
+export async function mochaGlobalSetup() {
+    const port = parseInt(new URL(testConfig.baseUrl).port || '80');
+    this.mockServer = createMockServer();
+    await this.mockServer.listen(port);
+    console.log(`🧪 Mock Toolshop started at ${testConfig.baseUrl}`);
+}
+
+export async function mochaGlobalTeardown() {
+    if (this.mockServer) {
+        await this.mockServer.close();
+        console.log('🧪 Mock Toolshop stopped');
+    }
+}
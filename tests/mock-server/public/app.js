@@ -0,0 +1,195 @@
+// Frontend tối giản mô phỏng các trang Sign In / Sign Up của Toolshop (hash routing như app Angular)
+(function () {
+    const app = document.getElementById('app');
+    const navItems = document.getElementById('nav-items');
+    let countries = [];
+
+    const registerFields = [
+        { id: 'first_name', label: 'First name', type: 'text' },
+        { id: 'last_name', label: 'Last name', type: 'text' },
+        { id: 'dob', label: 'Date of Birth', type: 'date' },
+        { id: 'address', label: 'Street', type: 'text' },
+        { id: 'postcode', label: 'Postal code', type: 'text' },
+        { id: 'city', label: 'City', type: 'text' },
+        { id: 'state', label: 'State', type: 'text' },
+        { id: 'country', label: 'Country', type: 'select' },
+        { id: 'phone', label: 'Phone', type: 'text' },
+        { id: 'email', label: 'Email address', type: 'email' },
+        { id: 'password', label: 'Password', type: 'password' }
+    ];
+
+    function token() {
+        return localStorage.getItem('auth-token');
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+
+    function testId(id) {
+        return id.replace(/_/g, '-');
+    }
+
+    async function api(method, path, body) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token()) headers.Authorization = `Bearer ${token()}`;
+        const response = await fetch(path, { method, headers, body: body ? JSON.stringify(body) : undefined });
+        const data = await response.json().catch(() => ({}));
+        return { status: response.status, data };
+    }
+
+    function renderNav() {
+        if (token()) {
+            navItems.innerHTML = `
+                <li class="nav-item dropdown">
+                    <a href="javascript:void(0)" class="nav-link" data-test="nav-user-menu" id="menu">Account</a>
+                    <ul class="dropdown-menu" id="user-dropdown">
+                        <li><a href="#/account" data-test="nav-my-account">My account</a></li>
+                        <li><a href="javascript:void(0)" data-test="nav-sign-out" id="sign-out">Sign out</a></li>
+                    </ul>
+                </li>`;
+            document.getElementById('menu').addEventListener('click', () => {
+                document.getElementById('user-dropdown').classList.toggle('show');
+            });
+            document.getElementById('sign-out').addEventListener('click', async () => {
+                await api('GET', '/users/logout');
+                localStorage.removeItem('auth-token');
+                location.hash = '#/auth/login';
+            });
+        } else {
+            navItems.innerHTML = '<li class="nav-item"><a class="nav-link" data-test="nav-sign-in" href="#/auth/login">Sign in</a></li>';
+        }
+    }
+
+    function renderHome() {
+        app.innerHTML = '<h1 data-test="page-title">Toolshop</h1><p>Offline mock of Practice Software Testing.</p>';
+    }
+
+    function renderLogin() {
+        app.innerHTML = `
+            <h3>Login</h3>
+            <form id="login-form" novalidate>
+                <div class="form-group">
+                    <label for="email">Email address *</label>
+                    <input type="email" id="email" data-test="email" placeholder="Your email">
+                    <div class="alert alert-danger" data-test="email-error" hidden></div>
+                </div>
+                <div class="form-group">
+                    <label for="password">Password *</label>
+                    <app-password-input>
+                        <input type="password" id="password" data-test="password" placeholder="Your password">
+                    </app-password-input>
+                    <div class="alert alert-danger" data-test="password-error" hidden></div>
+                </div>
+                <input type="submit" class="btnSubmit" data-test="login-submit" value="Login">
+                <div class="alert alert-danger" data-test="login-error" hidden></div>
+            </form>
+            <p>Not yet an account? <a data-test="register-link" href="#/auth/register">Register your account</a></p>`;
+
+        document.getElementById('login-form').addEventListener('submit', async event => {
+            event.preventDefault();
+            const email = document.getElementById('email').value.trim();
+            const password = document.getElementById('password').value;
+            const showError = (name, message) => {
+                const element = app.querySelector(`[data-test="${name}"]`);
+                element.textContent = message;
+                element.hidden = false;
+            };
+            app.querySelectorAll('.alert-danger').forEach(element => { element.hidden = true; });
+
+            if (!email) return showError('email-error', 'Email is required');
+            if (!password) return showError('password-error', 'Password is required');
+
+            const { status, data } = await api('POST', '/users/login', { email, password });
+            if (status === 200) {
+                localStorage.setItem('auth-token', data.access_token);
+                location.hash = '#/account';
+            } else {
+                showError('login-error', data.error || 'Invalid email or password');
+            }
+        });
+    }
+
+    function renderRegister() {
+        const inputs = registerFields.map(field => {
+            let control;
+            if (field.type === 'select') {
+                const options = countries.map(c => `<option value="${c.code}">${escapeHtml(c.name)}</option>`).join('');
+                control = `<select id="${field.id}" data-test="${testId(field.id)}"><option value="">Your country *</option>${options}</select>`;
+            } else if (field.type === 'password') {
+                control = `<app-password-input><input type="password" id="${field.id}" data-test="${testId(field.id)}"></app-password-input>`;
+            } else {
+                control = `<input type="${field.type}" id="${field.id}" data-test="${testId(field.id)}">`;
+            }
+            return `
+                <div class="form-group">
+                    <label for="${field.id}">${field.label} *</label>
+                    ${control}
+                    <div class="alert alert-danger" data-test="${testId(field.id)}-error" hidden></div>
+                </div>`;
+        }).join('');
+
+        app.innerHTML = `
+            <h3>Customer registration</h3>
+            <form id="register-form" novalidate>
+                ${inputs}
+                <button type="submit" class="btnSubmit" data-test="register-submit">Register</button>
+                <div class="alert alert-danger" data-test="register-error" hidden></div>
+            </form>`;
+
+        document.getElementById('register-form').addEventListener('submit', async event => {
+            event.preventDefault();
+            const payload = {};
+            registerFields.forEach(field => { payload[field.id] = document.getElementById(field.id).value; });
+            app.querySelectorAll('.alert-danger').forEach(element => { element.hidden = true; });
+
+            const { status, data } = await api('POST', '/users/register', payload);
+            if (status === 201) {
+                location.hash = '#/auth/login';
+                return;
+            }
+            if (status === 422) {
+                for (const [name, messages] of Object.entries(data)) {
+                    const element = app.querySelector(`[data-test="${testId(name)}-error"]`);
+                    if (element) {
+                        element.innerHTML = messages.map(message => `<div>${escapeHtml(message)}</div>`).join('');
+                        element.hidden = false;
+                    }
+                }
+            } else {
+                const element = app.querySelector('[data-test="register-error"]');
+                element.textContent = data.message || 'Registration failed';
+                element.hidden = false;
+            }
+        });
+    }
+
+    async function renderAccount() {
+        const { status, data } = await api('GET', '/users/me');
+        if (status !== 200) {
+            localStorage.removeItem('auth-token');
+            location.hash = '#/auth/login';
+            return;
+        }
+        app.innerHTML = `<h1 data-test="page-title">My account</h1><p>Welcome ${escapeHtml(data.first_name)} ${escapeHtml(data.last_name)}</p>`;
+    }
+
+    const routes = {
+        '/': renderHome,
+        '/auth/login': renderLogin,
+        '/auth/register': renderRegister,
+        '/account': renderAccount
+    };
+
+    async function route() {
+        renderNav();
+        const path = location.hash.replace(/^#/, '') || '/';
+        await (routes[path] || renderHome)();
+    }
+
+    window.addEventListener('hashchange', route);
+    fetch('/countries')
+        .then(response => response.json())
+        .then(list => { countries = list; })
+        .finally(route);
+})();
@@ -0,0 +1,198 @@
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { countries } from '../support/countries.js';
+import { registerFields, toRegisterPayload } from '../support/fields.js';
+import { renderTemplates } from '../support/templating.js';
+import { loadRules, validateRegistration } from './validation.js';
+
+const publicDir = fileURLToPath(new URL('./public/', import.meta.url));
+
+const contentTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8'
+};
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+async function readJsonBody(req) {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    if (!raw) return {};
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Account admin có sẵn như Toolshop, dùng cho cleanup sau khi chạy suite
+export const mockAdmin = { email: 'admin@practicesoftwaretesting.com', password: 'welcome01' };
+
+function publicUser(user) {
+    const { password, ...rest } = user;
+    return rest;
+}
+
+// Tạo mock server thay thế Toolshop (frontend + API users) để chạy suite offline
+export function createMockServer({ rules = loadRules(), seedUsers = [] } = {}) {
+    const users = new Map();
+    const tokens = new Map();
+    let nextId = 1;
+
+    function register(payload) {
+        const errors = validateRegistration(payload, rules);
+        if (Object.keys(errors).length === 0 && users.has(payload.email.toLowerCase())) {
+            errors.email = ['A customer with this email address already exists.'];
+        }
+        if (Object.keys(errors).length > 0) return { errors };
+
+        const user = { id: String(nextId++), role: 'user', enabled: true };
+        for (const field of registerFields) user[field.id] = payload[field.id];
+        users.set(user.email.toLowerCase(), user);
+        return { user };
+    }
+
+    users.set(mockAdmin.email, { id: String(nextId++), role: 'admin', enabled: true, first_name: 'John', last_name: 'Doe', ...mockAdmin });
+    for (const seed of seedUsers) register(toRegisterPayload(seed));
+
+    function findById(id) {
+        return [...users.values()].find(user => user.id === id);
+    }
+
+    function currentUser(req) {
+        const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+        return match ? tokens.get(match[1]) : undefined;
+    }
+
+    async function handleApi(req, res, url) {
+        if (req.method === 'GET' && url.pathname === '/countries') {
+            return sendJson(res, 200, countries);
+        }
+
+        if (req.method === 'POST' && url.pathname === '/users/register') {
+            const body = await readJsonBody(req);
+            if (!body) return sendJson(res, 400, { message: 'Invalid JSON body' });
+            const { errors, user } = register(body);
+            if (errors) return sendJson(res, 422, errors);
+            return sendJson(res, 201, publicUser(user));
+        }
+
+        if (req.method === 'POST' && url.pathname === '/users/login') {
+            const body = await readJsonBody(req);
+            const user = body && typeof body.email === 'string' ? users.get(body.email.toLowerCase()) : undefined;
+            if (!user || user.password !== body.password) {
+                return sendJson(res, 401, { error: 'Invalid email or password' });
+            }
+            if (!user.enabled) {
+                return sendJson(res, 401, { error: 'Account disabled' });
+            }
+            const token = crypto.randomBytes(16).toString('hex');
+            tokens.set(token, user);
+            return sendJson(res, 200, { access_token: token, token_type: 'bearer', expires_in: 300 });
+        }
+
+        if (req.method === 'GET' && url.pathname === '/users/me') {
+            const user = currentUser(req);
+            if (!user) return sendJson(res, 401, { message: 'Unauthorized' });
+            return sendJson(res, 200, publicUser(user));
+        }
+
+        if (req.method === 'GET' && url.pathname === '/users/logout') {
+            const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+            if (match) tokens.delete(match[1]);
+            return sendJson(res, 200, { message: 'Successfully logged out' });
+        }
+
+        // Admin API: tìm, xoá hoặc khoá account (cần token của admin)
+        const userMatch = /^\/users\/([^/]+)$/.exec(url.pathname);
+        if ((req.method === 'GET' && url.pathname === '/users/search') || (userMatch && ['DELETE', 'PATCH'].includes(req.method))) {
+            const admin = currentUser(req);
+            if (!admin) return sendJson(res, 401, { message: 'Unauthorized' });
+            if (admin.role !== 'admin') return sendJson(res, 403, { message: 'Forbidden' });
+
+            if (req.method === 'GET') {
+                const query = (url.searchParams.get('q') || '').toLowerCase();
+                const found = [...users.values()].filter(user => user.email.toLowerCase().includes(query));
+                return sendJson(res, 200, { current_page: 1, data: found.map(publicUser), total: found.length });
+            }
+
+            const user = findById(userMatch[1]);
+            if (!user) return sendJson(res, 404, { message: 'Requested item not found' });
+            if (req.method === 'DELETE') {
+                users.delete(user.email.toLowerCase());
+                return res.writeHead(204).end();
+            }
+            const body = await readJsonBody(req);
+            if (!body) return sendJson(res, 400, { message: 'Invalid JSON body' });
+            if (typeof body.enabled === 'boolean') user.enabled = body.enabled;
+            return sendJson(res, 200, { success: true });
+        }
+
+        return false;
+    }
+
+    function serveStatic(res, url) {
+        const fileName = url.pathname === '/' ? 'index.html' : url.pathname.slice(1);
+        const filePath = path.join(publicDir, fileName);
+        if (!filePath.startsWith(publicDir) || !fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': contentTypes[path.extname(filePath)] || 'application/octet-stream' });
+        fs.createReadStream(filePath).pipe(res);
+    }
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        try {
+            const handled = await handleApi(req, res, url);
+            if (handled === false) serveStatic(res, url);
+        } catch (error) {
+            sendJson(res, 500, { message: error.message });
+        }
+    });
+
+    return {
+        server,
+        users,
+        listen(port = 4200) {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, () => resolve(server.address().port));
+            });
+        },
+        close() {
+            return new Promise(resolve => server.close(() => resolve()));
+        }
+    };
+}
+
+// Chạy trực tiếp: node tests/mock-server/server.js [--port 4200] [--rules file.json] [--seed data/register.json]
+// Seed file có placeholder thì đặt RUN_ID giống lần chạy suite để ra đúng các email đó
+if (process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
+    const args = process.argv.slice(2);
+    const option = name => {
+        const index = args.indexOf(`--${name}`);
+        return index >= 0 ? args[index + 1] : undefined;
+    };
+
+    const port = parseInt(option('port') || process.env.MOCK_PORT || '4200');
+    const seedFile = option('seed');
+    const seedUsers = seedFile
+        ? renderTemplates(JSON.parse(fs.readFileSync(seedFile, 'utf-8')), { runId: process.env.RUN_ID || 'seed00', source: seedFile })
+            .filter(user => user.expectedResult === 'Success')
+        : [];
+
+    const mock = createMockServer({ rules: loadRules(option('rules')), seedUsers });
+    mock.listen(port).then(actualPort => {
+        console.log(`🧪 Mock Toolshop running at http://localhost:${actualPort}/ (${mock.users.size - 1} seeded users, admin ${mockAdmin.email})`);
+    });
+}
@@ -0,0 +1,91 @@
+import fs from 'fs';
+import { countryCodes } from '../support/countries.js';
+import { registerFields } from '../support/fields.js';
+
+const defaultRulesPath = new URL('./rules.json', import.meta.url);
+
+// Đọc rules mặc định, rồi merge file override (MOCK_RULES hoặc tham số) lên trên theo từng field
+export function loadRules(overridePath = process.env.MOCK_RULES) {
+    const rules = JSON.parse(fs.readFileSync(defaultRulesPath, 'utf-8'));
+    if (!overridePath) return rules;
+
+    const override = JSON.parse(fs.readFileSync(overridePath, 'utf-8'));
+    const fields = { ...rules.fields };
+    for (const [name, fieldRules] of Object.entries(override.fields || {})) {
+        fields[name] = { ...fields[name], ...fieldRules };
+    }
+    return { ...rules, ...override, fields };
+}
+
+function labelOf(name) {
+    const field = registerFields.find(f => f.id === name);
+    return field ? field.label : name;
+}
+
+function ageAt(dob, referenceDate) {
+    let age = referenceDate.getUTCFullYear() - dob.getUTCFullYear();
+    const beforeBirthday = referenceDate.getUTCMonth() < dob.getUTCMonth()
+        || (referenceDate.getUTCMonth() === dob.getUTCMonth() && referenceDate.getUTCDate() < dob.getUTCDate());
+    return beforeBirthday ? age - 1 : age;
+}
+
+function checkEmail(value, rule) {
+    const match = /^[^\s@]+@([^\s@]+)$/.exec(value);
+    if (!match) return false;
+    const labels = match[1].split('.');
+    if (labels.length < 2 || labels.some(label => !label)) return false;
+    return labels[labels.length - 1].length >= (rule.minTldLength || 2);
+}
+
+function checkField(name, rawValue, rule, referenceDate) {
+    const value = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+    const label = labelOf(name);
+
+    if (value === undefined || value === null || value === '') {
+        return rule.required ? [`${label} is required.`] : [];
+    }
+
+    const text = String(value);
+    const errors = [];
+    if (rule.minLength && text.length < rule.minLength) {
+        errors.push(`${label} must be at least ${rule.minLength} characters.`);
+    }
+    if (rule.maxLength && text.length > rule.maxLength) {
+        errors.push(`${label} must not be greater than ${rule.maxLength} characters.`);
+    }
+    if (rule.pattern && !new RegExp(rule.pattern).test(text)) {
+        errors.push(`${label} format is invalid.`);
+    }
+    if (rule.email && !checkEmail(text, rule)) {
+        errors.push(`${label} must be a valid email address.`);
+    }
+    if (rule.countryCode && !countryCodes.has(text)) {
+        errors.push(`${label} is not a valid country.`);
+    }
+    if (rule.minAge !== undefined || rule.maxAge !== undefined) {
+        const dob = /^\d{4}-\d{2}-\d{2}$/.test(text) ? new Date(`${text}T00:00:00Z`) : new Date(NaN);
+        if (Number.isNaN(dob.getTime())) {
+            errors.push(`${label} must be a valid date (YYYY-MM-DD).`);
+        } else {
+            const age = ageAt(dob, referenceDate);
+            if (rule.minAge !== undefined && age < rule.minAge) {
+                errors.push(`Customer must be ${rule.minAge} years old or older.`);
+            }
+            if (rule.maxAge !== undefined && age > rule.maxAge) {
+                errors.push(`Customer must be younger than ${rule.maxAge + 1} years old.`);
+            }
+        }
+    }
+    return errors;
+}
+
+// Validate payload của POST /users/register, trả về { field: [messages] } (rỗng nếu hợp lệ)
+export function validateRegistration(payload, rules) {
+    const referenceDate = rules.referenceDate ? new Date(`${rules.referenceDate}T00:00:00Z`) : new Date();
+    const errors = {};
+    for (const [name, rule] of Object.entries(rules.fields)) {
+        const fieldErrors = checkField(name, payload[name], rule, referenceDate);
+        if (fieldErrors.length > 0) errors[name] = fieldErrors;
+    }
+    return errors;
+}
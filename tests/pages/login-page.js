@@ -0,0 +1,118 @@
+import { testConfig } from '../support/config.js';
+import {
+    findElementWithRetry,
+    waitAndFillElement,
+    scrollIntoView,
+    resetFormState,
+    checkForErrorMessages,
+    getApiResponses,
+    collectFieldErrors
+} from '../support/helpers.js';
+import { loginFields } from '../support/fields.js';
+import { noteFallback } from '../support/flakiness.js';
+import { log } from '../support/logger.js';
+import { traceStep } from '../support/tracing.js';
+import { waitForAppSettled } from '../support/waits.js';
+import { locatorsFor } from '../support/locators.js';
+import { NavBar } from './nav-bar.js';
+
+const locators = locatorsFor('login');
+
+// Page object cho form Sign In
+export class LoginPage {
+    constructor(driver) {
+        this.driver = driver;
+        this.nav = new NavBar(driver);
+    }
+
+    // Đi từ homepage -> Sign in và chờ form sẵn sàng
+    async open() {
+        await this.nav.goHome(3000);
+        await this.nav.openSignIn();
+
+        // Wait for login form to load completely
+        await findElementWithRetry(this.driver, locators.email);
+        await waitForAppSettled(this.driver, { label: 'login form', replaces: 200 });
+
+        // Reset any existing form state
+        await resetFormState(this.driver);
+    }
+
+    async fillForm({ email, password }) {
+        await waitAndFillElement(this.driver, locators.email, email);
+
+        // Fill password field - Use specific selector for app-password-input
+        await traceStep('fill password', { locator: locators.password, value: password, secret: true }, async () => {
+            const passwordElement = await findElementWithRetry(this.driver, locators.password);
+            await scrollIntoView(this.driver, passwordElement);
+            await passwordElement.clear();
+            await passwordElement.sendKeys(password);
+        });
+    }
+
+    async submit() {
+        await traceStep('submit', { locator: locators.submit }, async () => {
+            // URL lúc submit: readOutcome chờ tới khi URL đổi (đăng nhập thành công) hoặc lỗi hiện ra
+            this.submittedFrom = await this.driver.getCurrentUrl();
+            // Fallback data-test -> input[type="submit"] -> value -> class nằm trong registry
+            const submitButton = await findElementWithRetry(this.driver, locators.submit);
+
+            await scrollIntoView(this.driver, submitButton, 100);
+
+            // For input[type="submit"], use click() method
+            try {
+                await submitButton.click();
+            } catch (error) {
+                log.info('⚠️ Using JavaScript click for submit');
+                noteFallback('submit via JavaScript');
+                await this.driver.executeScript("arguments[0].click();", submitButton);
+            }
+        });
+    }
+
+    // Đọc kết quả sau khi submit: URL trang tài khoản hoặc menu người dùng nghĩa là đăng nhập thành công
+    async readOutcome() {
+        // Wait for response: chuyển sang trang tài khoản hoặc lỗi hiện ra
+        await waitForAppSettled(this.driver, { label: 'login response', replaces: 1000, urlChangeFrom: this.submittedFrom, errorShown: true });
+
+        const errorMessage = await checkForErrorMessages(this.driver);
+        const currentUrl = await this.driver.getCurrentUrl();
+        const responses = await getApiResponses(this.driver);
+        const fieldErrors = await collectFieldErrors(this.driver, loginFields);
+
+        const successIndicators = [
+            () => {
+                const expectedUrl = new URL('#/account', testConfig.baseUrl).href;
+                const isAccountUrl = currentUrl === expectedUrl || currentUrl === expectedUrl + '/';
+                if (isAccountUrl) log.debug(`✅ URL khớp với trang tài khoản: ${currentUrl}`);
+                return isAccountUrl;
+            },
+            () => this.hasUserMenu()
+        ];
+
+        let actualResult = 'Fail'; // Default to fail
+        for (const indicator of successIndicators) {
+            try {
+                if (await indicator()) {
+                    actualResult = 'Success';
+                    break;
+                }
+            } catch (error) {
+                // Continue to next indicator
+            }
+        }
+
+        return { actualResult, errorMessage, fieldErrors, currentUrl, responses };
+    }
+
+    async hasUserMenu() {
+        for (const element of await locators.userMenu.locateAll(this.driver)) {
+            if (await element.isDisplayed()) {
+                log.debug(`✅ Tìm thấy phần tử người dùng: ${locators.userMenu}`);
+                return true;
+            }
+        }
+        log.debug(`⚠️ Không tìm thấy ${locators.userMenu}`);
+        return false;
+    }
+}
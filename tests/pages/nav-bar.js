@@ -0,0 +1,44 @@
+import { testConfig } from '../support/config.js';
+import { waitAndClick, navigateTo, findElementWithRetry } from '../support/helpers.js';
+import { log } from '../support/logger.js';
+import { waitForAppSettled } from '../support/waits.js';
+import { locatorsFor } from '../support/locators.js';
+
+const locators = locatorsFor('nav');
+
+// Page object cho thanh điều hướng chung của Toolshop
+export class NavBar {
+    constructor(driver) {
+        this.driver = driver;
+    }
+
+    // Fresh start - mở homepage và chờ trang ổn định
+    // replaces: sleep cố định trước đây của trang gọi (ms), chỉ dùng để báo thời gian tiết kiệm
+    async goHome(replaces = 400) {
+        await navigateTo(this.driver, testConfig.baseUrl);
+        await waitForAppSettled(this.driver, { label: 'home page', replaces });
+    }
+
+    async openSignIn() {
+        await waitAndClick(this.driver, locators.signIn);
+    }
+
+    async isLoggedIn() {
+        const userMenu = await locators.userMenu.locateAll(this.driver);
+        return userMenu.length > 0;
+    }
+
+    // Đăng xuất nếu đang đăng nhập, ngược lại xoá cookie cho chắc
+    async signOut() {
+        const userMenu = await locators.userMenu.locateAll(this.driver);
+        if (userMenu.length > 0) {
+            await userMenu[0].click();
+            const signOut = await findElementWithRetry(this.driver, locators.signOut);
+            await signOut.click();
+            log.debug("🔄 Logged out after test case");
+        } else {
+            await this.driver.manage().deleteAllCookies();
+            log.debug("🧹 Cleared cookies after test case");
+        }
+    }
+}
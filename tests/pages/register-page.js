@@ -0,0 +1,169 @@
+import { By, until } from 'selenium-webdriver';
+import {
+    setDateValue,
+    findElementWithRetry,
+    waitAndFillElement,
+    waitAndClick,
+    scrollIntoView,
+    resetFormState,
+    checkForErrorMessages,
+    getApiResponses,
+    collectFieldErrors
+} from '../support/helpers.js';
+import { registerFields } from '../support/fields.js';
+import { noteFallback } from '../support/flakiness.js';
+import { log } from '../support/logger.js';
+import { traceStep } from '../support/tracing.js';
+import { waitForAppSettled } from '../support/waits.js';
+import { locatorsFor } from '../support/locators.js';
+import { NavBar } from './nav-bar.js';
+
+const locators = locatorsFor('register');
+
+// Page object cho form Sign Up
+export class RegisterPage {
+    constructor(driver) {
+        this.driver = driver;
+        this.nav = new NavBar(driver);
+        // Cách điền thực tế của lần fillForm gần nhất (vd. DOB strategy nào chạy được trên browser này)
+        this.fillDetails = {};
+    }
+
+    // Đi từ homepage -> Sign in -> Register và chờ form sẵn sàng
+    async open() {
+        await this.nav.goHome();
+        await this.nav.openSignIn();
+        await waitForAppSettled(this.driver, { label: 'sign in page', replaces: 100 });
+        await waitAndClick(this.driver, locators.registerLink);
+
+        // Wait for registration form to load completely
+        await findElementWithRetry(this.driver, locators.firstName);
+        await waitForAppSettled(this.driver, { label: 'register form', replaces: 200 });
+
+        // Reset any existing form state
+        await resetFormState(this.driver);
+    }
+
+    async fillForm(user) {
+        this.fillDetails = {};
+
+        await waitAndFillElement(this.driver, locators.firstName, user.firstName);
+        await waitAndFillElement(this.driver, locators.lastName, user.lastName);
+        await this.setDob(user.dob);
+
+        await waitAndFillElement(this.driver, locators.street, user.street);
+        await waitAndFillElement(this.driver, locators.postalCode, user.postalCode);
+        await waitAndFillElement(this.driver, locators.city, user.city);
+        await waitAndFillElement(this.driver, locators.state, user.state);
+        await this.selectCountry(user.country);
+
+        await waitAndFillElement(this.driver, locators.phone, user.phone);
+        await waitAndFillElement(this.driver, locators.email, user.email);
+        await this.setPassword(user.password);
+    }
+
+    // Handle Date of Birth with enhanced approach
+    async setDob(dob) {
+        const dobElement = await findElementWithRetry(this.driver, locators.dob);
+        await scrollIntoView(this.driver, dobElement);
+
+        try {
+            const { value, strategy } = await setDateValue(this.driver, dobElement, dob);
+            this.fillDetails.dobStrategy = `strategy ${strategy}`;
+            log.debug(`📅 DOB successfully set to: ${value}`);
+        } catch (error) {
+            this.fillDetails.dobStrategy = 'not set';
+            log.info(`⚠ Failed to set DOB: ${error.message}`);
+
+            // Last resort: try different date formats
+            const alternativeFormats = [
+                dob, // 2007-06-08
+                dob.replace(/-/g, '/'), // 2007/06/08
+                dob.split('-').reverse().join('/'), // 08/06/2007
+                dob.split('-').slice(1).concat(dob.split('-')[0]).join('/') // 06/08/2007
+            ];
+
+            for (const format of alternativeFormats) {
+                try {
+                    log.debug(`⚠️ Trying alternative DOB format: ${format}`);
+                    await this.driver.executeScript(`
+                        arguments[0].value = '';
+                        arguments[0].value = arguments[1];
+                        arguments[0].dispatchEvent(new Event('input', { bubbles: true }));
+                        arguments[0].dispatchEvent(new Event('change', { bubbles: true }));
+                    `, dobElement, format);
+
+                    const testValue = await dobElement.getAttribute('value');
+                    if (testValue.includes('2007') || testValue === format) {
+                        this.fillDetails.dobStrategy = `alternative format ${format}`;
+                        noteFallback('dob alternative format');
+                        log.info(`✅ Alternative DOB format worked: ${testValue}`);
+                        break;
+                    }
+                } catch (altError) {
+                    log.debug(`⚠️ Alternative format ${format} failed: ${altError.message}`);
+                }
+            }
+        }
+    }
+
+    async selectCountry(country) {
+        const countrySelect = await findElementWithRetry(this.driver, locators.country);
+        await scrollIntoView(this.driver, countrySelect);
+
+        try {
+            await countrySelect.click();
+            await this.driver.sleep(40);
+            await waitAndClick(this.driver, By.css(`option[value="${country}"]`));
+        } catch (error) {
+            log.info('⚠️ Fallback to JavaScript for country selection');
+            noteFallback('country via JavaScript');
+            await this.driver.executeScript(`arguments[0].value = '${country}';`, countrySelect);
+            await this.driver.executeScript("arguments[0].dispatchEvent(new Event('change', { bubbles: true }));", countrySelect);
+        }
+    }
+
+    async setPassword(password) {
+        await traceStep('fill password', { locator: locators.password, value: password, secret: true }, async () => {
+            const passwordInput = await findElementWithRetry(this.driver, locators.password);
+            await scrollIntoView(this.driver, passwordInput);
+            await passwordInput.clear();
+            await passwordInput.sendKeys(password);
+        });
+    }
+
+    // Submit form with enhanced error handling
+    async submit() {
+        await traceStep('submit', { locator: locators.submit }, async () => {
+            // URL lúc submit: readOutcome chờ tới khi URL đổi (đăng ký thành công) hoặc lỗi hiện ra
+            this.submittedFrom = await this.driver.getCurrentUrl();
+            const submitButton = await findElementWithRetry(this.driver, locators.submit);
+            await scrollIntoView(this.driver, submitButton, 100);
+
+            // Ensure button is enabled
+            await this.driver.wait(until.elementIsEnabled(submitButton), 5000);
+
+            try {
+                await submitButton.click();
+            } catch (error) {
+                log.info('⚠️ Using JavaScript click for submit');
+                noteFallback('submit via JavaScript');
+                await this.driver.executeScript("arguments[0].click();", submitButton);
+            }
+        });
+    }
+
+    // Đọc kết quả sau khi submit: redirect về /auth/login nghĩa là đăng ký thành công
+    async readOutcome() {
+        // Wait for response: redirect sang login hoặc lỗi hiện ra
+        await waitForAppSettled(this.driver, { label: 'registration response', replaces: 600, urlChangeFrom: this.submittedFrom, errorShown: true });
+
+        const errorMessage = await checkForErrorMessages(this.driver);
+        const currentUrl = await this.driver.getCurrentUrl();
+        const responses = await getApiResponses(this.driver);
+        const fieldErrors = await collectFieldErrors(this.driver, registerFields);
+        const actualResult = currentUrl.includes('/auth/login') ? 'Success' : 'Fail';
+
+        return { actualResult, errorMessage, fieldErrors, currentUrl, responses };
+    }
+}
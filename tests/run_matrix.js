@@ -0,0 +1,195 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { testConfig } from './support/config.js';
+import { readMochawesomeTests } from './support/report-utils.js';
+import { createMockServer } from './mock-server/server.js';
+
+// Chạy suite lần lượt trên từng browser / mode rồi so sánh kết quả theo testCaseID
+// node tests/run_matrix.js [--browsers=chrome,firefox,edge] [--modes=headless,headed] [--mock] [các config flag khác]
+const require = createRequire(import.meta.url);
+const mochaBin = require.resolve('mocha/bin/mocha.js');
+const specFile = 'tests/mocha-data-driven.test.js';
+const matrixDir = './reports/matrix';
+
+const supportedBrowsers = ['chrome', 'firefox', 'edge'];
+const supportedModes = ['headless', 'headed'];
+
+function parseList(args, name, fallback, supported) {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    const values = arg ? arg.split('=')[1].split(',').map(v => v.trim().toLowerCase()).filter(Boolean) : fallback;
+    const unknown = values.filter(v => !supported.includes(v));
+    if (unknown.length > 0 || values.length === 0) {
+        throw new Error(`--${name} must be a comma-separated list of ${supported.join(', ')} (got ${arg || 'nothing'})`);
+    }
+    return values;
+}
+
+const args = process.argv.slice(2);
+const useMock = args.includes('--mock');
+const browsers = parseList(args, 'browsers', supportedBrowsers, supportedBrowsers);
+const modes = parseList(args, 'modes', [testConfig.headless ? 'headless' : 'headed'], supportedModes);
+// Browser / headless do matrix quyết định, các flag còn lại chuyển nguyên cho mocha
+const passThroughArgs = args.filter(arg =>
+    arg !== '--mock' && !/^--(browsers|modes|browser|headless|no-headless)(=|$)/.test(arg)
+);
+
+const combos = browsers.flatMap(browser => modes.map(mode => ({ browser, mode, name: `${browser}-${mode}` })));
+
+function runCombo(combo) {
+    const reportOptions = [
+        `reportDir=${matrixDir}`,
+        `reportFilename=${combo.name}`,
+        'html=true',
+        'json=true',
+        'quiet=true'
+    ].join(',');
+
+    const child = spawn(process.execPath, [
+        mochaBin, specFile,
+        '--timeout', '120000',
+        '--reporter', 'mochawesome',
+        '--reporter-options', reportOptions,
+        `--browser=${combo.browser}`,
+        `--headless=${combo.mode === 'headless'}`,
+        ...passThroughArgs
+    ], { stdio: 'inherit' });
+
+    return new Promise(resolve => {
+        child.on('close', code => resolve(code ?? 1));
+        child.on('error', error => {
+            console.log(`⚠ ${combo.name} could not start: ${error.message}`);
+            resolve(1);
+        });
+    });
+}
+
+// Tóm tắt 1 test trong 1 combo: state + DOB strategy (nếu là test đăng ký)
+function describeResult(result) {
+    if (!result) return { state: 'missing' };
+    const fillDetails = result.context['Form fill details'] || {};
+    return {
+        state: result.state,
+        dobStrategy: fillDetails.dobStrategy,
+        error: result.error
+    };
+}
+
+function buildComparison(runs) {
+    const reported = runs.filter(run => run.tests);
+    const ids = [];
+    for (const run of reported) {
+        for (const test of run.tests) {
+            if (!ids.includes(test.testCaseID)) ids.push(test.testCaseID);
+        }
+    }
+
+    return ids.map(testCaseID => {
+        const results = {};
+        for (const run of reported) {
+            results[run.name] = describeResult(run.tests.find(test => test.testCaseID === testCaseID));
+        }
+        const values = Object.values(results);
+        const states = new Set(values.map(r => r.state));
+        const strategies = new Set(values.map(r => r.dobStrategy).filter(Boolean));
+        return { testCaseID, divergent: states.size > 1 || strategies.size > 1, results };
+    });
+}
+
+function formatCell(result) {
+    const icon = { passed: '✅', failed: '❌', pending: '⏭', skipped: '⏭', missing: '—' }[result.state] || '?';
+    return result.dobStrategy ? `${icon} ${result.dobStrategy}` : icon;
+}
+
+function writeDivergenceReport(runs, rows) {
+    const reported = runs.filter(run => run.tests);
+    const divergent = rows.filter(row => row.divergent);
+
+    fs.writeFileSync(path.join(matrixDir, 'divergence.json'), JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        combos: runs.map(({ name, browser, mode, exitCode, report }) => ({ name, browser, mode, exitCode, report })),
+        rows
+    }, null, 2));
+
+    const lines = [
+        '# Cross-browser divergence report',
+        '',
+        `Generated: ${new Date().toISOString()}`,
+        '',
+        '| Combo | Exit code | Passed | Failed | Report |',
+        '| --- | --- | --- | --- | --- |',
+        ...runs.map(run => {
+            const passed = run.tests ? run.tests.filter(t => t.state === 'passed').length : '-';
+            const failed = run.tests ? run.tests.filter(t => t.state === 'failed').length : '-';
+            return `| ${run.name} | ${run.exitCode} | ${passed} | ${failed} | ${run.report ? path.basename(run.report) : 'not produced'} |`;
+        }),
+        '',
+        `## Divergent test cases (${divergent.length} of ${rows.length})`,
+        ''
+    ];
+
+    if (divergent.length === 0) {
+        lines.push('All browsers agree on every test case.');
+    } else {
+        lines.push(`| Test case | ${reported.map(run => run.name).join(' | ')} |`);
+        lines.push(`| --- | ${reported.map(() => '---').join(' | ')} |`);
+        for (const row of divergent) {
+            lines.push(`| ${row.testCaseID} | ${reported.map(run => formatCell(row.results[run.name])).join(' | ')} |`);
+        }
+    }
+
+    fs.writeFileSync(path.join(matrixDir, 'divergence.md'), `${lines.join('\n')}\n`);
+    return divergent;
+}
+
+async function main() {
+    console.log(`\n🌐 Browser matrix: ${combos.map(c => c.name).join(', ')}`);
+    fs.rmSync(matrixDir, { recursive: true, force: true });
+    fs.mkdirSync(matrixDir, { recursive: true });
+
+    const runs = [];
+    for (const combo of combos) {
+        console.log(`\n▶ ${combo.name}`);
+
+        // Mỗi combo dùng mock mới để email đã đăng ký ở browser trước không làm lệch kết quả
+        let mock;
+        if (useMock) {
+            mock = createMockServer();
+            await mock.listen(parseInt(new URL(testConfig.baseUrl).port || '80'));
+        }
+
+        let exitCode;
+        try {
+            exitCode = await runCombo(combo);
+        } finally {
+            if (mock) await mock.close();
+        }
+
+        const report = path.join(matrixDir, `${combo.name}.json`);
+        const tests = fs.existsSync(report) ? readMochawesomeTests(report) : null;
+        if (!tests) console.log(`⚠ ${combo.name} did not produce a report`);
+        runs.push({ ...combo, exitCode, report: tests ? report : null, tests });
+    }
+
+    const rows = buildComparison(runs);
+    const divergent = writeDivergenceReport(runs, rows);
+
+    console.log('\n🌐 Browser matrix summary:');
+    for (const run of runs) {
+        console.log(`   ${run.name.padEnd(18)} ${run.exitCode === 0 ? '✅' : '❌'} exit code ${run.exitCode}`);
+    }
+    console.log(`\n🔀 ${divergent.length} of ${rows.length} test case(s) differ between browsers`);
+    for (const row of divergent) {
+        const cells = Object.entries(row.results).map(([name, result]) => `${name}: ${formatCell(result)}`);
+        console.log(`   ${row.testCaseID} -> ${cells.join(' | ')}`);
+    }
+    console.log(`\n📄 ${matrixDir}/divergence.md, ${matrixDir}/divergence.json`);
+
+    process.exit(runs.some(run => run.exitCode !== 0) ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error(`⚠ ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,182 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { merge } from 'mochawesome-merge';
+import marge from 'mochawesome-report-generator';
+import { testConfig, describeConfig } from './support/config.js';
+import { workerReportDir, printSummary } from './support/summary.js';
+import { createMockServer } from './mock-server/server.js';
+import { loadTestData } from './support/data-loader.js';
+import { cleanupAccounts } from './support/cleanup.js';
+import { recordFlakyRun, reportFlaky } from './support/flakiness.js';
+import { mergeWaitStats, printWaitSavings } from './support/waits.js';
+import { reportLocatorDrift } from './support/locators.js';
+import { recordRun } from './support/history.js';
+import { reportHistory } from './support/history-dashboard.js';
+import { rebaseReportLinks } from './support/report-utils.js';
+
+// Chạy suite song song: chia data rows cho N worker (mỗi worker 1 process mocha + 1 WebDriver riêng)
+// node tests/run_parallel.js --workers=4 [--mock] [các config flag khác]
+const require = createRequire(import.meta.url);
+const mochaBin = require.resolve('mocha/bin/mocha.js');
+const specFile = 'tests/mocha-data-driven.test.js';
+
+// Registration chạy xong hết rồi mới tới Login, để login dùng được account vừa đăng ký
+const phases = [
+    { suite: 'registration', title: 'Registration', grep: 'Registration Test Suite' },
+    { suite: 'login', title: 'Login', grep: 'Login Test Suite' }
+];
+
+const args = process.argv.slice(2);
+const useMock = args.includes('--mock');
+const passThroughArgs = args.filter(arg => arg !== '--mock');
+
+function pipeWithPrefix(stream, prefix, target) {
+    let buffer = '';
+    stream.on('data', chunk => {
+        buffer += chunk;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(line => target.write(`${prefix} ${line}\n`));
+    });
+    stream.on('end', () => {
+        if (buffer) target.write(`${prefix} ${buffer}\n`);
+    });
+}
+
+function runWorker(phase, index, total, extraArgs = []) {
+    const reportOptions = [
+        `reportDir=${workerReportDir}`,
+        `reportFilename=${phase.suite}-worker-${index}`,
+        'html=false',
+        'json=true',
+        'quiet=true'
+    ].join(',');
+
+    const child = spawn(process.execPath, [
+        mochaBin, specFile,
+        '--timeout', '120000',
+        '--grep', phase.grep,
+        '--reporter', 'mochawesome',
+        '--reporter-options', reportOptions,
+        ...passThroughArgs,
+        // Mọi worker dùng chung runId (cùng email đã render); account, lịch sử flaky và lịch sử lần chạy
+        // do runner xử lý sau phase Login
+        `--run-id=${testConfig.runId}`,
+        '--cleanup=false',
+        '--flaky-record=false',
+        '--history-record=false',
+        ...extraArgs
+    ], {
+        env: { ...process.env, SHARD_INDEX: String(index), SHARD_TOTAL: String(total) },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    const prefix = `[${phase.suite} w${index + 1}/${total}]`;
+    pipeWithPrefix(child.stdout, prefix, process.stdout);
+    pipeWithPrefix(child.stderr, prefix, process.stderr);
+
+    return new Promise(resolve => {
+        child.on('close', code => resolve(code ?? 1));
+        child.on('error', error => {
+            console.log(`⚠ ${prefix} could not start: ${error.message}`);
+            resolve(1);
+        });
+    });
+}
+
+// Gộp summary của các worker thành 1 summary cho cả suite
+function mergeSummaries(phase) {
+    const files = fs.readdirSync(workerReportDir).filter(f => f.startsWith(`${phase.suite}-summary-`));
+    const merged = { successful: [], failed: [], total: 0, outcomes: [], flaky: [], waits: [], drift: [] };
+    for (const file of files) {
+        const summary = JSON.parse(fs.readFileSync(path.join(workerReportDir, file), 'utf-8'));
+        merged.successful.push(...summary.successful);
+        merged.failed.push(...summary.failed);
+        merged.total += summary.total;
+        merged.outcomes.push(...(summary.outcomes || []));
+        merged.flaky.push(...(summary.flaky || []));
+        merged.waits.push(summary.waits);
+        merged.drift.push(...(summary.drift || []));
+    }
+    merged.waits = mergeWaitStats(merged.waits);
+    return merged;
+}
+
+async function main() {
+    const workers = testConfig.workers;
+    console.log(describeConfig());
+    console.log(`\n⚡ Running in parallel with ${workers} worker(s)`);
+
+    fs.rmSync(workerReportDir, { recursive: true, force: true });
+    fs.mkdirSync(workerReportDir, { recursive: true });
+
+    let mock;
+    if (useMock) {
+        mock = createMockServer();
+        await mock.listen(parseInt(new URL(testConfig.baseUrl).port || '80'));
+        console.log(`🧪 Mock Toolshop started at ${testConfig.baseUrl}`);
+    }
+
+    let exitCode = 0;
+    try {
+        let extraArgs = [];
+        for (const phase of phases) {
+            const codes = await Promise.all(
+                Array.from({ length: workers }, (_, index) => runWorker(phase, index, workers, extraArgs))
+            );
+            if (codes.some(code => code !== 0)) exitCode = 1;
+
+            // Row login có dependsOn cần biết account nào đã được tạo ở phase Registration
+            const resultsFile = path.join(workerReportDir, `${phase.suite}-results.json`);
+            fs.writeFileSync(resultsFile, JSON.stringify(mergeSummaries(phase), null, 2));
+            extraArgs = [`--dependency-results=${resultsFile}`];
+        }
+
+        const created = new Set(mergeSummaries(phases[0]).successful);
+        const usersData = await loadTestData('register');
+        await cleanupAccounts(usersData.filter(user => created.has(user.testCaseID)).map(user => user.email));
+
+        printWaitSavings('Run', mergeWaitStats(phases.map(phase => mergeSummaries(phase).waits)));
+        reportLocatorDrift(phases.flatMap(phase => mergeSummaries(phase).drift));
+
+        const flakyEntries = phases.flatMap(phase => mergeSummaries(phase).flaky);
+        if (testConfig.flaky.record && flakyEntries.length > 0) {
+            reportFlaky(recordFlakyRun(flakyEntries));
+        }
+
+        const historyEntries = phases.flatMap(phase => mergeSummaries(phase).outcomes.map(entry => ({ suite: phase.suite, ...entry })));
+        if (testConfig.history.record && historyEntries.length > 0) {
+            reportHistory(recordRun(historyEntries));
+        }
+    } finally {
+        if (mock) await mock.close();
+    }
+
+    const reportFiles = fs.readdirSync(workerReportDir)
+        .filter(f => /-worker-\d+\.json$/.test(f))
+        .map(f => path.join(workerReportDir, f));
+
+    if (reportFiles.length > 0) {
+        // Link trong context được worker tính theo reports/workers/, report gộp nằm ở reports/
+        const report = rebaseReportLinks(await merge({ files: reportFiles }), workerReportDir, './reports');
+        fs.writeFileSync('./reports/test-report.json', JSON.stringify(report, null, 2));
+        await marge.create(report, { reportDir: './reports', reportFilename: 'test-report', saveJson: false });
+        console.log(`\n📄 Merged report from ${reportFiles.length} worker report(s): reports/test-report.html`);
+    } else {
+        console.log('\n⚠ No worker reports were produced');
+        exitCode = 1;
+    }
+
+    for (const phase of phases) {
+        printSummary(phase.title, mergeSummaries(phase));
+    }
+
+    process.exit(exitCode);
+}
+
+main().catch(error => {
+    console.error(`⚠ ${error.message}`);
+    process.exit(1);
+});
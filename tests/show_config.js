@@ -0,0 +1,5 @@
+import { describeConfig } from './support/config.js';
+
+// In config đã resolve (defaults -> profile -> env -> CLI) mà không chạy test
+// node tests/show_config.js --profile=ci --browser=firefox
+console.log(describeConfig());
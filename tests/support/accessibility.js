@@ -0,0 +1,111 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import addContext from 'mochawesome/addContext.js';
+import { testConfig } from './config.js';
+import { log } from './logger.js';
+
+const require = createRequire(import.meta.url);
+const axeSource = fs.readFileSync(require.resolve('axe-core/axe.min.js'), 'utf-8');
+
+// Mức impact của axe từ nhẹ tới nặng; failOn là mức thấp nhất làm fail
+export const impacts = ['minor', 'moderate', 'serious', 'critical'];
+
+// Chạy axe trên trang hiện tại (chỉ các rule theo tag WCAG trong config), trả về violation dạng gọn
+const runAxeScript = `
+    const done = arguments[arguments.length - 1];
+    axe.run(document, arguments[0]).then(result => done({
+        url: location.href,
+        violations: result.violations.map(violation => ({
+            rule: violation.id,
+            impact: violation.impact,
+            help: violation.help,
+            helpUrl: violation.helpUrl,
+            selectors: violation.nodes.map(node => node.target.join(' '))
+        }))
+    }), error => done({ error: String(error) }));
+`;
+
+function impactRank(impact) {
+    return impacts.indexOf(impact);
+}
+
+// Audit accessibility của 1 form bằng axe-core, inject qua driver đang chạy test.
+// Mỗi trạng thái (form vừa mở, submit lỗi ở các field X) chỉ audit 1 lần trong lần chạy;
+// violation được gộp theo rule để test "♿ Accessibility" cuối suite so với ngưỡng failOn
+export class AccessibilityAudit {
+    constructor(page) {
+        this.page = page;
+        this.audits = [];
+    }
+
+    // state: 'loaded' | 'submit failed'; variant phân biệt các trạng thái lỗi khác nhau (vd. field nào báo lỗi).
+    // Không throw: lỗi khi audit được ghi lại, không làm fail test chức năng
+    async audit(driver, context, state, variant = '') {
+        const name = variant ? `${state} (${variant})` : state;
+        if (!testConfig.accessibility.enabled || this.audits.some(audit => audit.name === name)) return null;
+
+        const audit = { name, testCaseID: context.test.testCaseID, url: null, violations: [], error: null };
+        this.audits.push(audit);
+        try {
+            const injected = await driver.executeScript('return typeof window.axe !== "undefined";');
+            if (!injected) await driver.executeScript(axeSource);
+            const result = await driver.executeAsyncScript(runAxeScript, {
+                runOnly: { type: 'tag', values: testConfig.accessibility.tags }
+            });
+            if (result.error) throw new Error(result.error);
+            audit.url = result.url;
+            audit.violations = result.violations;
+        } catch (error) {
+            audit.error = error.message.split('\n')[0];
+        }
+
+        log.info(audit.error
+            ? `⚠️ ♿ ${this.page} ${name}: audit failed - ${audit.error}`
+            : `♿ ${this.page} ${name}: ${audit.violations.length} rule(s) violated`);
+        addContext(context, {
+            title: `Accessibility: ${this.page} ${name}`,
+            value: audit.error ? { error: audit.error } : audit.violations.map(({ rule, impact, selectors }) => ({ rule, impact, selectors }))
+        });
+        return audit;
+    }
+
+    // Violation gộp theo rule qua mọi trạng thái đã audit, nặng nhất trước
+    violations() {
+        const byRule = new Map();
+        for (const audit of this.audits) {
+            for (const violation of audit.violations) {
+                const entry = byRule.get(violation.rule) || { ...violation, states: [], selectors: [] };
+                entry.states.push(audit.name);
+                entry.selectors = [...new Set([...entry.selectors, ...violation.selectors])];
+                byRule.set(violation.rule, entry);
+            }
+        }
+        return [...byRule.values()].sort((a, b) => impactRank(b.impact) - impactRank(a.impact));
+    }
+
+    // Violation từ mức failOn trở lên (failOn = none: chỉ báo cáo, không fail)
+    blocking() {
+        const failOn = testConfig.accessibility.failOn;
+        if (failOn === 'none') return [];
+        return this.violations().filter(violation => impactRank(violation.impact) >= impactRank(failOn));
+    }
+
+    // Ghi reports/accessibility/<page>_<browser>[_w<shard>].json và trả về nội dung
+    save(dir = './reports/accessibility') {
+        const shard = testConfig.shard.total > 1 ? `_w${testConfig.shard.index}` : '';
+        const file = path.join(dir, `${this.page.replace(/\W+/g, '-').toLowerCase()}_${testConfig.browser}${shard}.json`);
+        const report = {
+            page: this.page,
+            browser: testConfig.browser,
+            runId: testConfig.runId,
+            failOn: testConfig.accessibility.failOn,
+            tags: testConfig.accessibility.tags,
+            audits: this.audits.map(({ name, testCaseID, url, error, violations }) => ({ name, testCaseID, url, error, violations: violations.length })),
+            violations: this.violations()
+        };
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(report, null, 2));
+        return { file, report };
+    }
+}
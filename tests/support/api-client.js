@@ -0,0 +1,66 @@
+import { testConfig } from './config.js';
+import { toRegisterPayload } from './fields.js';
+
+function parseBody(text) {
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+// Gọi thẳng REST API của Toolshop, trả về cùng shape với request bắt được trên UI (NetworkRecorder)
+// Không throw: lỗi kết nối / timeout nằm trong exchange.error
+export async function callApi(method, path, { body, token } = {}) {
+    const url = new URL(path, testConfig.apiUrl || testConfig.baseUrl).href;
+    const startedAt = new Date();
+    const exchange = { protocol: 'HTTP', method, url, requestBody: body ?? null, startedAt: startedAt.toISOString() };
+    const headers = { Accept: 'application/json' };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    try {
+        const response = await fetch(url, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body),
+            signal: AbortSignal.timeout(testConfig.timeouts.pageLoad)
+        });
+        return {
+            ...exchange,
+            status: response.status,
+            statusText: response.statusText,
+            responseBody: parseBody(await response.text()),
+            durationMs: Date.now() - startedAt.getTime(),
+            error: null
+        };
+    } catch (error) {
+        return { ...exchange, status: null, statusText: null, responseBody: null, durationMs: Date.now() - startedAt.getTime(), error: error.message };
+    }
+}
+
+function postJson(path, body) {
+    return callApi('POST', path, { body });
+}
+
+// POST /users/register với payload giống form Sign Up gửi đi
+export async function registerViaApi(user) {
+    const exchange = await postJson('users/register', toRegisterPayload(user));
+    return { actualResult: exchange.status === 201 ? 'Success' : 'Fail', exchange };
+}
+
+// POST /users/login, thành công khi API trả access token
+export async function loginViaApi({ email, password }) {
+    const exchange = await postJson('users/login', { email, password });
+    const hasToken = exchange.status === 200 && Boolean(exchange.responseBody?.access_token);
+    return { actualResult: hasToken ? 'Success' : 'Fail', exchange };
+}
+
+// Thông báo lỗi trong body (để khớp rule lỗi hệ thống như trên UI)
+export function responseMessage(exchange) {
+    const body = exchange.responseBody;
+    if (exchange.error) return exchange.error;
+    if (!body || typeof body !== 'object') return typeof body === 'string' ? body : '';
+    return body.message || body.error || Object.values(body).flat().filter(v => typeof v === 'string').join(' ');
+}
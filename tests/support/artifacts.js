@@ -0,0 +1,121 @@
+import fs from 'fs';
+import path from 'path';
+import { By } from 'selenium-webdriver';
+import addContext from 'mochawesome/addContext.js';
+import { testConfig } from './config.js';
+import { getSessionInfo } from './driver.js';
+import { takeErrorScreenshot } from './helpers.js';
+import { reportLink } from './report-utils.js';
+
+// Field không được ghi giá trị thật vào artifact / report
+const maskedFields = ['password'];
+// Số dòng console log gắn thẳng vào report (file console.json giữ đủ)
+const consoleContextLimit = 30;
+
+function timestamp() {
+    return new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').split('.')[0];
+}
+
+function safeName(value) {
+    return String(value).replace(/[^a-zA-Z0-9._-]+/g, '_');
+}
+
+function mask(key, value) {
+    return maskedFields.includes(key) && value ? '***' : value;
+}
+
+// Giá trị thật trên form so với data row (chỉ field có trên trang hiện tại)
+async function readFormValues(driver, record, fields) {
+    const values = [];
+    for (const field of fields) {
+        const elements = await driver.findElements(By.id(field.id));
+        if (elements.length === 0) continue;
+        const actual = await elements[0].getAttribute('value');
+        const expected = record[field.key] ?? '';
+        values.push({
+            field: field.key,
+            expected: mask(field.key, expected),
+            actual: mask(field.key, actual),
+            match: String(expected) === actual
+        });
+    }
+    return values;
+}
+
+// Browser console qua logging API (Chrome / Edge); Firefox chưa hỗ trợ
+async function readConsoleLogs(driver) {
+    try {
+        const entries = await driver.manage().logs().get('browser');
+        return entries.map(entry => entry.toJSON());
+    } catch (error) {
+        return { unsupported: `browser logs not available: ${error.message.split('\n')[0]}` };
+    }
+}
+
+async function readCapabilities(driver) {
+    const capabilities = await driver.getCapabilities();
+    return {
+        session: getSessionInfo(driver),
+        capabilities: Object.fromEntries([...capabilities.keys()].map(key => [key, capabilities.get(key)]))
+    };
+}
+
+// Chạy 1 bước thu thập, lỗi của bước nào chỉ ghi vào bước đó
+async function attempt(step, errors, collect) {
+    try {
+        return await collect();
+    } catch (error) {
+        errors.push(`${step}: ${error.message.split('\n')[0]}`);
+        return null;
+    }
+}
+
+// Khi test fail: gom screenshot, HTML, console log, URL, giá trị form vs data row và capabilities
+// vào <artifactsDir>/<testCaseID>_<browser>_<timestamp>/ rồi gắn vào report qua addContext.
+// Không throw: thiếu artifact không được che mất lỗi gốc của test
+export async function collectFailureArtifacts(context, driver, { testCaseID, record, fields }) {
+    if (!driver) return null;
+
+    const browser = getSessionInfo(driver)?.browserName || testConfig.browser;
+    const dir = path.join(testConfig.artifactsDir, `${safeName(testCaseID)}_${safeName(browser)}_${timestamp()}`);
+    const link = file => reportLink(path.join(dir, file));
+    const errors = [];
+    fs.mkdirSync(dir, { recursive: true });
+
+    const screenshot = await takeErrorScreenshot(driver, testCaseID, path.join(dir, 'screenshot.png'));
+    const page = await attempt('page', errors, async () => {
+        fs.writeFileSync(path.join(dir, 'page.html'), await driver.getPageSource());
+        return { url: await driver.getCurrentUrl(), title: await driver.getTitle() };
+    });
+    const formValues = await attempt('form values', errors, () => readFormValues(driver, record, fields));
+    const consoleLogs = await readConsoleLogs(driver);
+    const capabilities = await attempt('capabilities', errors, () => readCapabilities(driver));
+
+    const files = {
+        'page.json': { testCaseID, browser, ...page },
+        'form-values.json': formValues,
+        'console.json': consoleLogs,
+        'capabilities.json': capabilities
+    };
+    for (const [file, value] of Object.entries(files)) {
+        if (value) fs.writeFileSync(path.join(dir, file), JSON.stringify(value, null, 2));
+    }
+    if (errors.length > 0) {
+        fs.writeFileSync(path.join(dir, 'errors.txt'), `${errors.join('\n')}\n`);
+    }
+
+    // Ảnh (.png) được mochawesome hiện thẳng và click để mở; file khác gắn nội dung + đường dẫn
+    if (screenshot) addContext(context, link('screenshot.png'));
+    addContext(context, { title: 'Failure artifacts', value: link('.') });
+    if (page) addContext(context, { title: 'Page at failure', value: { ...page, html: link('page.html') } });
+    if (formValues) addContext(context, { title: 'Form values vs data row', value: formValues });
+    addContext(context, {
+        title: 'Browser console',
+        value: Array.isArray(consoleLogs) ? consoleLogs.slice(-consoleContextLimit) : consoleLogs
+    });
+    if (capabilities) addContext(context, { title: 'Driver capabilities', value: capabilities });
+    if (errors.length > 0) addContext(context, { title: 'Artifact errors', value: errors });
+
+    console.log(`🗂️ Failure artifacts saved: ${dir}`);
+    return dir;
+}
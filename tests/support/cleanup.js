@@ -0,0 +1,59 @@
+import { testConfig } from './config.js';
+import { callApi } from './api-client.js';
+
+const okStatuses = [200, 204];
+
+// Xoá account qua admin API; delete bị từ chối vì account đang được dùng (409) thì khoá lại
+async function removeUser(user, mode, token) {
+    if (mode === 'delete') {
+        const deleted = await callApi('DELETE', `users/${user.id}`, { token });
+        if (okStatuses.includes(deleted.status)) return { action: 'deleted' };
+        if (deleted.status !== 409) return { error: `DELETE HTTP ${deleted.status ?? deleted.error}` };
+    }
+    const patched = await callApi('PATCH', `users/${user.id}`, { body: { enabled: false }, token });
+    if (okStatuses.includes(patched.status)) return { action: 'deactivated' };
+    return { error: `PATCH HTTP ${patched.status ?? patched.error}` };
+}
+
+// Dọn các account suite đã tạo trong lần chạy này (đăng nhập admin -> tìm theo email -> xoá / khoá)
+// Không throw: lỗi dọn dẹp chỉ được log, không làm hỏng kết quả test
+export async function cleanupAccounts(emails) {
+    const pending = [...new Set(emails.map(email => email.toLowerCase()))];
+    if (pending.length === 0) return { cleaned: [], failed: [] };
+
+    const { enabled, mode, adminEmail, adminPassword } = testConfig.cleanup;
+    if (!enabled) {
+        console.log(`ℹ️ Cleanup disabled: keeping ${pending.length} account(s) created in run ${testConfig.runId}`);
+        return { cleaned: [], failed: [] };
+    }
+
+    const login = await callApi('POST', 'users/login', { body: { email: adminEmail, password: adminPassword } });
+    const token = login.responseBody?.access_token;
+    if (!token) {
+        console.log(`⚠️ Cleanup skipped: admin login as ${adminEmail} failed (HTTP ${login.status ?? login.error})`);
+        return { cleaned: [], failed: pending.map(email => ({ email, reason: 'admin login failed' })) };
+    }
+
+    const cleaned = [];
+    const failed = [];
+    for (const email of pending) {
+        const search = await callApi('GET', `users/search?q=${encodeURIComponent(email)}`, { token });
+        const user = (search.responseBody?.data || []).find(u => u.email?.toLowerCase() === email);
+        if (!user) {
+            failed.push({ email, reason: search.status === 200 ? 'not found' : `search HTTP ${search.status ?? search.error}` });
+            continue;
+        }
+        const { action, error } = await removeUser(user, mode, token);
+        if (error) {
+            failed.push({ email, reason: error });
+        } else {
+            cleaned.push({ email, action });
+        }
+    }
+    await callApi('GET', 'users/logout', { token });
+
+    const count = action => cleaned.filter(entry => entry.action === action).length;
+    console.log(`\n🧹 Cleanup (run ${testConfig.runId}): ${cleaned.length}/${pending.length} account(s) removed (${count('deleted')} deleted, ${count('deactivated')} deactivated)`);
+    failed.forEach(entry => console.log(`  ⚠️ ${entry.email}: ${entry.reason}`));
+    return { cleaned, failed };
+}
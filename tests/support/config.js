@@ -0,0 +1,360 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Cấu hình theo lớp: defaults -> config/<profile>.json -> biến môi trường -> CLI flags
+// Vd: PROFILE=ci npm test, hoặc npm test -- --profile=debug --browser=firefox --max-users=3
+
+const defaults = {
+    baseUrl: 'http://localhost:4200/',
+    apiUrl: undefined, // REST API của Toolshop cho suite API (mặc định dùng baseUrl, như mock server)
+    registerData: './data/register.json',
+    loginData: './data/login.json',
+    dataFormat: undefined, // json | csv | xlsx | yaml, mặc định theo đuôi file
+    registerSheet: undefined,
+    loginSheet: undefined,
+    columnMap: undefined, // file JSON { "Header trong sheet": "field" }
+    systemErrors: './config/rules/system-errors.json', // Dấu hiệu lỗi môi trường -> Blocked / Skipped
+    runId: undefined, // Mã lần chạy cho {{runId}} trong data file, mặc định sinh ngẫu nhiên
+    dependencyResults: undefined, // File kết quả Registration cho row dependsOn khi Login chạy ở process khác
+    retries: 0, // Số lần chạy lại test case UI bị fail; pass sau retry được ghi vào lịch sử flaky
+    quarantine: './config/quarantine.json', // Case vẫn chạy nhưng fail không làm fail build; không có file = không quarantine
+    artifactsDir: './reports/artifacts', // Screenshot, HTML, console log... của từng test fail
+    logLevel: 'info', // debug | info | warn | error: mức log của helper / page object ra console
+    trace: {
+        enabled: true, // Ghi các bước (fill, click, điều hướng...) của từng test ra JSON lines + timeline trong report
+        dir: './reports/traces'
+    },
+    accessibility: {
+        enabled: true, // Audit form Sign Up / Sign In bằng axe-core khi vừa mở và sau khi submit lỗi
+        failOn: 'serious', // minor | moderate | serious | critical | none: mức impact thấp nhất làm fail
+        tags: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'] // Rule axe được chạy (WCAG AA)
+    },
+    visual: {
+        enabled: false, // Chụp form ở các trạng thái (empty, filled, validation errors, after redirect) và so với baseline
+        baselineDir: './visual-baselines', // Baseline theo <browser>_<width>x<height>, commit vào repo
+        outputDir: './reports/visual', // Ảnh actual / diff và kết quả so sánh của lần chạy
+        tolerance: 0.001, // Tỉ lệ pixel khác tối đa vẫn tính là khớp (0.001 = 0.1%)
+        ignoreFile: './config/rules/visual-ignore.json' // Vùng bỏ qua khi so (selector hoặc hình chữ nhật)
+    },
+    history: {
+        record: true, // Ghi kết quả từng case của lần chạy vào lịch sử (runner song song tự ghi thay cho worker)
+        file: './reports/history/run-history.json'
+    },
+    flaky: {
+        record: true, // Ghi lần chạy này vào lịch sử flaky (runner song song tự ghi thay cho worker)
+        historyFile: './reports/history/flaky-history.json'
+    },
+    select: {
+        ids: undefined, // testCaseID cần chạy: glob (Sign Up-TC5*) hoặc khoảng (Sign Up-TC10..20)
+        expectedResult: undefined, // success | fail
+        tags: undefined, // Row có ít nhất 1 tag trong danh sách; "!tag" loại row có tag đó
+        rerunFailed: false, // Chỉ chạy các case failed trong report của lần chạy trước
+        rerunReport: undefined // Report cho rerunFailed, mặc định report của chính suite (reports/test-report.json...)
+    },
+    maxUsers: 71,
+    maxLogins: 14, // Số lượng login test cases
+    headless: false, // Default false để debug
+    browser: 'chrome',
+    screen: {
+        width: 1920,
+        height: 1080
+    },
+    zoomLevel: 1,
+    workers: 1, // Số worker khi chạy song song (npm run test:parallel)
+    shard: {
+        index: 0, // Runner song song tự set cho từng worker
+        total: 1
+    },
+    network: {
+        capture: true, // Ghi lại request/response của submit qua WebDriver BiDi (body qua CDP trên Chrome/Edge)
+        urlPattern: '/users/(register|login)' // Regex URL của các request cần ghi
+    },
+    cleanup: {
+        enabled: true, // Xoá account đã tạo trong lần chạy qua admin API khi suite kết thúc
+        mode: 'delete', // delete | deactivate
+        adminEmail: 'admin@practicesoftwaretesting.com',
+        adminPassword: 'welcome01'
+    },
+    remote: {
+        url: undefined, // Selenium Grid / standalone server, vd. http://localhost:4444/wd/hub
+        browserVersion: undefined,
+        platformName: undefined,
+        capabilities: undefined // Capabilities bổ sung, vd. { "se:name": "...", "moz:firefoxOptions": {...} }
+    },
+    timeouts: {
+        implicit: 1000,
+        pageLoad: 10000,
+        elementWait: 7000,
+        testCase: 30000,
+        suite: 300000,
+        setup: 30000
+    }
+};
+
+// Mỗi option: đường dẫn trong testConfig, biến môi trường, CLI flag và kiểu dữ liệu (secret: không in giá trị)
+const options = [
+    { key: 'baseUrl', env: 'BASE_URL', flag: 'base-url', type: 'url' },
+    { key: 'apiUrl', env: 'API_URL', flag: 'api-url', type: 'url' },
+    { key: 'registerData', env: 'REGISTER_DATA', flag: 'register-data', type: 'string' },
+    { key: 'loginData', env: 'LOGIN_DATA', flag: 'login-data', type: 'string' },
+    { key: 'dataFormat', env: 'DATA_FORMAT', flag: 'data-format', type: ['json', 'csv', 'xlsx', 'yaml'] },
+    { key: 'registerSheet', env: 'REGISTER_SHEET', flag: 'register-sheet', type: 'string' },
+    { key: 'loginSheet', env: 'LOGIN_SHEET', flag: 'login-sheet', type: 'string' },
+    { key: 'columnMap', env: 'DATA_COLUMN_MAP', flag: 'column-map', type: 'string' },
+    { key: 'systemErrors', env: 'SYSTEM_ERRORS', flag: 'system-errors', type: 'string' },
+    { key: 'runId', env: 'RUN_ID', flag: 'run-id', type: 'runId' },
+    { key: 'dependencyResults', env: 'DEPENDENCY_RESULTS', flag: 'dependency-results', type: 'string' },
+    { key: 'retries', env: 'RETRIES', flag: 'test-retries', type: 'count' },
+    { key: 'quarantine', env: 'QUARANTINE', flag: 'quarantine', type: 'string' },
+    { key: 'artifactsDir', env: 'ARTIFACTS_DIR', flag: 'artifacts-dir', type: 'string' },
+    { key: 'logLevel', env: 'LOG_LEVEL', flag: 'log-level', type: ['debug', 'info', 'warn', 'error'] },
+    { key: 'trace.enabled', env: 'TRACE', flag: 'trace', type: 'boolean' },
+    { key: 'trace.dir', env: 'TRACE_DIR', flag: 'trace-dir', type: 'string' },
+    { key: 'accessibility.enabled', env: 'A11Y', flag: 'a11y', type: 'boolean' },
+    { key: 'accessibility.failOn', env: 'A11Y_FAIL_ON', flag: 'a11y-fail-on', type: ['minor', 'moderate', 'serious', 'critical', 'none'] },
+    { key: 'visual.enabled', env: 'VISUAL', flag: 'visual', type: 'boolean' },
+    { key: 'visual.baselineDir', env: 'VISUAL_BASELINES', flag: 'visual-baselines', type: 'string' },
+    { key: 'visual.outputDir', env: 'VISUAL_DIR', flag: 'visual-dir', type: 'string' },
+    { key: 'visual.tolerance', env: 'VISUAL_TOLERANCE', flag: 'visual-tolerance', type: 'ratio' },
+    { key: 'visual.ignoreFile', env: 'VISUAL_IGNORE', flag: 'visual-ignore', type: 'string' },
+    { key: 'history.record', env: 'HISTORY_RECORD', flag: 'history-record', type: 'boolean' },
+    { key: 'history.file', env: 'HISTORY_FILE', flag: 'history-file', type: 'string' },
+    { key: 'flaky.record', env: 'FLAKY_RECORD', flag: 'flaky-record', type: 'boolean' },
+    { key: 'flaky.historyFile', env: 'FLAKY_HISTORY', flag: 'flaky-history', type: 'string' },
+    { key: 'select.ids', env: 'TEST_IDS', flag: 'ids', type: 'list' },
+    { key: 'select.expectedResult', env: 'EXPECTED_RESULT', flag: 'expected', type: ['success', 'fail'] },
+    { key: 'select.tags', env: 'TAGS', flag: 'tags', type: 'list' },
+    { key: 'select.rerunFailed', env: 'RERUN_FAILED', flag: 'rerun-failed', type: 'boolean' },
+    { key: 'select.rerunReport', env: 'RERUN_REPORT', flag: 'rerun-report', type: 'string' },
+    { key: 'maxUsers', env: 'MAX_USERS', flag: 'max-users', type: 'count' },
+    { key: 'maxLogins', env: 'MAX_LOGINS', flag: 'max-logins', type: 'count' },
+    { key: 'headless', env: 'HEADLESS', flag: 'headless', type: 'boolean' },
+    { key: 'browser', env: 'BROWSER', flag: 'browser', type: ['chrome', 'firefox', 'edge'] },
+    { key: 'screen.width', env: 'SCREEN_WIDTH', flag: 'screen-width', type: 'pixels' },
+    { key: 'screen.height', env: 'SCREEN_HEIGHT', flag: 'screen-height', type: 'pixels' },
+    { key: 'zoomLevel', env: 'ZOOM_LEVEL', flag: 'zoom-level', type: 'zoom' },
+    { key: 'workers', env: 'WORKERS', flag: 'workers', type: 'positive' },
+    { key: 'shard.index', env: 'SHARD_INDEX', flag: 'shard-index', type: 'count' },
+    { key: 'shard.total', env: 'SHARD_TOTAL', flag: 'shard-total', type: 'positive' },
+    { key: 'network.capture', env: 'NETWORK_CAPTURE', flag: 'network-capture', type: 'boolean' },
+    { key: 'network.urlPattern', env: 'NETWORK_URL_PATTERN', flag: 'network-url-pattern', type: 'string' },
+    { key: 'cleanup.enabled', env: 'CLEANUP', flag: 'cleanup', type: 'boolean' },
+    { key: 'cleanup.mode', env: 'CLEANUP_MODE', flag: 'cleanup-mode', type: ['delete', 'deactivate'] },
+    { key: 'cleanup.adminEmail', env: 'ADMIN_EMAIL', flag: 'admin-email', type: 'string' },
+    { key: 'cleanup.adminPassword', env: 'ADMIN_PASSWORD', flag: 'admin-password', type: 'string', secret: true },
+    { key: 'remote.url', env: 'SELENIUM_REMOTE_URL', flag: 'remote-url', type: 'url' },
+    { key: 'remote.browserVersion', env: 'BROWSER_VERSION', flag: 'browser-version', type: 'string' },
+    { key: 'remote.platformName', env: 'PLATFORM_NAME', flag: 'platform-name', type: 'string' },
+    { key: 'remote.capabilities', env: 'SELENIUM_CAPABILITIES', flag: 'capabilities', type: 'json' },
+    { key: 'timeouts.implicit', env: 'TIMEOUT_IMPLICIT', flag: 'timeout-implicit', type: 'ms' },
+    { key: 'timeouts.pageLoad', env: 'TIMEOUT_PAGELOAD', flag: 'timeout-pageload', type: 'ms' },
+    { key: 'timeouts.elementWait', env: 'TIMEOUT_ELEMENT', flag: 'timeout-element', type: 'ms' },
+    { key: 'timeouts.testCase', env: 'TIMEOUT_TESTCASE', flag: 'timeout-testcase', type: 'ms' },
+    { key: 'timeouts.suite', env: 'TIMEOUT_SUITE', flag: 'timeout-suite', type: 'ms' },
+    { key: 'timeouts.setup', env: 'TIMEOUT_SETUP', flag: 'timeout-setup', type: 'ms' }
+];
+
+// Chuyển giá trị thô (string từ env/CLI hoặc giá trị JSON) sang đúng kiểu, trả về { value } hoặc { error }
+function coerce(type, raw) {
+    const text = typeof raw === 'string' ? raw.trim() : raw;
+
+    if (Array.isArray(type)) {
+        const value = typeof text === 'string' ? text.toLowerCase() : text;
+        return type.includes(value) ? { value } : { error: `must be one of ${type.join(', ')}` };
+    }
+
+    switch (type) {
+        case 'string':
+            return typeof text === 'string' && text !== '' ? { value: text } : { error: 'must be a non-empty string' };
+        case 'list': {
+            // Danh sách phân tách bằng dấu phẩy (env / CLI) hoặc mảng string (profile)
+            const items = (Array.isArray(text) ? text : String(text).split(',')).map(item => String(item).trim()).filter(Boolean);
+            return items.length > 0 ? { value: items } : { error: 'must be a non-empty comma-separated list' };
+        }
+        case 'url':
+            try {
+                return { value: new URL(text).href };
+            } catch (error) {
+                return { error: 'must be an absolute URL' };
+            }
+        case 'boolean':
+            if (text === true || text === false) return { value: text };
+            if (['true', '1', 'yes'].includes(String(text).toLowerCase())) return { value: true };
+            if (['false', '0', 'no'].includes(String(text).toLowerCase())) return { value: false };
+            return { error: 'must be true or false' };
+        case 'count':
+        case 'positive':
+        case 'pixels':
+        case 'ms': {
+            const value = Number(text);
+            const min = type === 'count' ? 0 : 1;
+            return Number.isInteger(value) && value >= min ? { value } : { error: `must be an integer >= ${min}` };
+        }
+        case 'json': {
+            // Object (từ profile), chuỗi JSON hoặc đường dẫn tới file .json
+            if (text && typeof text === 'object' && !Array.isArray(text)) return { value: text };
+            try {
+                const source = typeof text === 'string' && text.endsWith('.json') ? fs.readFileSync(text, 'utf-8') : text;
+                const value = JSON.parse(source);
+                return value && typeof value === 'object' && !Array.isArray(value)
+                    ? { value }
+                    : { error: 'must be a JSON object' };
+            } catch (error) {
+                return { error: `must be a JSON object or a .json file (${error.message})` };
+            }
+        }
+        case 'runId':
+            // Độ rộng cố định để template trong data file giữ đúng độ dài
+            return /^[a-z0-9]{6}$/.test(String(text)) ? { value: String(text) } : { error: 'must be 6 lowercase letters or digits' };
+        case 'ratio': {
+            const value = Number(text);
+            return text !== '' && value >= 0 && value <= 1 ? { value } : { error: 'must be a number between 0 and 1' };
+        }
+        case 'zoom': {
+            const value = Number(text);
+            return value > 0 && value <= 5 ? { value } : { error: 'must be a number between 0 and 5' };
+        }
+        default:
+            return { error: `has unknown type ${type}` };
+    }
+}
+
+function getPath(object, key) {
+    return key.split('.').reduce((value, part) => (value === undefined ? undefined : value[part]), object);
+}
+
+function setPath(object, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const target = parts.reduce((value, part) => value[part], object);
+    target[last] = value;
+}
+
+// Làm phẳng file profile thành { 'timeouts.implicit': 3000, ... } để so với danh sách option
+// (option kiểu object như remote.capabilities được giữ nguyên)
+function flatten(object, prefix = '') {
+    const entries = {};
+    for (const [name, value] of Object.entries(object)) {
+        const key = prefix ? `${prefix}.${name}` : name;
+        const isOption = options.some(option => option.key === key);
+        if (!isOption && value && typeof value === 'object' && !Array.isArray(value)) {
+            Object.assign(entries, flatten(value, key));
+        } else {
+            entries[key] = value;
+        }
+    }
+    return entries;
+}
+
+// Đọc CLI flags dạng --name=value, --flag / --no-flag (flag không có "=" nhận giá trị true).
+// argv là của cả mocha nên không bao giờ lấy arg kế tiếp làm giá trị: "--headless tests/x.test.js"
+// không được nuốt mất đường dẫn spec
+function parseFlags(argv) {
+    const flags = {};
+    for (const arg of argv) {
+        const match = /^--(no-)?([a-z][a-z0-9-]*)(?:=(.*))?$/.exec(arg);
+        if (!match) continue;
+        const [, negated, name, inlineValue] = match;
+        if (negated) {
+            flags[name] = 'false';
+        } else {
+            flags[name] = inlineValue ?? true;
+        }
+    }
+    return flags;
+}
+
+export function resolveConfig({ env = process.env, argv = process.argv.slice(2), configDir = './config' } = {}) {
+    const config = structuredClone(defaults);
+    const sources = {};
+    const errors = [];
+    const flags = parseFlags(argv);
+
+    // Chỉ option boolean được viết trần (--headless); option khác phải là --flag=value
+    for (const option of [{ flag: 'profile', type: 'string' }, ...options]) {
+        if (option.type !== 'boolean' && flags[option.flag] === true) {
+            errors.push(`cli:--${option.flag} needs a value, write it as --${option.flag}=<value>`);
+            delete flags[option.flag];
+        }
+    }
+
+    const apply = (option, raw, source) => {
+        const { value, error } = coerce(option.type, raw);
+        if (error) {
+            errors.push(`${source}: ${option.key} ${error} (got ${JSON.stringify(raw)})`);
+            return;
+        }
+        setPath(config, option.key, value);
+        sources[option.key] = source;
+    };
+
+    const profile = flags.profile || env.PROFILE;
+    if (profile) {
+        const file = path.join(configDir, `${profile}.json`);
+        if (!fs.existsSync(file)) {
+            const available = fs.existsSync(configDir)
+                ? fs.readdirSync(configDir).filter(f => f.endsWith('.json')).map(f => f.replace(/\.json$/, ''))
+                : [];
+            throw new Error(`Unknown config profile "${profile}" (available: ${available.join(', ') || 'none'})`);
+        }
+        for (const [key, raw] of Object.entries(flatten(JSON.parse(fs.readFileSync(file, 'utf-8'))))) {
+            const option = options.find(o => o.key === key);
+            if (!option) {
+                errors.push(`${file}: unknown option "${key}"`);
+                continue;
+            }
+            apply(option, raw, `profile:${profile}`);
+        }
+    }
+
+    for (const option of options) {
+        if (env[option.env] !== undefined && env[option.env] !== '') {
+            apply(option, env[option.env], `env:${option.env}`);
+        }
+    }
+
+    for (const option of options) {
+        if (flags[option.flag] !== undefined) {
+            apply(option, flags[option.flag], `cli:--${option.flag}`);
+        }
+    }
+
+    if (config.shard.index >= config.shard.total) {
+        errors.push(`shard.index ${config.shard.index} must be lower than shard.total ${config.shard.total}`);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid test configuration:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+    }
+
+    if (config.runId === undefined) {
+        config.runId = crypto.randomInt(36 ** 6).toString(36).padStart(6, '0');
+        sources.runId = 'generated';
+    }
+
+    config.profile = profile || 'default';
+    return { config, sources };
+}
+
+// In config đã resolve kèm nguồn của từng giá trị
+export function formatConfig({ config, sources }) {
+    const lines = [`🚀 Test Configuration (profile: ${config.profile})`];
+    for (const option of options) {
+        const value = getPath(config, option.key);
+        if (value === undefined) continue;
+        const shown = option.secret ? '"***"' : JSON.stringify(value);
+        lines.push(`   ${option.key.padEnd(20)} ${shown.padEnd(32)} ${sources[option.key] || 'default'}`);
+    }
+    return lines.join('\n');
+}
+
+const resolved = resolveConfig();
+
+// Test configuration
+export const testConfig = resolved.config;
+export const configSources = resolved.sources;
+
+export function describeConfig() {
+    return formatConfig(resolved);
+}
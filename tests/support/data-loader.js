@@ -0,0 +1,270 @@
+import fs from 'fs';
+import path from 'path';
+import ExcelJS from 'exceljs';
+import { parse as parseCsv } from 'csv-parse/sync';
+import YAML from 'yaml';
+import { schemas } from './data-schema.js';
+import { testConfig } from './config.js';
+import { assertValidDataset } from './data-validation.js';
+import { renderTemplates } from './templating.js';
+import { resolveDependencies, orderByDependencies } from './dependencies.js';
+
+// Alias header thường gặp trong spreadsheet test case -> field của record
+const headerAliases = {
+    testCaseID: ['id', 'testcase', 'testcaseid', 'tcid', 'testid'],
+    expectedResult: ['expected', 'expectedresult', 'expectedoutcome'],
+    firstName: ['firstname', 'first'],
+    lastName: ['lastname', 'last'],
+    dob: ['dob', 'dateofbirth', 'birthdate', 'birthday'],
+    street: ['street', 'address', 'streetaddress'],
+    postalCode: ['postalcode', 'postcode', 'zip', 'zipcode'],
+    phone: ['phone', 'phonenumber', 'mobile'],
+    dependsOn: ['dependson', 'dependency', 'requires'],
+    expectedErrors: ['expectederrors', 'expectederror', 'fielderrors'],
+    expectedResponse: ['expectedresponse', 'expectedstatus', 'httpstatus'],
+    tags: ['tags', 'tag', 'labels']
+};
+
+// Cột kết quả mà npm run report:export ghi ngược vào spreadsheet (không phải input của row).
+// Spreadsheet dùng header khác thì khai báo qua alias; header đầu tiên là tên cột được thêm mới
+export const resultColumns = {
+    actualResult: ['Actual Result', 'actual', 'actualoutcome'],
+    status: ['Status', 'teststatus', 'executionstatus'],
+    error: ['Error Message', 'error', 'failurereason'],
+    duration: ['Duration (s)', 'duration', 'time'],
+    screenshot: ['Screenshot', 'screenshotpath', 'evidence'],
+    executedAt: ['Executed At', 'executiondate', 'lastrun']
+};
+
+const extensionFormats = {
+    '.json': 'json',
+    '.csv': 'csv',
+    '.xlsx': 'xlsx',
+    '.yaml': 'yaml',
+    '.yml': 'yaml'
+};
+
+export function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Tạo bảng tra header (đã normalize) -> field, custom map ưu tiên hơn alias mặc định
+export function buildHeaderLookup(kind, columnMap = {}) {
+    const lookup = new Map();
+    for (const field of Object.keys(schemas[kind].properties)) {
+        lookup.set(normalizeHeader(field), field);
+        for (const alias of headerAliases[field] || []) lookup.set(alias, field);
+    }
+    for (const [header, field] of Object.entries(columnMap)) {
+        lookup.set(normalizeHeader(header), field);
+    }
+    return lookup;
+}
+
+// Chuẩn hoá giá trị ô spreadsheet về string như trong file JSON
+function cellToString(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().split('T')[0];
+    if (typeof value === 'object') {
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if ('result' in value) return cellToString(value.result);
+        if ('text' in value) return cellToString(value.text);
+    }
+    return String(value).trim();
+}
+
+// Ô số của Excel lưu giá trị number, nên số 0 đầu (phone 0901234567, postcode 01234) chỉ còn trong định dạng ô
+// (0000000000, 00000-0000...). ExcelJS không áp định dạng vào cell.text, nên điền lại chữ số theo định dạng
+// gồm toàn chữ số 0 và dấu phân cách; định dạng khác giữ String(value) như trước
+export function numberCellText(value, numFmt) {
+    if (!numFmt || !/^[0\s().-]+$/.test(numFmt) || !Number.isInteger(value) || value < 0) return String(value);
+    const placeholders = numFmt.split('').filter(char => char === '0').length;
+    const digits = String(value).padStart(placeholders, '0').split('');
+    const overflow = digits.splice(0, digits.length - placeholders).join('');
+    let next = 0;
+    return overflow + numFmt.replace(/0/g, () => digits[next++]);
+}
+
+// Giá trị ô XLSX cho mapRows: ô số (kể cả kết quả công thức) thành text theo định dạng ô
+function xlsxCellValue(cell) {
+    const value = cell.value !== null && typeof cell.value === 'object' && 'result' in cell.value ? cell.value.result : cell.value;
+    return typeof value === 'number' ? numberCellText(value, cell.numFmt) : cell.value;
+}
+
+// Ô chứa object JSON; JSON lỗi thì giữ nguyên text để schema báo lỗi theo row
+function parseJsonCell(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+// Ô "Expected Errors" trong CSV / Excel: object JSON, hoặc mỗi dòng (hay dấu ;) 1 cặp "field: pattern"
+function parseExpectedErrors(text) {
+    if (text.startsWith('{')) return parseJsonCell(text);
+    const errors = {};
+    for (const line of text.split(/[\n;]/).map(l => l.trim()).filter(Boolean)) {
+        const separator = line.indexOf(':');
+        const field = separator === -1 ? line : line.slice(0, separator).trim();
+        const pattern = separator === -1 ? '' : line.slice(separator + 1).trim();
+        errors[field] = field in errors ? [].concat(errors[field], pattern) : pattern;
+    }
+    return errors;
+}
+
+// Ô "Expected Response" trong CSV / Excel: object JSON, hoặc "422" / "422: email, postalCode"
+function parseExpectedResponse(text) {
+    if (text.startsWith('{')) return parseJsonCell(text);
+    const match = /^(\d{3})\s*(?::\s*(.*))?$/.exec(text);
+    if (!match) return text; // Để schema báo lỗi theo row
+    const response = { status: Number(match[1]) };
+    if (match[2]) response.violations = match[2].split(/[,\s]+/).filter(Boolean);
+    return response;
+}
+
+// Header (đã normalize) của các cột kết quả, để không báo là cột không dùng
+const resultHeaders = new Set(Object.values(resultColumns).flat().map(normalizeHeader));
+
+// Map các dòng dạng bảng (header -> value) sang record, bỏ cột không dùng và dòng trống
+function mapRows(rows, kind, columnMap, source) {
+    const lookup = buildHeaderLookup(kind, columnMap);
+    const ignored = new Set();
+
+    const records = rows
+        .filter(row => Object.values(row).some(value => cellToString(value) !== ''))
+        .map(row => {
+            const record = {};
+            for (const [header, value] of Object.entries(row)) {
+                const field = lookup.get(normalizeHeader(header));
+                if (field === 'expectedErrors' || field === 'expectedResponse') {
+                    // Cột tuỳ chọn: ô trống nghĩa là row không kiểm tra phần này
+                    const text = cellToString(value);
+                    if (text) record[field] = field === 'expectedErrors' ? parseExpectedErrors(text) : parseExpectedResponse(text);
+                } else if (field === 'tags') {
+                    // Ô "Tags": "smoke, email" (dấu phẩy, ; hoặc xuống dòng), ô trống nghĩa là row không có tag
+                    const list = cellToString(value).split(/[,;\n]/).map(tag => tag.trim().toLowerCase()).filter(Boolean);
+                    if (list.length > 0) record.tags = list;
+                } else if (field) {
+                    record[field] = cellToString(value);
+                } else if (!resultHeaders.has(normalizeHeader(header))) {
+                    ignored.add(header);
+                }
+            }
+            // Row có dependsOn: ô trống nghĩa là kế thừa giá trị từ row đăng ký
+            if (record.dependsOn !== undefined) {
+                for (const [field, value] of Object.entries(record)) {
+                    if (value === '') delete record[field];
+                }
+            }
+            return record;
+        });
+
+    if (ignored.size > 0) {
+        console.log(`ℹ️ ${source}: ignoring unmapped columns ${[...ignored].map(h => `"${h}"`).join(', ')}`);
+    }
+    return records;
+}
+
+const loaders = {
+    async json(file) {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    },
+
+    async yaml(file) {
+        return YAML.parse(fs.readFileSync(file, 'utf-8'));
+    },
+
+    async csv(file, { kind, columnMap }) {
+        const rows = parseCsv(fs.readFileSync(file, 'utf-8'), {
+            columns: true,
+            bom: true,
+            skip_empty_lines: true,
+            trim: true
+        });
+        return mapRows(rows, kind, columnMap, file);
+    },
+
+    async xlsx(file, { kind, columnMap, sheet }) {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.readFile(file);
+
+        const worksheet = sheet ? workbook.getWorksheet(sheet) : workbook.worksheets[0];
+        if (!worksheet) {
+            const names = workbook.worksheets.map(ws => ws.name).join(', ');
+            throw new Error(`Sheet "${sheet}" not found in ${file} (available: ${names})`);
+        }
+
+        const headers = [];
+        worksheet.getRow(1).eachCell((cell, column) => {
+            headers[column] = cellToString(cell.value);
+        });
+
+        const rows = [];
+        worksheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) return;
+            const values = {};
+            headers.forEach((header, column) => {
+                if (header) values[header] = xlsxCellValue(row.getCell(column));
+            });
+            rows.push(values);
+        });
+        return mapRows(rows, kind, columnMap, `${file} [${worksheet.name}]`);
+    }
+};
+
+// Chọn loader theo DATA_FORMAT (nếu có) hoặc theo đuôi file
+export function resolveFormat(file, format) {
+    const resolved = format || extensionFormats[path.extname(file).toLowerCase()];
+    if (!resolved || !loaders[resolved]) {
+        throw new Error(`Unsupported data format for ${file} (supported: ${Object.keys(loaders).join(', ')})`);
+    }
+    return resolved;
+}
+
+// Đọc record từ JSON / CSV / XLSX / YAML như trong file, placeholder ({{runId}}...) chưa được thay
+export async function readRecords(file, { kind, format, sheet, columnMap = {} } = {}) {
+    if (!schemas[kind]) {
+        throw new Error(`Unknown data kind: ${kind}`);
+    }
+    const loader = loaders[resolveFormat(file, format)];
+    return loader(file, { kind, sheet, columnMap });
+}
+
+// Đọc record từ JSON / CSV / XLSX / YAML, giữ nguyên shape của data/register.json và data/login.json
+// Placeholder ({{runId}}, {{seq}}...) được thay trước khi validate, theo runId của lần chạy
+export async function loadRecords(file, { runId = testConfig.runId, ...options } = {}) {
+    return renderTemplates(await readRecords(file, options), { runId, source: file });
+}
+
+// Nguồn dữ liệu của 1 suite theo testConfig: file + format, sheet, column map
+export function dataSource(kind) {
+    return {
+        file: kind === 'register' ? testConfig.registerData : testConfig.loginData,
+        options: {
+            kind,
+            format: testConfig.dataFormat,
+            sheet: kind === 'register' ? testConfig.registerSheet : testConfig.loginSheet,
+            columnMap: testConfig.columnMap ? JSON.parse(fs.readFileSync(testConfig.columnMap, 'utf-8')) : {}
+        }
+    };
+}
+
+// Đọc dữ liệu của 1 suite và kế thừa dependsOn từ dữ liệu đăng ký; problems là lỗi dependsOn theo row
+export async function loadDataset(kind, { file, registerFile } = {}) {
+    const source = dataSource(kind);
+    const records = await loadRecords(file || source.file, source.options);
+
+    let accounts = records;
+    if (kind !== 'register' && Array.isArray(records) && records.some(record => record?.dependsOn !== undefined)) {
+        const register = dataSource('register');
+        accounts = await loadRecords(registerFile || register.file, register.options);
+    }
+    return { file: file || source.file, ...resolveDependencies(records, accounts, kind) };
+}
+
+// Đọc + validate dữ liệu của 1 suite theo testConfig, row phụ thuộc luôn đứng sau row nó cần
+export async function loadTestData(kind) {
+    const { file, records, problems } = await loadDataset(kind);
+    return orderByDependencies(assertValidDataset(records, kind, file, problems));
+}
@@ -0,0 +1,105 @@
+import { countries } from './countries.js';
+import { registerFields, loginFields } from './fields.js';
+
+const expectedResult = { type: 'string', enum: ['Success', 'Fail'] };
+const testCaseID = { type: 'string', minLength: 1, pattern: '^\\S(.*\\S)?$' };
+// Nhãn để chọn row khi chạy (--tags=smoke), vd. ["smoke", "boundary", "email"]
+const tags = { type: 'array', uniqueItems: true, items: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]*$' } };
+
+// Row kỳ vọng Success phải có dữ liệu hợp lệ thật sự; row Fail được phép cố tình sai (DOB, country...)
+const validWhenSuccess = {
+    if: { properties: { expectedResult: { const: 'Success' } }, required: ['expectedResult'] },
+    then: {
+        properties: {
+            dob: { format: 'date' },
+            country: { enum: countries.map(country => country.code) },
+            email: { format: 'email' }
+        },
+        not: { required: ['expectedErrors'] }
+    }
+};
+
+// expectedErrors: { field: pattern | [pattern, ...] }, pattern là regex (không phân biệt hoa thường)
+// cho thông báo lỗi hiển thị dưới input của field đó
+function expectedErrorsSchema(fields) {
+    const pattern = { type: 'string', minLength: 1, format: 'regex' };
+    return {
+        type: 'object',
+        minProperties: 1,
+        additionalProperties: false,
+        properties: Object.fromEntries(fields.map(field => [
+            field.key,
+            { ...pattern, type: ['string', 'array'], minItems: 1, items: pattern }
+        ]))
+    };
+}
+
+// expectedResponse: response của API sau khi submit, vd. { "status": 422, "violations": ["email"] }
+// violations là các field của data row mà API báo lỗi
+function expectedResponseSchema(fields) {
+    return {
+        type: 'object',
+        minProperties: 1,
+        additionalProperties: false,
+        properties: {
+            status: { type: 'integer', minimum: 100, maximum: 599 },
+            violations: { type: 'array', uniqueItems: true, items: { enum: fields.map(field => field.key) } }
+        }
+    };
+}
+
+// JSON Schema cho 1 record của data/register.json
+export const registerSchema = {
+    $id: 'register-record',
+    type: 'object',
+    additionalProperties: false,
+    required: [
+        'testCaseID', 'email', 'password', 'firstName', 'lastName', 'dob',
+        'street', 'postalCode', 'city', 'state', 'country', 'phone', 'expectedResult'
+    ],
+    properties: {
+        testCaseID,
+        tags,
+        email: { type: 'string' },
+        password: { type: 'string' },
+        firstName: { type: 'string' },
+        lastName: { type: 'string' },
+        dob: { type: 'string' },
+        street: { type: 'string' },
+        postalCode: { type: 'string' },
+        city: { type: 'string' },
+        state: { type: 'string' },
+        country: { type: 'string' },
+        phone: { type: 'string' },
+        dependsOn: testCaseID,
+        expectedResult,
+        expectedErrors: expectedErrorsSchema(registerFields),
+        expectedResponse: expectedResponseSchema(registerFields)
+    },
+    ...validWhenSuccess
+};
+
+// JSON Schema cho 1 record của data/login.json
+export const loginSchema = {
+    $id: 'login-record',
+    type: 'object',
+    additionalProperties: false,
+    required: ['testCaseID', 'email', 'password', 'expectedResult'],
+    properties: {
+        testCaseID,
+        tags,
+        email: { type: 'string' },
+        password: { type: 'string' },
+        dependsOn: testCaseID,
+        expectedResult,
+        expectedErrors: expectedErrorsSchema(loginFields),
+        expectedResponse: expectedResponseSchema(loginFields)
+    },
+    if: validWhenSuccess.if,
+    then: { not: validWhenSuccess.then.not }
+};
+
+export const schemas = {
+    register: registerSchema,
+    login: loginSchema
+};
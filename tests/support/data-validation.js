@@ -0,0 +1,121 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { schemas } from './data-schema.js';
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+const validators = Object.fromEntries(
+    Object.entries(schemas).map(([kind, schema]) => [kind, ajv.compile(schema)])
+);
+
+// Chuyển lỗi của Ajv sang câu dễ đọc, gắn với field bị lỗi
+function describeError(error) {
+    const property = error.params.missingProperty || error.params.additionalProperty;
+    const field = [error.instancePath.replace(/^\//, ''), property].filter(Boolean).join('/') || '(record)';
+
+    switch (error.keyword) {
+        case 'required':
+            return { field, message: 'is missing' };
+        case 'additionalProperties':
+            return { field, message: 'is not a known field' };
+        case 'enum':
+            if (field === 'country') {
+                return { field, message: 'must be a valid ISO 3166-1 alpha-2 country code' };
+            }
+            return { field, message: `must be one of ${error.params.allowedValues.join(', ')}` };
+        case 'format':
+            return { field, message: error.params.format === 'date' ? 'must be a date in YYYY-MM-DD format' : `must be a valid ${error.params.format}` };
+        case 'type':
+            return { field, message: `must be a ${[].concat(error.params.type).join(' or ')}` };
+        case 'not':
+            // Chỉ dùng cho expectedErrors trên row Success
+            return { field: 'expectedErrors', message: 'is only allowed on rows expecting Fail' };
+        case 'pattern':
+            if (/^tags\/\d+$/.test(field)) {
+                return { field, message: "must be lowercase letters, digits and '-'" };
+            }
+            return { field, message: 'must not be blank or have leading/trailing spaces' };
+        default:
+            return { field, message: error.message };
+    }
+}
+
+function valueAt(record, error) {
+    const parts = error.instancePath.split('/').filter(Boolean);
+    if (parts.length === 0 || !record) return undefined;
+    return parts.reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), record);
+}
+
+// Validate cả dataset: schema từng row + trùng testCaseID. Trả về danh sách lỗi theo row
+export function validateDataset(records, kind) {
+    const validate = validators[kind];
+    if (!validate) {
+        throw new Error(`Unknown data kind: ${kind}`);
+    }
+    if (!Array.isArray(records) || records.length === 0) {
+        return [{ row: null, testCaseID: null, field: '(file)', message: 'must contain a non-empty array of test cases' }];
+    }
+
+    const problems = [];
+    const firstRowById = new Map();
+
+    records.forEach((record, index) => {
+        const row = index + 1;
+        const testCaseID = record && typeof record.testCaseID === 'string' ? record.testCaseID : null;
+
+        if (!validate(record)) {
+            for (const error of validate.errors) {
+                // Bỏ lỗi "must match then schema" vì đã có lỗi chi tiết của từng field
+                if (error.keyword === 'if') continue;
+                problems.push({ row, testCaseID, value: valueAt(record, error), ...describeError(error) });
+            }
+        }
+
+        if (testCaseID) {
+            if (firstRowById.has(testCaseID)) {
+                problems.push({
+                    row,
+                    testCaseID,
+                    field: 'testCaseID',
+                    message: `duplicates row ${firstRowById.get(testCaseID)}`
+                });
+            } else {
+                firstRowById.set(testCaseID, row);
+            }
+        }
+    });
+
+    return problems;
+}
+
+// In báo cáo lỗi theo từng row
+export function formatValidationReport(source, problems) {
+    const lines = [`❌ ${source}: ${problems.length} problem(s)`];
+    const byRow = new Map();
+    for (const problem of problems) {
+        const key = problem.row === null ? 'file' : problem.row;
+        if (!byRow.has(key)) byRow.set(key, []);
+        byRow.get(key).push(problem);
+    }
+
+    for (const [row, rowProblems] of byRow) {
+        const id = rowProblems[0].testCaseID;
+        lines.push(row === 'file' ? '  File:' : `  Row ${row}${id ? ` (${id})` : ''}:`);
+        for (const problem of rowProblems) {
+            const got = problem.value !== undefined ? ` (got ${JSON.stringify(problem.value)})` : '';
+            lines.push(`    - ${problem.field}: ${problem.message}${got}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+// Dùng trước khi sinh test case: dừng ngay với báo cáo rõ ràng thay vì lỗi runtime giữa chừng
+// extraProblems: lỗi phát hiện lúc load (vd. dependsOn trỏ tới row không tồn tại)
+export function assertValidDataset(records, kind, source, extraProblems = []) {
+    const problems = [...extraProblems, ...validateDataset(records, kind)];
+    if (problems.length > 0) {
+        throw new Error(`Invalid test data\n${formatValidationReport(source, problems)}`);
+    }
+    return records;
+}
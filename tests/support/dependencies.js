@@ -0,0 +1,115 @@
+import fs from 'fs';
+import { Outcome } from './outcomes.js';
+
+// Field mà row có dependsOn được kế thừa từ row đăng ký (nếu row không tự khai báo)
+const inheritedFields = {
+    login: ['email', 'password'],
+    register: [
+        'email', 'password', 'firstName', 'lastName', 'dob', 'street',
+        'postalCode', 'city', 'state', 'country', 'phone'
+    ]
+};
+
+// dependsOn trỏ tới testCaseID của 1 row đăng ký (vd. "Sign Up-TC04"): row kế thừa email / password
+// (row register kế thừa cả form) của account đó. Trả về records đã kế thừa + lỗi theo row như validateDataset
+export function resolveDependencies(records, accounts, kind) {
+    if (!Array.isArray(records)) return { records, problems: [] };
+    const problems = [];
+    const accountsById = new Map((accounts || []).map(account => [account?.testCaseID, account]));
+    const resolved = new Map();
+
+    // Row register có thể phụ thuộc row register khác: kế thừa theo chuỗi, phát hiện vòng lặp
+    const resolveAccount = (id, chain) => {
+        const account = accountsById.get(id);
+        if (kind !== 'register' || !account?.dependsOn) return account;
+        if (chain.includes(id)) return null;
+        if (!resolved.has(id)) {
+            const parent = resolveAccount(account.dependsOn, [...chain, id]);
+            if (parent === null) return null;
+            resolved.set(id, parent ? inherit(account, parent, kind) : account);
+        }
+        return resolved.get(id);
+    };
+
+    const result = records.map((record, index) => {
+        if (!record || typeof record !== 'object' || record.dependsOn === undefined) return record;
+        const problem = message => problems.push({ row: index + 1, testCaseID: record.testCaseID ?? null, field: 'dependsOn', value: record.dependsOn, message });
+
+        if (record.dependsOn === record.testCaseID) {
+            problem('must not reference the row itself');
+            return record;
+        }
+        if (!accountsById.has(record.dependsOn)) {
+            problem('must be the testCaseID of a registration row');
+            return record;
+        }
+        const account = resolveAccount(record.dependsOn, [record.testCaseID]);
+        if (account === null) {
+            problem('forms a dependency cycle');
+            return record;
+        }
+        return inherit(record, account, kind);
+    });
+
+    return { records: result, problems };
+}
+
+function inherit(record, account, kind) {
+    const merged = { ...record };
+    for (const field of inheritedFields[kind]) {
+        if (merged[field] === undefined && account[field] !== undefined) merged[field] = account[field];
+    }
+    return merged;
+}
+
+// Sắp xếp để row luôn đứng sau row mà nó phụ thuộc (trong cùng danh sách), còn lại giữ thứ tự file
+export function orderByDependencies(records) {
+    const byId = new Map(records.map(record => [record.testCaseID, record]));
+    const ordered = [];
+    const visited = new Set();
+    const visit = record => {
+        if (visited.has(record)) return;
+        visited.add(record);
+        const dependency = byId.get(record.dependsOn);
+        if (dependency) visit(dependency);
+        ordered.push(record);
+    };
+    records.forEach(visit);
+    return ordered;
+}
+
+// Thêm row đăng ký mà row đã chọn phụ thuộc (dependsOn, kể cả theo chuỗi), giữ thứ tự file
+export function withDependencies(selected, register, dependents) {
+    const byId = new Map(register.map(record => [record.testCaseID, record]));
+    const ids = new Set(selected.map(record => record.testCaseID));
+    const pending = [...selected, ...dependents].map(record => record.dependsOn).filter(Boolean);
+    while (pending.length > 0) {
+        const id = pending.pop();
+        if (ids.has(id) || !byId.has(id)) continue;
+        ids.add(id);
+        pending.push(byId.get(id).dependsOn);
+    }
+    return register.filter(record => ids.has(record.testCaseID));
+}
+
+// Kết quả của suite đăng ký do runner song song ghi lại cho phase Login
+export function readDependencyResults(file) {
+    const { successful = [], failed = [], outcomes = [] } = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return { successful, failed, outcomes };
+}
+
+// Lý do Blocked nếu account mà row phụ thuộc chưa được tạo trong lần chạy này, null nếu chạy được
+// registration: { successful: [testCaseID], failed: [testCaseID], outcomes: [{ testCaseID, outcome }] }
+export function dependencyBlocker(record, registration) {
+    const dependsOn = record.dependsOn;
+    if (!dependsOn || registration.successful.includes(dependsOn)) return null;
+
+    const outcome = registration.outcomes.find(entry => entry.testCaseID === dependsOn)?.outcome;
+    if (outcome === Outcome.Blocked || outcome === Outcome.Skipped) {
+        return `dependency ${dependsOn} was ${outcome}`;
+    }
+    if (registration.failed.includes(dependsOn) || outcome) {
+        return `dependency ${dependsOn} did not create the account`;
+    }
+    return `dependency ${dependsOn} did not run`;
+}
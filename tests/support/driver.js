@@ -0,0 +1,180 @@
+import { Builder } from 'selenium-webdriver';
+import { testConfig } from './config.js';
+import { log } from './logger.js';
+import { installRequestTracker } from './waits.js';
+
+// Thông tin session (id, browser, node của Grid) của từng driver, để gắn vào report
+const sessionInfo = new WeakMap();
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Áp dụng browserVersion, platformName và capabilities tuỳ chỉnh (vd. vendor options của Grid)
+function applyRemoteCapabilities(options, remote) {
+    if (remote.browserVersion) options.setBrowserVersion(remote.browserVersion);
+    if (remote.platformName) options.setPlatform(remote.platformName);
+    for (const [name, value] of Object.entries(remote.capabilities || {})) {
+        const current = options.get(name);
+        options.set(name, isPlainObject(current) && isPlainObject(value) ? { ...current, ...value } : value);
+    }
+}
+
+// Hỏi Selenium Grid (endpoint /status) xem session đang chạy trên node nào
+async function findGridNode(remoteUrl, sessionId) {
+    try {
+        const response = await fetch(`${remoteUrl.replace(/\/$/, '')}/status`, { signal: AbortSignal.timeout(3000) });
+        const status = await response.json();
+        for (const node of status.value?.nodes || []) {
+            const slot = (node.slots || []).find(s => s.session?.sessionId === sessionId);
+            if (slot) {
+                return { id: node.id, uri: node.uri, slot: slot.id?.id, stereotype: slot.stereotype };
+            }
+        }
+    } catch (error) {
+        log.warn(`⚠️ Could not read grid node info: ${error.message}`);
+    }
+    return null;
+}
+
+async function collectSessionInfo(driver, remoteUrl) {
+    const session = await driver.getSession();
+    const capabilities = await driver.getCapabilities();
+    const sessionId = session.getId();
+    return {
+        sessionId,
+        browserName: capabilities.getBrowserName(),
+        browserVersion: capabilities.getBrowserVersion(),
+        platformName: capabilities.getPlatform(),
+        remoteUrl: remoteUrl || 'local',
+        node: remoteUrl ? await findGridNode(remoteUrl, sessionId) : null
+    };
+}
+
+export function getSessionInfo(driver) {
+    return sessionInfo.get(driver) || null;
+}
+
+// Hàm tạo driver
+export async function createDriver(browser = testConfig.browser, headless = testConfig.headless) {
+    let options;
+    const { width, height } = testConfig.screen;
+    const zoom = testConfig.zoomLevel;
+    const commonArgs = [
+        '--no-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-blink-features=AutomationControlled',
+        '--disable-web-security',
+        '--disable-features=VizDisplayCompositor,VoiceTranscription',
+        '--disable-extensions',
+        '--disable-plugins',
+        '--disable-images',
+        '--no-first-run',
+        '--disable-gpu',
+        '--disable-notifications',
+        `--window-size=${width},${height}`
+    ];
+    // Zoom < 1 để chụp được nhiều nội dung hơn trong screenshot
+    const chromiumZoomArgs = zoom !== 1 ? [`--force-device-scale-factor=${zoom}`] : [];
+
+    switch (browser.toLowerCase()) {
+        case 'chrome':
+            const { Options: ChromeOptions } = await import('selenium-webdriver/chrome.js');
+            options = new ChromeOptions();
+            if (headless) {
+                options.addArguments('--headless', ...commonArgs);
+            } else {
+                options.addArguments(...commonArgs);
+            }
+            options.addArguments(...chromiumZoomArgs);
+            options.setUserPreferences({ 'profile.default_content_setting_values.notifications': 2 });
+            // Giữ mọi mức console log để gắn vào failure artifacts
+            options.setLoggingPrefs({ browser: 'ALL' });
+            // Network capture đọc event request / response qua WebDriver BiDi
+            if (testConfig.network.capture) {
+                options.enableBidi();
+            }
+            break;
+
+        case 'firefox':
+            const { Options: FirefoxOptions } = await import('selenium-webdriver/firefox.js');
+            options = new FirefoxOptions();
+            if (headless) {
+                options.addArguments('--headless');
+            }
+            options.addArguments(...commonArgs);
+            if (zoom !== 1) {
+                options.setPreference('layout.css.devPixelsPerPx', String(zoom));
+            }
+            // Network capture đọc event request / response qua WebDriver BiDi
+            if (testConfig.network.capture) {
+                options.enableBidi();
+            }
+            break;
+
+        case 'edge':
+            const { Options: EdgeOptions } = await import('selenium-webdriver/edge.js');
+            options = new EdgeOptions();
+            if (headless) {
+                options.addArguments('--headless');
+            }
+            options.addArguments(`--window-size=${width},${height}`, ...chromiumZoomArgs);
+            options.setLoggingPrefs({ browser: 'ALL' });
+            // Network capture đọc event request / response qua WebDriver BiDi
+            if (testConfig.network.capture) {
+                options.enableBidi();
+            }
+            break;
+
+        default:
+            throw new Error(`Browser ${browser} is not supported`);
+    }
+
+    const { remote } = testConfig;
+    applyRemoteCapabilities(options, remote);
+    if (remote.url) {
+        log.info(`🌐 Using remote WebDriver at ${remote.url}`);
+    }
+
+    let driver;
+    const maxRetries = 3;
+    for (let i = 0; i < maxRetries; i++) {
+        try {
+            const builder = new Builder()
+                .forBrowser(browser === 'edge' ? 'MicrosoftEdge' : browser)
+                .setChromeOptions(browser === 'chrome' ? options : null)
+                .setFirefoxOptions(browser === 'firefox' ? options : null)
+                .setEdgeOptions(browser === 'edge' ? options : null);
+            if (remote.url) {
+                builder.usingServer(remote.url);
+            }
+            driver = await builder.build();
+            break;
+        } catch (error) {
+            log.warn(`⚠️ Driver creation attempt ${i + 1}/${maxRetries} failed: ${error.message}`);
+            if (i === maxRetries - 1) throw error;
+            await new Promise(resolve => setTimeout(resolve, 2000));
+        }
+    }
+
+    await driver.manage().setTimeouts({ 
+        implicit: testConfig.timeouts.implicit, 
+        pageLoad: testConfig.timeouts.pageLoad 
+    });
+
+    await driver.manage().window().setRect({ width, height, x: 0, y: 0 });
+
+    log.info(`📺 Screen resolution set to: ${width}x${height} (zoom ${zoom})`);
+
+    // Smart wait đếm cả request app gửi ngay lúc tải trang
+    const tracker = await installRequestTracker(driver);
+    if (tracker) log.debug(`⏱️ Request tracker installed on page load via ${tracker}`);
+
+    const info = await collectSessionInfo(driver, remote.url);
+    sessionInfo.set(driver, info);
+    log.info(`🆔 Session ${info.sessionId}: ${info.browserName} ${info.browserVersion} on ${info.platformName}` +
+        (info.node ? ` (grid node ${info.node.uri})` : ''));
+
+    return driver;
+}
+
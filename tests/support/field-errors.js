@@ -0,0 +1,27 @@
+// So lỗi theo field đọc từ form với expectedErrors của data row
+// expected: { email: 'valid email', password: ['at least', 'characters'] }, actual: { email: ['...'], ... }
+// Trả về danh sách vấn đề (rỗng nghĩa là khớp): thiếu lỗi, sai message, hoặc lỗi ở field không mong đợi
+export function compareFieldErrors(expected = {}, actual = {}) {
+    const problems = [];
+
+    for (const [field, patterns] of Object.entries(expected)) {
+        const messages = actual[field] || [];
+        if (messages.length === 0) {
+            problems.push(`${field}: expected an error but the field has none`);
+            continue;
+        }
+        for (const pattern of [].concat(patterns)) {
+            if (!messages.some(message => new RegExp(pattern, 'i').test(message))) {
+                problems.push(`${field}: no message matches /${pattern}/i (got ${messages.map(m => JSON.stringify(m)).join(', ')})`);
+            }
+        }
+    }
+
+    for (const [field, messages] of Object.entries(actual)) {
+        if (!(field in expected)) {
+            problems.push(`${field}: unexpected error ${messages.map(m => JSON.stringify(m)).join(', ')}`);
+        }
+    }
+
+    return problems;
+}
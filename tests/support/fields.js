@@ -0,0 +1,29 @@
+// Ánh xạ giữa field của data row, id của input trên form Sign Up và tên field của API
+export const registerFields = [
+    { key: 'firstName', id: 'first_name', label: 'First name' },
+    { key: 'lastName', id: 'last_name', label: 'Last name' },
+    { key: 'dob', id: 'dob', label: 'Date of Birth' },
+    { key: 'street', id: 'address', label: 'Street' },
+    { key: 'postalCode', id: 'postcode', label: 'Postal code' },
+    { key: 'city', id: 'city', label: 'City' },
+    { key: 'state', id: 'state', label: 'State' },
+    { key: 'country', id: 'country', label: 'Country' },
+    { key: 'phone', id: 'phone', label: 'Phone' },
+    { key: 'email', id: 'email', label: 'Email address' },
+    { key: 'password', id: 'password', label: 'Password' }
+];
+
+// Ánh xạ tương tự cho form Sign In
+export const loginFields = [
+    { key: 'email', id: 'email', label: 'Email address' },
+    { key: 'password', id: 'password', label: 'Password' }
+];
+
+// Chuyển data row sang payload của POST /users/register
+export function toRegisterPayload(user) {
+    const payload = {};
+    for (const field of registerFields) {
+        payload[field.id] = user[field.key] ?? '';
+    }
+    return payload;
+}
@@ -0,0 +1,141 @@
+import fs from 'fs';
+import path from 'path';
+import { testConfig } from './config.js';
+
+// Số lần chạy gần nhất giữ lại cho mỗi test case trong lịch sử
+const recentRunLimit = 20;
+
+// Fallback của helper / page object (retry stale element, click bằng JavaScript, DOB strategy 2-5...)
+// được ghi lại trong test đang chạy, afterEach lấy ra để tính flakiness
+const firedFallbacks = [];
+
+export function noteFallback(name) {
+    firedFallbacks.push(name);
+}
+
+export function drainFallbacks() {
+    return firedFallbacks.splice(0);
+}
+
+// Lần chạy cuối của test có còn được retry không (mocha tự retry khi test throw)
+export function isLastAttempt(test) {
+    return test.currentRetry() >= test.retries();
+}
+
+// Gom các lần thử (attempt) của từng test case trong 1 suite
+export class FlakinessTracker {
+    constructor() {
+        this.tests = new Map();
+    }
+
+    // Gọi trong afterEach. Attempt sẽ được retry có state undefined (mocha chưa đánh dấu failed),
+    // case quarantine bị fail là pending trong mocha nhưng vẫn tính là failed
+    recordAttempt(test, fallbacks = []) {
+        if (!test || !test.testCaseID) return;
+        const entry = this.tests.get(test.testCaseID) || { testCaseID: test.testCaseID, attempts: [], fallbacks: {} };
+        entry.attempts.push({
+            retry: test.currentRetry(),
+            state: test.outcome?.quarantined ? 'failed' : test.state || (test.attemptError ? 'retried' : 'unknown'),
+            error: test.attemptError
+        });
+        for (const name of fallbacks) entry.fallbacks[name] = (entry.fallbacks[name] || 0) + 1;
+        this.tests.set(test.testCaseID, entry);
+    }
+
+    // { testCaseID, result, attempts, passedOnRetry, fallbacks, errors } cho summary / lịch sử
+    entries() {
+        return [...this.tests.values()].map(({ testCaseID, attempts, fallbacks }) => {
+            const last = attempts[attempts.length - 1];
+            return {
+                testCaseID,
+                result: last.state,
+                attempts: attempts.length,
+                passedOnRetry: last.state === 'passed' && last.retry > 0 ? last.retry : null,
+                fallbacks,
+                errors: attempts.filter(attempt => attempt.error).map(attempt => attempt.error)
+            };
+        });
+    }
+}
+
+function readHistory(file) {
+    if (!fs.existsSync(file)) return { runs: 0, tests: {} };
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+// Cộng kết quả của lần chạy này vào lịch sử flaky (mặc định reports/history/flaky-history.json)
+export function recordFlakyRun(entries, file = testConfig.flaky.historyFile) {
+    const history = readHistory(file);
+    const at = new Date().toISOString();
+    history.runs++;
+
+    for (const entry of entries) {
+        if (entry.result === 'pending') continue; // Blocked / Skipped không nói gì về độ ổn định
+        const stats = history.tests[entry.testCaseID] || { runs: 0, failedRuns: 0, passedOnRetry: 0, fallbacks: {}, recent: [] };
+        stats.runs++;
+        if (entry.result === 'failed') stats.failedRuns++;
+        if (entry.passedOnRetry) stats.passedOnRetry++;
+        for (const [name, count] of Object.entries(entry.fallbacks)) {
+            stats.fallbacks[name] = (stats.fallbacks[name] || 0) + count;
+        }
+        stats.recent = [
+            ...stats.recent,
+            { runId: testConfig.runId, at, result: entry.result, passedOnRetry: entry.passedOnRetry, fallbacks: Object.keys(entry.fallbacks) }
+        ].slice(-recentRunLimit);
+        history.tests[entry.testCaseID] = stats;
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(history, null, 2));
+    return history;
+}
+
+// Xếp hạng flaky: tỉ lệ lần chạy phải retry mới pass hoặc có fallback, rồi tới số lần fallback
+export function rankFlaky(history, limit = 10) {
+    return Object.entries(history.tests)
+        .map(([testCaseID, stats]) => {
+            const unstableRuns = stats.recent.filter(run => run.passedOnRetry || run.fallbacks.length > 0).length;
+            const fallbackCount = Object.values(stats.fallbacks).reduce((sum, count) => sum + count, 0);
+            return {
+                testCaseID,
+                runs: stats.runs,
+                passedOnRetry: stats.passedOnRetry,
+                failedRuns: stats.failedRuns,
+                flakyRate: stats.recent.length > 0 ? unstableRuns / stats.recent.length : 0,
+                fallbackCount,
+                topFallbacks: Object.entries(stats.fallbacks).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([name, count]) => `${name} x${count}`)
+            };
+        })
+        .filter(row => row.flakyRate > 0 || row.passedOnRetry > 0)
+        .sort((a, b) => b.flakyRate - a.flakyRate || b.passedOnRetry - a.passedOnRetry || b.fallbackCount - a.fallbackCount)
+        .slice(0, limit);
+}
+
+// In + ghi reports/flaky-report.md từ lịch sử
+export function reportFlaky(history, { limit = 10, output = './reports/flaky-report.md' } = {}) {
+    const ranking = rankFlaky(history, limit);
+    const percent = rate => `${Math.round(rate * 100)}%`;
+
+    console.log(`\n🎲 Flakiest test cases (${history.runs} recorded run(s)):`);
+    if (ranking.length === 0) console.log('  (none - no retries or fallbacks recorded)');
+    ranking.forEach((row, index) => {
+        console.log(`  ${index + 1}. ${row.testCaseID}: ${percent(row.flakyRate)} unstable, passed on retry ${row.passedOnRetry}/${row.runs}${row.topFallbacks.length ? `, ${row.topFallbacks.join(', ')}` : ''}`);
+    });
+
+    const lines = [
+        '# Flaky test cases',
+        '',
+        `${history.runs} recorded run(s). Unstable = passed only on retry or needed a fallback (last ${recentRunLimit} runs per test case).`,
+        '',
+        '| # | Test case | Unstable | Passed on retry | Failed | Runs | Top fallbacks |',
+        '| --- | --- | --- | --- | --- | --- | --- |',
+        ...ranking.map((row, index) => `| ${index + 1} | ${row.testCaseID} | ${percent(row.flakyRate)} | ${row.passedOnRetry} | ${row.failedRuns} | ${row.runs} | ${row.topFallbacks.join(', ')} |`)
+    ];
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, `${lines.join('\n')}\n`);
+    return ranking;
+}
+
+export function loadFlakyHistory(file = testConfig.flaky.historyFile) {
+    return readHistory(file);
+}
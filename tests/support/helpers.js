@@ -0,0 +1,349 @@
+import { By, until, Key } from 'selenium-webdriver';
+import fs from 'fs';
+import path from 'path';
+import { testConfig } from './config.js';
+import { noteFallback } from './flakiness.js';
+import { log } from './logger.js';
+import { traceStep, noteStepRetry } from './tracing.js';
+import { waitForAppSettled } from './waits.js';
+import { LocatorChain } from './locators.js';
+
+// Hàm set date với multiple strategies, trả về giá trị đã set và strategy nào thành công
+export async function setDateValue(driver, element, dateValue) {
+    return traceStep('set date', { value: dateValue }, () => trySetDateStrategies(driver, element, dateValue));
+}
+
+async function trySetDateStrategies(driver, element, dateValue) {
+    const strategies = [
+        // Strategy 1: Direct value setting (best for HTML5 date inputs)
+        async () => {
+            await driver.executeScript(`
+                arguments[0].value = '';
+                arguments[0].value = arguments[1];
+                arguments[0].dispatchEvent(new Event('input', { bubbles: true }));
+                arguments[0].dispatchEvent(new Event('change', { bubbles: true }));
+            `, element, dateValue);
+        },
+        
+        // Strategy 2: Clear and sendKeys
+        async () => {
+            await element.clear();
+            await element.sendKeys(dateValue);
+        },
+        
+        // Strategy 3: Select all and replace
+        async () => {
+            await element.sendKeys(Key.CONTROL + 'a');
+            await element.sendKeys(dateValue);
+        },
+        
+        // Strategy 4: Focus and type character by character
+        async () => {
+            await element.click();
+            await element.clear();
+            for (const char of dateValue) {
+                await element.sendKeys(char);
+                await driver.sleep(10);
+            }
+        },
+        
+        // Strategy 5: JavaScript with date parsing
+        async () => {
+            const [year, month, day] = dateValue.split('-');
+            await driver.executeScript(`
+                const element = arguments[0];
+                const date = new Date(${year}, ${parseInt(month) - 1}, ${day});
+                const isoString = date.toISOString().split('T')[0];
+                element.value = isoString;
+                element.dispatchEvent(new Event('input', { bubbles: true }));
+                element.dispatchEvent(new Event('change', { bubbles: true }));
+            `, element);
+        }
+    ];
+    
+    for (let i = 0; i < strategies.length; i++) {
+        try {
+            await strategies[i]();
+            
+            // Verify the value was set correctly
+            const setValue = await element.getAttribute('value');
+            
+            // Check if the year is correct (most important part)
+            if (setValue.includes('2007') || setValue === dateValue) {
+                log.debug(`✅ DOB set successfully with strategy ${i + 1}: ${setValue}`);
+                if (i > 0) noteFallback(`dob strategy ${i + 1}`);
+                return { value: setValue, strategy: i + 1 };
+            } else {
+                log.debug(`⚠️ Strategy ${i + 1} failed. Set: ${setValue}, Expected: ${dateValue}`);
+            }
+            
+        } catch (error) {
+            log.debug(`⚠️ DOB strategy ${i + 1} failed: ${error.message}`);
+        }
+        noteStepRetry();
+    }
+    
+    throw new Error(`All DOB setting strategies failed for value: ${dateValue}`);
+}
+
+
+// Chờ element xuất hiện: By thường, hoặc LocatorChain của registry (thử lần lượt từng By trong chuỗi)
+function locateElement(driver, locator) {
+    if (locator instanceof LocatorChain) {
+        return driver.wait(() => locator.locate(driver), testConfig.timeouts.elementWait,
+            `Waiting for ${locator.name} (${locator.chain.map(String).join(' | ')})`);
+    }
+    return driver.wait(until.elementLocated(locator), testConfig.timeouts.elementWait);
+}
+
+// Hàm find element với retry khi gặp stale reference
+export async function findElementWithRetry(driver, locator, maxRetries = 3) {
+    let lastError;
+    
+    for (let i = 0; i < maxRetries; i++) {
+        try {
+            const element = await locateElement(driver, locator);
+            await driver.wait(until.elementIsVisible(element), 2000);
+            return element;
+        } catch (error) {
+            lastError = error;
+            if (error.name === 'StaleElementReferenceError' || error.message.includes('stale element')) {
+                log.debug(`⚠️ Stale element retry ${i + 1}/${maxRetries}`);
+                noteFallback('stale element retry');
+                noteStepRetry();
+                await driver.sleep(100);
+                continue;
+            }
+            throw error;
+        }
+    }
+    throw lastError;
+}
+
+// Hàm cuộn element vào giữa màn hình
+export async function scrollIntoView(driver, element, settle = 60) {
+    await driver.executeScript("arguments[0].scrollIntoView({behavior: 'smooth', block: 'center'});", element);
+    await driver.sleep(settle);
+}
+
+// Điều hướng tới URL như 1 step của trace
+export async function navigateTo(driver, url) {
+    await traceStep('navigate', { value: url }, () => driver.get(url));
+}
+
+// Helper function cải tiến với stale element handling
+export async function waitAndFillElement(driver, locator, value, timeout = testConfig.timeouts.elementWait) {
+    return traceStep('fill', { locator, value }, () => fillElement(driver, locator, value, timeout));
+}
+
+async function fillElement(driver, locator, value, timeout) {
+    const maxRetries = 3;
+    let lastError;
+    
+    for (let retry = 0; retry < maxRetries; retry++) {
+        try {
+            const element = await findElementWithRetry(driver, locator);
+            await driver.wait(until.elementIsEnabled(element), timeout);
+            
+            // Scroll into view
+            await scrollIntoView(driver, element);
+            
+            // Clear and fill
+            await element.clear();
+            await driver.sleep(20);
+            await element.sendKeys(value);
+            
+            // Verify value was set
+            const actualValue = await element.getAttribute('value');
+            if (actualValue === value) {
+                return element;
+            } else {
+                // Try JavaScript approach
+                noteFallback('fill via JavaScript');
+                await driver.executeScript("arguments[0].value = arguments[1];", element, value);
+                await driver.executeScript("arguments[0].dispatchEvent(new Event('input', { bubbles: true }));", element);
+            }
+            
+            return element;
+            
+        } catch (error) {
+            lastError = error;
+            log.debug(`⚠️ Fill attempt ${retry + 1}/${maxRetries} failed: ${error.message}`);
+            noteFallback('fill retry');
+            noteStepRetry();
+            
+            if (retry < maxRetries - 1) {
+                await driver.sleep(200);
+            }
+        }
+    }
+    
+    log.warn(`⚠ Error filling element ${locator}: ${lastError.message}`);
+    throw lastError;
+}
+
+export async function waitAndClick(driver, locator, timeout = testConfig.timeouts.elementWait) {
+    return traceStep('click', { locator }, () => clickElement(driver, locator, timeout));
+}
+
+async function clickElement(driver, locator, timeout) {
+    const maxRetries = 3;
+    let lastError;
+    
+    for (let retry = 0; retry < maxRetries; retry++) {
+        try {
+            const element = await findElementWithRetry(driver, locator);
+            await driver.wait(until.elementIsEnabled(element), timeout);
+            
+            // Scroll into view
+            await scrollIntoView(driver, element, 100);
+            
+            // Try different click strategies
+            try {
+                await element.click();
+                return element;
+            } catch (clickError) {
+                log.info(`⚠️ Normal click failed, trying JavaScript: ${clickError.message}`);
+                noteFallback('click via JavaScript');
+                await driver.executeScript("arguments[0].click();", element);
+                return element;
+            }
+            
+        } catch (error) {
+            lastError = error;
+            log.debug(`⚠️ Click attempt ${retry + 1}/${maxRetries} failed: ${error.message}`);
+            noteFallback('click retry');
+            noteStepRetry();
+            
+            if (retry < maxRetries - 1) {
+                await driver.sleep(200);
+            }
+        }
+    }
+    
+    log.warn(`⚠ Error clicking element ${locator}: ${lastError.message}`);
+    throw lastError;
+}
+
+// Hàm reset form state
+export async function resetFormState(driver) {
+    try {
+        // Clear any existing form data
+        await driver.executeScript(`
+            document.querySelectorAll('input, select, textarea').forEach(el => {
+                if (el.type !== 'submit' && el.type !== 'button') {
+                    el.value = '';
+                    el.dispatchEvent(new Event('change', { bubbles: true }));
+                }
+            });
+        `);
+        await waitForAppSettled(driver, { label: 'form reset', replaces: 100 });
+    } catch (error) {
+        log.warn('⚠️ Could not reset form state:', error.message);
+    }
+}
+
+// Hàm kiểm tra error message
+export async function checkForErrorMessages(driver) {
+    let errorMessage = '';
+    try {
+        const errorSelectors = [
+            '.error',
+            '.alert-danger',
+            '.invalid-feedback',
+            '.text-danger',
+            '[class*="error"]',
+            '[class*="danger"]',
+            '.mat-error',
+            '.validation-error',
+            '.alert',
+            '.error-message',
+            '#error',
+            '[role="alert"]',
+            '.notification',
+            '.message',
+            '.login-error', // Thêm selector cụ thể cho lỗi đăng nhập
+            '#auth-error'   // Thêm selector ID cho lỗi đăng nhập
+        ];
+        
+        // Chờ app xử lý xong (request, render lỗi) thay vì sleep cố định 1500ms
+        await waitForAppSettled(driver, { label: 'error messages', replaces: 1500 });
+        
+        for (const selector of errorSelectors) {
+            const errorElements = await driver.findElements(By.css(selector));
+            for (const element of errorElements) {
+                try {
+                    if (await element.isDisplayed()) {
+                        const text = await element.getText();
+                        if (text && text.trim()) {
+                            errorMessage = text.trim();
+                            log.debug(`✅ Tìm thấy thông báo lỗi: ${errorMessage}`);
+                            break;
+                        }
+                    }
+                } catch (e) {
+                    log.debug(`⚠️ Lỗi khi kiểm tra selector ${selector}: ${e.message}`);
+                }
+            }
+            if (errorMessage) break;
+        }
+        
+        return errorMessage;
+    } catch (e) {
+        log.warn('⚠️ Lỗi khi kiểm tra thông báo lỗi:', e.message);
+        return '';
+    }
+}
+
+// Gom thông báo lỗi validation theo từng input: { email: ['Email format is invalid'], ... }
+// Tìm [data-test="<id>-error"] của input, không có thì tìm khối lỗi trong cùng form-group
+export async function collectFieldErrors(driver, fields) {
+    try {
+        return await driver.executeScript(`
+            const errors = {};
+            for (const field of arguments[0]) {
+                const input = document.getElementById(field.id);
+                let element = document.querySelector('[data-test="' + field.id.replace(/_/g, '-') + '-error"]');
+                if (!element && input) {
+                    const group = input.closest('.form-group, .mb-3');
+                    element = group && group.querySelector('.alert-danger, .invalid-feedback, .text-danger, .mat-error');
+                }
+                if (!element || element.hidden || element.offsetParent === null) continue;
+                const messages = element.innerText.split('\\n').map(text => text.trim()).filter(Boolean);
+                if (messages.length > 0) errors[field.key] = messages;
+            }
+            return errors;
+        `, fields.map(({ key, id }) => ({ key, id })));
+    } catch (e) {
+        log.warn('⚠️ Could not collect field errors:', e.message);
+        return {};
+    }
+}
+
+// Các request fetch/XHR của trang hiện tại kèm HTTP status (Resource Timing, browser không hỗ trợ thì status là 0)
+export async function getApiResponses(driver) {
+    try {
+        return await driver.executeScript(`
+            return performance.getEntriesByType('resource')
+                .filter(entry => entry.initiatorType === 'fetch' || entry.initiatorType === 'xmlhttprequest')
+                .map(entry => ({ url: entry.name, status: entry.responseStatus || 0 }));
+        `);
+    } catch (e) {
+        log.warn('⚠️ Could not read API responses:', e.message);
+        return [];
+    }
+}
+
+// Hàm take screenshot khi có lỗi
+export async function takeErrorScreenshot(driver, testCaseId, file = `./screenshots/${testCaseId}-error.png`) {
+    try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const screenshot = await driver.takeScreenshot();
+        fs.writeFileSync(file, screenshot, 'base64');
+        log.info(`📸 Screenshot saved: ${file}`);
+        return file;
+    } catch (screenshotError) {
+        log.warn('⚠️ Could not save screenshot:', screenshotError.message);
+        return null;
+    }
+}
@@ -0,0 +1,166 @@
+import fs from 'fs';
+import path from 'path';
+import { analyzeHistory, environmentName } from './history.js';
+
+const outcomeColors = { Passed: '#2e7d32', Failed: '#c62828', Blocked: '#ef6c00', Skipped: '#9e9e9e' };
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+function percent(rate) {
+    return rate === null ? '-' : `${Math.round(rate * 100)}%`;
+}
+
+function seconds(ms) {
+    return ms === null || ms === undefined ? '-' : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function formatRun(run) {
+    if (!run) return 'never (in recorded history)';
+    return `${run.at.replace('T', ' ').slice(0, 16)} · run ${run.runId}${run.commit ? ` · commit ${run.commit}` : ''}`;
+}
+
+// Biểu đồ đường SVG đơn giản: mỗi điểm là 1 lần chạy, hover để xem run / commit
+function lineChart(points, { max, format, color }) {
+    const width = 640;
+    const height = 160;
+    const pad = 30;
+    const values = points.filter(point => point.value !== null);
+    if (values.length === 0) return '<p class="empty">No data</p>';
+
+    const top = max ?? Math.max(...values.map(point => point.value), 1);
+    const x = index => pad + (points.length > 1 ? (index * (width - 2 * pad)) / (points.length - 1) : (width - 2 * pad) / 2);
+    const y = value => height - pad - (value / top) * (height - 2 * pad);
+    const line = points
+        .map((point, index) => (point.value === null ? null : `${x(index).toFixed(1)},${y(point.value).toFixed(1)}`))
+        .filter(Boolean)
+        .join(' ');
+
+    return `<svg viewBox="0 0 ${width} ${height}" class="chart">
+        <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" class="axis"/>
+        <line x1="${pad}" y1="${pad}" x2="${width - pad}" y2="${pad}" class="grid"/>
+        <text x="2" y="${pad + 4}">${escapeHtml(format(top))}</text>
+        <text x="2" y="${height - pad + 4}">${escapeHtml(format(0))}</text>
+        <polyline points="${line}" fill="none" stroke="${color}" stroke-width="2"/>
+        ${points.map((point, index) => (point.value === null ? '' : `<circle cx="${x(index).toFixed(1)}" cy="${y(point.value).toFixed(1)}" r="3.5" fill="${color}"><title>${escapeHtml(`${format(point.value)} - ${formatRun(point.run)}`)}</title></circle>`)).join('')}
+    </svg>`;
+}
+
+function table(headers, rows, empty) {
+    if (rows.length === 0) return `<p class="empty">${escapeHtml(empty)}</p>`;
+    return `<table><thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+        <tbody>${rows.map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+function resultStrip(recent) {
+    return recent.map(result => `<span class="cell" style="background:${outcomeColors[result.outcome]}" title="${escapeHtml(`${result.outcome} - ${formatRun(result)}`)}"></span>`).join('');
+}
+
+function renderEnvironment(environment) {
+    const latest = environment.trend[environment.trend.length - 1];
+    const points = key => environment.trend.map(run => ({ value: run[key], run }));
+
+    return `<section>
+    <h2>${escapeHtml(environmentName(environment))}</h2>
+    <p class="meta">${environment.runs.length} run(s) · latest ${escapeHtml(formatRun(latest))} · pass rate ${percent(latest.passRate)}
+        (${Object.entries(latest.counts).map(([outcome, count]) => `${outcome} ${count}`).join(', ')})</p>
+    <div class="charts">
+        <figure><figcaption>Pass rate (Passed / Passed + Failed)</figcaption>${lineChart(points('passRate'), { max: 1, format: percent, color: '#2e7d32' })}</figure>
+        <figure><figcaption>Average duration per test case</figcaption>${lineChart(points('averageDuration'), { format: seconds, color: '#1565c0' })}</figure>
+    </div>
+
+    <h3>🔴 Newly broken (${environment.newlyBroken.length})</h3>
+    ${table(['Test case', 'Suite', 'Error', 'Last passed'],
+        environment.newlyBroken.map(entry => [escapeHtml(entry.testCaseID), escapeHtml(entry.suite), escapeHtml(entry.error), escapeHtml(formatRun(entry.previous))]),
+        'No test case started failing in the latest run')}
+
+    <h3>🟢 Newly fixed (${environment.newlyFixed.length})</h3>
+    ${table(['Test case', 'Suite', 'Last failed'],
+        environment.newlyFixed.map(entry => [escapeHtml(entry.testCaseID), escapeHtml(entry.suite), escapeHtml(formatRun(entry.previous))]),
+        'No test case was fixed in the latest run')}
+
+    <h3>⏳ Failing now: first failing run (${environment.regressions.length})</h3>
+    ${table(['Test case', 'Suite', 'Failing for', 'First failing run', 'Last passed', 'First error', 'Latest error'],
+        environment.regressions.map(entry => [
+            `${escapeHtml(entry.testCaseID)}${entry.quarantined ? ' 🧊' : ''}`,
+            escapeHtml(entry.suite),
+            `${entry.failingRuns} run(s)`,
+            escapeHtml(formatRun(entry.firstFailing)),
+            escapeHtml(formatRun(entry.lastPassed)),
+            escapeHtml(entry.firstError),
+            escapeHtml(entry.error)
+        ]),
+        'Nothing is failing in the latest run')}
+
+    <h3>Test cases (${environment.cases.length})</h3>
+    ${table(['Test case', 'Suite', 'Pass rate', 'Runs', 'Recent results (oldest → latest)', 'Avg duration', 'Last duration'],
+        environment.cases.map(entry => [
+            escapeHtml(entry.testCaseID),
+            escapeHtml(entry.suite),
+            percent(entry.passRate),
+            entry.runs,
+            resultStrip(entry.recent),
+            seconds(entry.averageDuration),
+            seconds(entry.lastDuration)
+        ]),
+        'No test case recorded')}
+</section>`;
+}
+
+export function renderDashboard(history) {
+    const environments = analyzeHistory(history);
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Test run history</title>
+<style>
+    body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 24px; color: #212121; }
+    section { border-top: 2px solid #e0e0e0; margin-top: 24px; padding-top: 8px; }
+    .meta, .empty { color: #616161; }
+    .charts { display: flex; flex-wrap: wrap; gap: 24px; }
+    figure { margin: 0; }
+    figcaption { font-weight: 600; margin-bottom: 4px; }
+    .chart { width: 640px; max-width: 100%; background: #fafafa; }
+    .chart text { font-size: 10px; fill: #757575; }
+    .axis { stroke: #9e9e9e; }
+    .grid { stroke: #e0e0e0; stroke-dasharray: 4; }
+    table { border-collapse: collapse; font-size: 13px; margin-bottom: 8px; }
+    th, td { border: 1px solid #e0e0e0; padding: 4px 8px; text-align: left; vertical-align: top; }
+    th { background: #f5f5f5; }
+    .cell { display: inline-block; width: 10px; height: 14px; margin-right: 2px; }
+</style>
+</head>
+<body>
+<h1>📈 Test run history</h1>
+<p class="meta">${history.runs.length} recorded run(s) · generated ${escapeHtml(new Date().toISOString().replace('T', ' ').slice(0, 16))} ·
+    <span class="cell" style="background:${outcomeColors.Passed}"></span>Passed
+    <span class="cell" style="background:${outcomeColors.Failed}"></span>Failed
+    <span class="cell" style="background:${outcomeColors.Blocked}"></span>Blocked
+    <span class="cell" style="background:${outcomeColors.Skipped}"></span>Skipped</p>
+${environments.length > 0 ? environments.map(renderEnvironment).join('\n') : '<p class="empty">No run recorded yet</p>'}
+</body>
+</html>
+`;
+}
+
+// In xu hướng của môi trường vừa chạy (mới hỏng, mới sửa, đang fail từ lần nào) và ghi dashboard HTML
+export function reportHistory(history, { output = './reports/history.html' } = {}) {
+    const [environment] = analyzeHistory(history);
+    if (environment) {
+        const [previous, latest] = environment.trend.slice(-2).length === 2 ? environment.trend.slice(-2) : [null, environment.trend[0]];
+        console.log(`\n📈 Run history: ${environment.runs.length} run(s) on ${environmentName(environment)}, ` +
+            `pass rate ${percent(latest.passRate)}${previous ? ` (previous run ${percent(previous.passRate)})` : ''}`);
+        environment.newlyBroken.forEach(entry => console.log(`  🔴 Newly broken: ${entry.testCaseID} (passed ${formatRun(entry.previous)})`));
+        environment.newlyFixed.forEach(entry => console.log(`  🟢 Newly fixed: ${entry.testCaseID}`));
+        environment.regressions
+            .filter(entry => entry.failingRuns > 1)
+            .forEach(entry => console.log(`  ⏳ Still failing: ${entry.testCaseID} for ${entry.failingRuns} run(s), since ${formatRun(entry.firstFailing)}`));
+    }
+
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, renderDashboard(history));
+    console.log(`📄 Run history dashboard: ${output}`);
+    return environment;
+}
@@ -0,0 +1,165 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { execFileSync } from 'child_process';
+import { testConfig } from './config.js';
+import { Outcome } from './outcomes.js';
+
+// Số lần chạy giữ lại trong lịch sử (mọi browser / config cộng lại)
+const runLimit = 300;
+
+// Phần config làm kết quả không so được với nhau: khác các giá trị này là 1 "môi trường" khác
+function configOf(config) {
+    return {
+        profile: config.profile,
+        baseUrl: config.baseUrl,
+        headless: config.headless,
+        screen: `${config.screen.width}x${config.screen.height}`,
+        zoomLevel: config.zoomLevel,
+        remote: config.remote.url ? `${config.remote.url} ${config.remote.platformName || ''}`.trim() : null
+    };
+}
+
+function configKey(config) {
+    return crypto.createHash('sha1').update(JSON.stringify(config)).digest('hex').slice(0, 8);
+}
+
+// Commit đang chạy test (kèm dirty khi có thay đổi chưa commit); ngoài git repo thì null
+export function gitCommit() {
+    const git = args => execFileSync('git', args, { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    try {
+        return { commit: git(['rev-parse', '--short', 'HEAD']), dirty: git(['status', '--porcelain', '--untracked-files=no']) !== '' };
+    } catch (error) {
+        return { commit: null, dirty: false };
+    }
+}
+
+export function loadRunHistory(file = testConfig.history.file) {
+    if (!fs.existsSync(file)) return { runs: [] };
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+// Ghi kết quả từng case của lần chạy này vào lịch sử (mặc định reports/history/run-history.json).
+// entries: outcome của các suite, mỗi entry { suite, testCaseID, outcome, duration, error?, reason?, quarantined? }
+export function recordRun(entries, file = testConfig.history.file) {
+    const history = loadRunHistory(file);
+    const config = configOf(testConfig);
+    history.runs.push({
+        runId: testConfig.runId,
+        at: new Date().toISOString(),
+        browser: testConfig.browser,
+        configKey: configKey(config),
+        config,
+        ...gitCommit(),
+        cases: entries.map(({ suite, testCaseID, outcome, duration, error, reason, quarantined }) => ({
+            suite, testCaseID, outcome, duration, error, reason, quarantined
+        }))
+    });
+    history.runs = history.runs.slice(-runLimit);
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(history, null, 2));
+    return history;
+}
+
+// Case có kết luận pass / fail (Blocked / Skipped không nói gì về chất lượng)
+function isJudged(result) {
+    return result.outcome === Outcome.Passed || result.outcome === Outcome.Failed;
+}
+
+function runLabel(run) {
+    return { runId: run.runId, at: run.at, commit: run.commit ? `${run.commit}${run.dirty ? '-dirty' : ''}` : null };
+}
+
+// Phân tích 1 môi trường (browser + config): xu hướng theo lần chạy, case mới hỏng / mới sửa so với
+// lần chạy trước có kết luận, và lần fail đầu tiên của chuỗi fail hiện tại của mỗi case đang fail
+function analyzeEnvironment(runs) {
+    const trend = runs.map(run => {
+        const counts = Object.fromEntries(Object.values(Outcome).map(outcome => [outcome, 0]));
+        run.cases.forEach(result => counts[result.outcome]++);
+        const judged = counts[Outcome.Passed] + counts[Outcome.Failed];
+        const durations = run.cases.filter(isJudged).map(result => result.duration || 0);
+        return {
+            ...runLabel(run),
+            counts,
+            passRate: judged > 0 ? counts[Outcome.Passed] / judged : null,
+            duration: durations.reduce((sum, duration) => sum + duration, 0),
+            averageDuration: durations.length > 0 ? durations.reduce((sum, duration) => sum + duration, 0) / durations.length : null
+        };
+    });
+
+    // testCaseID -> kết quả theo thứ tự lần chạy
+    const series = new Map();
+    runs.forEach((run, index) => run.cases.forEach(result => {
+        const list = series.get(result.testCaseID) || [];
+        list.push({ ...result, run: index });
+        series.set(result.testCaseID, list);
+    }));
+
+    const latest = runs.length - 1;
+    const newlyBroken = [];
+    const newlyFixed = [];
+    const regressions = [];
+    const cases = [];
+
+    for (const [testCaseID, results] of series) {
+        const judged = results.filter(isJudged);
+        const last = results[results.length - 1];
+        const passed = judged.filter(result => result.outcome === Outcome.Passed).length;
+        const durations = judged.map(result => result.duration || 0);
+        cases.push({
+            testCaseID,
+            suite: last.suite,
+            runs: results.length,
+            passRate: judged.length > 0 ? passed / judged.length : null,
+            recent: results.slice(-20).map(result => ({ outcome: result.outcome, ...runLabel(runs[result.run]) })),
+            averageDuration: durations.length > 0 ? durations.reduce((sum, duration) => sum + duration, 0) / durations.length : null,
+            lastDuration: last.duration ?? null
+        });
+
+        // Chỉ so các case chạy và có kết luận ở lần chạy mới nhất
+        if (last.run !== latest || !isJudged(last)) continue;
+        const previous = judged[judged.length - 2];
+        const entry = { testCaseID, suite: last.suite, error: last.error, previous: previous ? runLabel(runs[previous.run]) : null };
+        if (last.outcome === Outcome.Failed && previous?.outcome === Outcome.Passed) newlyBroken.push(entry);
+        if (last.outcome === Outcome.Passed && previous?.outcome === Outcome.Failed) newlyFixed.push(entry);
+
+        if (last.outcome === Outcome.Failed) {
+            let start = judged.length - 1;
+            while (start > 0 && judged[start - 1].outcome === Outcome.Failed) start--;
+            regressions.push({
+                testCaseID,
+                suite: last.suite,
+                error: last.error,
+                quarantined: Boolean(last.quarantined),
+                failingRuns: judged.length - start,
+                firstFailing: runLabel(runs[judged[start].run]),
+                firstError: judged[start].error,
+                lastPassed: start > 0 ? runLabel(runs[judged[start - 1].run]) : null
+            });
+        }
+    }
+
+    regressions.sort((a, b) => a.firstFailing.at.localeCompare(b.firstFailing.at));
+    cases.sort((a, b) => (a.passRate ?? 1) - (b.passRate ?? 1) || a.testCaseID.localeCompare(b.testCaseID, undefined, { numeric: true }));
+    return { trend, newlyBroken, newlyFixed, regressions, cases };
+}
+
+// Nhóm lịch sử theo môi trường (browser + config), môi trường chạy gần nhất trước
+export function analyzeHistory(history) {
+    const environments = new Map();
+    for (const run of history.runs) {
+        const key = `${run.browser}|${run.configKey}`;
+        const environment = environments.get(key) || { key, browser: run.browser, config: run.config, runs: [] };
+        environment.runs.push(run);
+        environments.set(key, environment);
+    }
+    return [...environments.values()]
+        .map(environment => ({ ...environment, latestAt: environment.runs[environment.runs.length - 1].at, ...analyzeEnvironment(environment.runs) }))
+        .sort((a, b) => b.latestAt.localeCompare(a.latestAt));
+}
+
+export function environmentName({ browser, config }) {
+    return [browser, config.headless ? 'headless' : 'headed', config.screen, config.zoomLevel !== 1 ? `zoom ${config.zoomLevel}` : null,
+        `profile ${config.profile}`, config.remote ? `remote ${config.remote}` : null, config.baseUrl].filter(Boolean).join(' · ');
+}
@@ -0,0 +1,127 @@
+import fs from 'fs';
+import path from 'path';
+import { By } from 'selenium-webdriver';
+import { noteFallback } from './flakiness.js';
+
+// Locator của 1 element logic: chuỗi By theo thứ tự ưu tiên (data-test -> id -> CSS -> text).
+// By đầu tiên là primary; element chỉ tìm được bằng By phía sau nghĩa là selector primary đã lệch (drift)
+export class LocatorChain {
+    constructor(name, chain) {
+        this.name = name;
+        this.chain = chain;
+    }
+
+    get primary() {
+        return this.chain[0];
+    }
+
+    // Element đầu tiên khớp theo thứ tự chuỗi (không chờ), null nếu chưa có By nào khớp.
+    // Đây là đường tìm element để thao tác nên khớp bằng fallback được ghi là drift
+    async locate(driver) {
+        const { elements, index } = await matchChain(driver, this.chain);
+        if (index > 0) noteDrift(this, index);
+        return elements[0] || null;
+    }
+
+    // Mọi element của By đầu tiên có kết quả trong chuỗi. Dùng để dò dấu hiệu (vd. đã đăng nhập chưa):
+    // các By trong chuỗi là những dấu hiệu tương đương nên khớp bằng By phía sau không ghi drift
+    async locateAll(driver) {
+        const { elements } = await matchChain(driver, this.chain);
+        return elements;
+    }
+
+    toString() {
+        return this.name;
+    }
+}
+
+// By đầu tiên trong chuỗi có kết quả và vị trí của nó (-1 nếu không By nào khớp)
+async function matchChain(driver, chain) {
+    for (let index = 0; index < chain.length; index++) {
+        const elements = await driver.findElements(chain[index]);
+        if (elements.length > 0) return { elements, index };
+    }
+    return { elements: [], index: -1 };
+}
+
+const dataTest = value => By.css(`[data-test="${value}"]`);
+const text = (tag, value) => By.xpath(`//${tag}[normalize-space()="${value}"]`);
+const formControl = name => By.css(`[formcontrolname="${name}"]`);
+
+// Registry trung tâm cho mọi page object: sửa selector ở đây thay vì trong từng page
+const registry = {
+    nav: {
+        signIn: [dataTest('nav-sign-in'), text('a', 'Sign in')],
+        userMenu: [dataTest('nav-user-menu'), dataTest('nav-menu'), By.id('menu')],
+        signOut: [dataTest('nav-sign-out'), By.id('sign-out'), text('a', 'Sign out')]
+    },
+    register: {
+        registerLink: [dataTest('register-link'), By.css('a[href*="auth/register"]'), text('a', 'Register your account')],
+        firstName: [dataTest('first-name'), By.id('first_name'), formControl('first_name')],
+        lastName: [dataTest('last-name'), By.id('last_name'), formControl('last_name')],
+        dob: [dataTest('dob'), By.id('dob'), formControl('dob')],
+        street: [dataTest('address'), By.id('address'), dataTest('street'), formControl('address')],
+        postalCode: [dataTest('postcode'), By.id('postcode'), formControl('postcode')],
+        city: [dataTest('city'), By.id('city'), formControl('city')],
+        state: [dataTest('state'), By.id('state'), formControl('state')],
+        country: [dataTest('country'), By.id('country'), formControl('country')],
+        phone: [dataTest('phone'), By.id('phone'), formControl('phone')],
+        email: [dataTest('email'), By.id('email'), formControl('email')],
+        password: [dataTest('password'), By.id('password'), By.css('app-password-input input[type="password"]')],
+        submit: [dataTest('register-submit'), By.css('form button[type="submit"]'), text('button', 'Register')]
+    },
+    login: {
+        email: [dataTest('email'), By.id('email'), formControl('email')],
+        password: [dataTest('password'), By.id('password'), By.css('app-password-input input[type="password"]')],
+        submit: [dataTest('login-submit'), By.css('input[type="submit"]'), By.css('input[value="Login"]'), By.css('.btnSubmit')],
+        // Dấu hiệu đã đăng nhập: menu người dùng hoặc nút đăng xuất
+        userMenu: [dataTest('nav-user-menu'), dataTest('user-menu'), dataTest('logout'), By.css('.user-menu'), By.css('a[href*="logout"]'), By.css('button[data-test*="logout"]')]
+    }
+};
+
+// Locator của 1 page: { firstName: LocatorChain('register.firstName'), ... }
+export function locatorsFor(page) {
+    return Object.fromEntries(Object.entries(registry[page]).map(([key, chain]) => [key, new LocatorChain(`${page}.${key}`, chain)]));
+}
+
+// Các lần chỉ khớp bằng fallback trong suite đang chạy, theo locator + By đã khớp
+const drift = new Map();
+
+function noteDrift(locator, index) {
+    const matched = String(locator.chain[index]);
+    const key = `${locator.name}|${matched}`;
+    const entry = drift.get(key) || { locator: locator.name, primary: String(locator.primary), matched, position: index + 1, count: 0 };
+    entry.count++;
+    drift.set(key, entry);
+    noteFallback(`locator fallback ${locator.name}`);
+}
+
+// Lấy drift của suite vừa chạy (cho summary / runner song song) và bắt đầu đếm lại
+export function drainLocatorDrift() {
+    const entries = [...drift.values()];
+    drift.clear();
+    return entries;
+}
+
+// In + ghi reports/history/locator-drift.json: locator nào chỉ còn khớp nhờ fallback, để sửa trước khi fallback cũng gãy
+export function reportLocatorDrift(entries, output = './reports/history/locator-drift.json') {
+    const merged = new Map();
+    for (const entry of entries) {
+        const key = `${entry.locator}|${entry.matched}`;
+        const current = merged.get(key);
+        merged.set(key, current ? { ...current, count: current.count + entry.count } : { ...entry });
+    }
+    const report = [...merged.values()].sort((a, b) => b.count - a.count);
+
+    const locators = new Set(report.map(entry => entry.locator));
+    if (report.length === 0) {
+        console.log('\n🧭 Locator drift: none, every element was found by its primary selector');
+    } else {
+        console.log(`\n🧭 Locator drift: ${locators.size} locator(s) matched only by a fallback selector`);
+        report.forEach(entry => console.log(`  - ${entry.locator}: primary ${entry.primary} missed, matched ${entry.matched} (chain position ${entry.position}) x${entry.count}`));
+    }
+
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, JSON.stringify(report, null, 2));
+    return report;
+}
@@ -0,0 +1,16 @@
+import { testConfig } from './config.js';
+
+const levels = ['debug', 'info', 'warn', 'error'];
+
+function enabled(level) {
+    return levels.indexOf(level) >= levels.indexOf(testConfig.logLevel);
+}
+
+// Log của helper / page object theo LOG_LEVEL: chi tiết từng bước ở debug, fallback ở info,
+// lỗi ở warn / error. Kết quả test case vẫn in thẳng bằng console.log trong spec
+export const log = Object.fromEntries(levels.map(level => [
+    level,
+    (...args) => {
+        if (enabled(level)) console.log(...args);
+    }
+]));
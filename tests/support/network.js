@@ -0,0 +1,189 @@
+import { testConfig } from './config.js';
+
+function parseBody(text) {
+    if (text === undefined || text === null || text === '') return null;
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+// Body request được gắn vào report: không ghi password thật (như step trace)
+function maskSecrets(body) {
+    if (!body || typeof body !== 'object') return body;
+    return Object.fromEntries(Object.entries(body).map(([key, value]) => [key, /password/i.test(key) ? '***' : value]));
+}
+
+// Ghi lại request/response (status, body, thời gian) của các API call khớp urlPattern.
+// Event request / response đọc qua API network của WebDriver BiDi (mọi browser). BiDi không trả body,
+// nên trên Chrome / Edge body của request và response được đọc thêm bằng lệnh CDP Network.getRequestPostData /
+// getResponseBody (id request của BiDi trên Chromium chính là requestId của CDP); Firefox chỉ có status
+export class NetworkRecorder {
+    constructor(driver, urlPattern) {
+        this.driver = driver;
+        this.urlPattern = new RegExp(urlPattern);
+        this.exchanges = new Map();
+        this.protocol = null;
+        this.cdp = null;
+    }
+
+    // Trả về null nếu browser / Grid không cho mở kênh BiDi: suite vẫn chạy, nhưng expectedResponse
+    // của mọi row không được kiểm tra nên cảnh báo rõ ràng thay vì im lặng
+    static async attach(driver, { urlPattern = testConfig.network.urlPattern } = {}) {
+        if (!testConfig.network.capture) return null;
+
+        const recorder = new NetworkRecorder(driver, urlPattern);
+        try {
+            const browserName = (await driver.getCapabilities()).getBrowserName();
+            await recorder.attachBidi();
+            if (browserName !== 'firefox') {
+                await recorder.attachCdpBodies();
+            }
+            console.log(`🛰️ Capturing ${urlPattern} via ${recorder.protocol}`);
+            return recorder;
+        } catch (error) {
+            console.warn(`\n⚠️ NETWORK CAPTURE UNAVAILABLE: ${error.message.split('\n')[0]}\n` +
+                '   expectedResponse (HTTP status, violations) will NOT be verified for any row in this suite.\n' +
+                '   Fix the browser / Grid setup (WebDriver BiDi must be enabled) or run with --no-network-capture.\n');
+            return null;
+        }
+    }
+
+    // Kênh CDP chỉ để đọc body. createCDPConnection tìm endpoint CDP của Grid qua SELENIUM_REMOTE_URL,
+    // nên URL Grid lấy từ --remote-url / profile được đưa vào env trước khi kết nối
+    async attachCdpBodies() {
+        if (testConfig.remote.url && !process.env.SELENIUM_REMOTE_URL) {
+            process.env.SELENIUM_REMOTE_URL = testConfig.remote.url;
+        }
+        try {
+            const connection = await this.driver.createCDPConnection('page');
+            await connection.send('Network.enable', {});
+            this.cdp = connection;
+            this.protocol = 'BiDi + CDP';
+        } catch (error) {
+            console.warn(`⚠️ Request / response bodies unavailable (CDP: ${error.message.split('\n')[0]}): ` +
+                'only the HTTP status of expectedResponse is verified, rows expecting violations are Skipped');
+        }
+    }
+
+    // Body của request (POST data) và response qua CDP; không đọc được body response thì ghi lỗi vào exchange
+    // (compareServerResponse báo ra). Request không có body (GET) thì requestBody giữ null
+    async readBodies(exchange, requestId) {
+        if (!this.cdp) return;
+        try {
+            const { result } = await this.cdp.send('Network.getRequestPostData', { requestId });
+            if (result?.postData !== undefined) exchange.requestBody = maskSecrets(parseBody(result.postData));
+        } catch (error) {
+            // Không có POST data
+        }
+        try {
+            const { result, error } = await this.cdp.send('Network.getResponseBody', { requestId });
+            if (error) throw new Error(error.message);
+            exchange.responseBody = parseBody(result.base64Encoded ? Buffer.from(result.body, 'base64').toString('utf-8') : result.body);
+        } catch (error) {
+            exchange.error = `could not read response body: ${error.message}`;
+        }
+    }
+
+    async attachBidi() {
+        const { Network } = await import('selenium-webdriver/bidi/network.js');
+        const network = await Network(this.driver);
+
+        await network.beforeRequestSent(event => {
+            this.begin(event.request.request, {
+                method: event.request.method,
+                url: event.request.url,
+                requestBody: null,
+                startedAt: new Date(event.timestamp).toISOString(),
+                monotonicStart: event.timestamp
+            });
+        });
+        await network.responseCompleted(event => {
+            const exchange = this.exchanges.get(event.request.request);
+            if (!exchange) return;
+            exchange.status = event.response.status;
+            exchange.statusText = event.response.statusText;
+            exchange.durationMs = Math.round(event.timestamp - exchange.monotonicStart);
+            exchange.responseBody = null;
+            this.readBodies(exchange, event.request.request).finally(() => {
+                exchange.done = true;
+            });
+        });
+        await network.fetchError(event => {
+            const exchange = this.exchanges.get(event.request.request);
+            if (!exchange) return;
+            exchange.error = event.errorText;
+            exchange.done = true;
+        });
+        this.protocol = 'BiDi';
+    }
+
+    begin(id, request) {
+        if (request.method === 'OPTIONS' || !this.urlPattern.test(request.url)) return;
+        this.exchanges.set(id, { ...request, status: null, statusText: null, responseBody: undefined, durationMs: null, error: null, done: false });
+    }
+
+    // Xoá các request đã ghi, gọi ngay trước khi submit
+    clear() {
+        this.exchanges.clear();
+    }
+
+    // Chờ request khớp pattern chạy xong (có status + body); null nếu hết thời gian
+    async waitFor(pattern, timeout = testConfig.timeouts.elementWait) {
+        const regex = new RegExp(pattern);
+        const deadline = Date.now() + timeout;
+        while (Date.now() < deadline) {
+            const completed = [...this.exchanges.values()].filter(e => e.done && regex.test(e.url));
+            if (completed.length > 0) return NetworkRecorder.describe(completed[completed.length - 1], this.protocol);
+            await this.driver.sleep(50);
+        }
+        console.log(`⚠️ No completed request matching ${pattern} within ${timeout}ms`);
+        return null;
+    }
+
+    // Dạng gọn để gắn vào report
+    static describe(exchange, protocol) {
+        const { method, url, requestBody, status, statusText, responseBody, startedAt, durationMs, error } = exchange;
+        return { protocol, method, url, requestBody, status, statusText, responseBody, startedAt, durationMs, error };
+    }
+}
+
+// So response bắt được với expectedResponse { status, violations } của data row
+// violations là field của data row (vd. postalCode), body 422 của API dùng tên field API (postcode)
+export function compareServerResponse(expected, exchange, fields) {
+    if (!exchange) return ['no matching request was captured'];
+    const problems = [];
+
+    if (expected.status !== undefined && exchange.status !== expected.status) {
+        problems.push(`status: expected HTTP ${expected.status}, got ${exchange.status ?? exchange.error}`);
+    }
+
+    // Chỉ có BiDi thì không có body: violations được báo qua unverifiedResponseChecks thay vì coi là khớp
+    if (expected.violations && exchange.protocol !== 'BiDi') {
+        const body = exchange.responseBody;
+        if (!body || typeof body !== 'object') {
+            problems.push('violations: response body is empty or not JSON');
+        } else {
+            const keyOf = name => fields.find(field => field.id === name)?.key || name;
+            const actual = Object.keys(body).filter(name => Array.isArray(body[name])).map(keyOf).sort();
+            const wanted = [...expected.violations].sort();
+            if (JSON.stringify(actual) !== JSON.stringify(wanted)) {
+                problems.push(`violations: expected [${wanted.join(', ')}], got [${actual.join(', ')}]`);
+            }
+        }
+    }
+
+    return problems;
+}
+
+// Phần của expectedResponse không kiểm tra được: không bắt được network (recorder null), hoặc chỉ có BiDi
+// (Firefox, CDP lỗi) nên không có body để so violations. Rỗng nghĩa là đã kiểm tra đủ
+export function unverifiedResponseChecks(expected, recorder, exchange) {
+    if (!expected) return [];
+    if (!recorder) return ['expectedResponse: network capture unavailable'];
+    if (expected.violations && exchange?.protocol === 'BiDi') {
+        return ['expectedResponse.violations: response body is not available over WebDriver BiDi alone'];
+    }
+    return [];
+}
@@ -0,0 +1,116 @@
+import fs from 'fs';
+import { testConfig } from './config.js';
+
+// Kết quả của 1 test case. Blocked: môi trường lỗi nên không đánh giá được, Skipped: không chạy
+export const Outcome = Object.freeze({
+    Passed: 'Passed',
+    Failed: 'Failed',
+    Blocked: 'Blocked',
+    Skipped: 'Skipped'
+});
+
+const ruleOutcomes = [Outcome.Blocked, Outcome.Skipped];
+
+function compileRegex(pattern, where, errors) {
+    try {
+        return new RegExp(pattern, 'i');
+    } catch (error) {
+        errors.push(`${where}: ${error.message}`);
+        return null;
+    }
+}
+
+// status: 503, [502, 503] hoặc "5xx"
+function compileStatus(status, where, errors) {
+    const values = [].concat(status);
+    const matchers = values.map(value => {
+        if (Number.isInteger(value)) return code => code === value;
+        if (typeof value === 'string' && /^[1-5]xx$/i.test(value)) {
+            const family = Number(value[0]);
+            return code => Math.floor(code / 100) === family;
+        }
+        errors.push(`${where}: status must be an HTTP status code or "4xx"/"5xx" (got ${JSON.stringify(value)})`);
+        return () => false;
+    });
+    return code => matchers.some(matches => matches(code));
+}
+
+// Đọc bảng dấu hiệu lỗi hệ thống: mỗi rule gồm message / url (regex) và / hoặc HTTP status
+export function loadSystemErrorRules(file = testConfig.systemErrors) {
+    if (!fs.existsSync(file)) {
+        console.log(`ℹ️ No system error rules at ${file}`);
+        return [];
+    }
+
+    const { rules = [] } = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const errors = [];
+
+    const compiled = rules.map((rule, index) => {
+        const where = `rule ${index + 1}${rule.name ? ` (${rule.name})` : ''}`;
+        if (!rule.message && !rule.url && rule.status === undefined) {
+            errors.push(`${where}: needs at least one of message, url, status`);
+        }
+        const outcome = rule.outcome || Outcome.Blocked;
+        if (!ruleOutcomes.includes(outcome)) {
+            errors.push(`${where}: outcome must be one of ${ruleOutcomes.join(', ')}`);
+        }
+        return {
+            name: rule.name || `rule ${index + 1}`,
+            outcome,
+            message: rule.message ? compileRegex(rule.message, where, errors) : null,
+            url: rule.url ? compileRegex(rule.url, where, errors) : null,
+            status: rule.status !== undefined ? compileStatus(rule.status, where, errors) : null
+        };
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid system error rules in ${file}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+    }
+    return compiled;
+}
+
+// Tìm rule đầu tiên khớp với kết quả đọc từ trang: { errorMessage, currentUrl, responses: [{ url, status }] }
+export function matchSystemError({ errorMessage = '', currentUrl = '', responses = [] }, rules) {
+    for (const rule of rules) {
+        if (rule.message && !rule.message.test(errorMessage)) continue;
+
+        if (rule.status) {
+            // url + status phải khớp trên cùng 1 response
+            const response = responses.find(r => rule.status(r.status) && (!rule.url || rule.url.test(r.url)));
+            if (!response) continue;
+            return { rule: rule.name, outcome: rule.outcome, evidence: `HTTP ${response.status} ${response.url}` };
+        }
+
+        if (rule.url && !rule.url.test(currentUrl) && !responses.some(r => rule.url.test(r.url))) continue;
+
+        return {
+            rule: rule.name,
+            outcome: rule.outcome,
+            evidence: rule.message ? errorMessage : currentUrl
+        };
+    }
+    return null;
+}
+
+// Gọi trong afterEach: ghi outcome của test vừa chạy (test.testCaseID / test.outcome do it() gắn vào),
+// kèm thời gian chạy và lỗi của case Failed cho lịch sử các lần chạy
+export function recordOutcome(outcomes, test) {
+    if (!test || !test.testCaseID) return;
+    let outcome;
+    if (test.outcome) {
+        outcome = test.outcome;
+    } else if (test.state === 'passed') {
+        outcome = { outcome: Outcome.Passed };
+    } else if (test.state === 'failed') {
+        outcome = { outcome: Outcome.Failed };
+    } else {
+        outcome = { outcome: Outcome.Skipped, reason: 'skipped' };
+    }
+    const failed = outcome.outcome === Outcome.Failed && test.attemptError;
+    outcomes.set(test.testCaseID, { ...outcome, duration: test.duration ?? null, ...(failed && { error: test.attemptError }) });
+}
+
+// Chuyển Map outcome sang mảng để ghi vào summary
+export function outcomeList(outcomes) {
+    return [...outcomes].map(([testCaseID, outcome]) => ({ testCaseID, ...outcome }));
+}
@@ -0,0 +1,53 @@
+import fs from 'fs';
+import { testConfig } from './config.js';
+import { Outcome } from './outcomes.js';
+
+// Đọc config/quarantine.json: [{ testCaseID, reason, until? }]. Case trong danh sách vẫn chạy,
+// nhưng fail thì không làm fail build. Entry quá hạn (until < hôm nay) không còn hiệu lực.
+// Chưa có file (mặc định) nghĩa là danh sách rỗng
+export function loadQuarantine(file = testConfig.quarantine) {
+    const quarantine = new Map();
+    if (!fs.existsSync(file)) return quarantine;
+
+    const entries = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const errors = [];
+    const today = new Date().toISOString().split('T')[0];
+    if (!Array.isArray(entries)) {
+        throw new Error(`Invalid quarantine list in ${file}: must be an array of { testCaseID, reason, until? }`);
+    }
+
+    entries.forEach((entry, index) => {
+        const where = `entry ${index + 1}`;
+        if (!entry || typeof entry.testCaseID !== 'string' || !entry.testCaseID) {
+            errors.push(`${where}: testCaseID is missing`);
+            return;
+        }
+        if (typeof entry.reason !== 'string' || !entry.reason.trim()) {
+            errors.push(`${where} (${entry.testCaseID}): reason is missing`);
+        }
+        if (entry.until !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(entry.until)) {
+            errors.push(`${where} (${entry.testCaseID}): until must be a date in YYYY-MM-DD format`);
+        } else if (entry.until && entry.until < today) {
+            console.log(`⚠️ Quarantine of ${entry.testCaseID} expired on ${entry.until}, it counts again`);
+            return;
+        }
+        quarantine.set(entry.testCaseID, entry);
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid quarantine list in ${file}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+    }
+    if (quarantine.size > 0) {
+        console.log(`🧊 ${quarantine.size} quarantined test case(s): ${[...quarantine.keys()].join(', ')}`);
+    }
+    return quarantine;
+}
+
+// Outcome của case quarantine bị fail ở lần thử cuối: vẫn là Failed nhưng đánh dấu quarantined
+export function quarantinedFailure(entry, error) {
+    return {
+        outcome: Outcome.Failed,
+        reason: `quarantined: ${entry.reason} (${error.message.split('\n')[0]})`,
+        quarantined: true
+    };
+}
@@ -0,0 +1,96 @@
+import fs from 'fs';
+import path from 'path';
+
+// Lấy testCaseID từ title của test: "📝 Register Sign Up-TC01: ..." / "🔐 Login Sign In-TC01: ..."
+const testCaseIdPattern = /(?:Register|Login) (.+?): /;
+
+// Test kèm title của suite chứa nó (describe gần nhất)
+function collectTests(suite, tests = []) {
+    for (const test of suite.tests || []) tests.push({ suite: suite.title, test });
+    for (const child of suite.suites || []) collectTests(child, tests);
+    return tests;
+}
+
+function contextEntries(context) {
+    if (!context) return [];
+    return [].concat(typeof context === 'string' ? JSON.parse(context) : context);
+}
+
+// Context của mochawesome được lưu dạng chuỗi JSON: 1 giá trị hoặc mảng { title, value }
+function parseContext(context) {
+    const values = {};
+    for (const entry of contextEntries(context)) {
+        if (entry && typeof entry === 'object' && 'title' in entry) values[entry.title] = entry.value;
+    }
+    return values;
+}
+
+// Ảnh gắn không có title (vd. screenshot lúc fail), đường dẫn tính từ thư mục report
+function parseImages(context) {
+    return contextEntries(context).filter(entry => typeof entry === 'string' && entry.endsWith('.png'));
+}
+
+// Đọc report JSON của mochawesome thành danh sách test phẳng, kèm testCaseID và context theo title
+export function readMochawesomeTests(file) {
+    const report = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const results = report.results || [];
+
+    return results.flatMap(result => collectTests(result)).map(({ suite, test }) => {
+        const match = testCaseIdPattern.exec(test.title);
+        return {
+            testCaseID: match ? match[1] : test.title,
+            title: test.title,
+            suite,
+            state: test.state || (test.pending ? 'pending' : test.skipped ? 'skipped' : 'unknown'),
+            duration: test.duration,
+            error: test.err && test.err.message ? test.err.message : null,
+            stack: test.err && test.err.estack ? test.err.estack : null,
+            context: parseContext(test.context),
+            images: parseImages(test.context)
+        };
+    });
+}
+
+// Thư mục report của mochawesome (--reporter-options reportDir=...), để link trong HTML đúng
+// dù report nằm ở reports/, reports/workers/ hay reports/matrix/
+function reportDir() {
+    const index = process.argv.findIndex(arg => arg === '--reporter-options' || arg === '-O');
+    const reporterOptions = index >= 0 ? process.argv[index + 1] || '' : '';
+    const match = reporterOptions.match(/(?:^|,)reportDir=([^,]+)/);
+    return match ? match[1] : './mochawesome-report';
+}
+
+// Đường dẫn file tính từ report HTML, dùng cho addContext (ảnh .png được hiện thẳng trong report)
+export function reportLink(file, dir = reportDir()) {
+    return path.relative(dir, file).split(path.sep).join('/');
+}
+
+// Link tương đối trong context (screenshot, artifacts, step trace, ảnh diff) tính lại từ fromDir sang toDir.
+// Chỉ đổi chuỗi trỏ tới file / thư mục có thật tính từ fromDir, còn lại giữ nguyên
+function rebaseValue(value, fromDir, toDir) {
+    if (Array.isArray(value)) return value.map(item => rebaseValue(item, fromDir, toDir));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, rebaseValue(item, fromDir, toDir)]));
+    }
+    if (typeof value !== 'string' || !value.includes('/') || /^[a-z][a-z0-9+.-]*:/i.test(value) || path.isAbsolute(value)) {
+        return value;
+    }
+    const file = path.resolve(fromDir, value);
+    return fs.existsSync(file) ? reportLink(file, toDir) : value;
+}
+
+function rebaseSuite(suite, fromDir, toDir) {
+    for (const test of suite.tests || []) {
+        if (!test.context) continue;
+        const context = rebaseValue(JSON.parse(test.context), fromDir, toDir);
+        test.context = JSON.stringify(context, null, 2);
+    }
+    for (const child of suite.suites || []) rebaseSuite(child, fromDir, toDir);
+}
+
+// Runner song song gộp report của worker (reports/workers/) rồi render lại ở reports/:
+// link do reportLink() tính theo thư mục của worker phải đổi theo thư mục report cuối cùng
+export function rebaseReportLinks(report, fromDir, toDir) {
+    (report.results || []).forEach(suite => rebaseSuite(suite, fromDir, toDir));
+    return report;
+}
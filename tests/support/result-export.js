@@ -0,0 +1,287 @@
+import fs from 'fs';
+import path from 'path';
+import ExcelJS from 'exceljs';
+import { parse as parseCsv } from 'csv-parse/sync';
+import { schemas } from './data-schema.js';
+import { Outcome } from './outcomes.js';
+import { readMochawesomeTests } from './report-utils.js';
+import { dataSource, readRecords, resolveFormat, buildHeaderLookup, normalizeHeader, resultColumns } from './data-loader.js';
+
+// Row có trong data file nhưng không có trong report (bị lọc khi chọn row, MAX_USERS...)
+const notRun = 'Not Run';
+
+const suiteNames = { register: 'Registration', login: 'Login' };
+
+const statusColors = {
+    [Outcome.Passed]: 'FFC8E6C9',
+    [Outcome.Failed]: 'FFFFCDD2',
+    [Outcome.Blocked]: 'FFFFE0B2',
+    [Outcome.Skipped]: 'FFEEEEEE',
+    [notRun]: 'FFEEEEEE'
+};
+
+function toPosix(file) {
+    return file.split(path.sep).join('/');
+}
+
+// Kết quả của 1 test trong report: Blocked / Skipped / quarantined đều là pending trong mochawesome,
+// phân biệt qua context "Outcome" / "Quarantined failure" mà spec gắn vào
+function executionOf(test, dir) {
+    const outcome = test.context['Outcome'];
+    const quarantined = test.context['Quarantined failure'];
+    let status = { passed: Outcome.Passed, failed: Outcome.Failed }[test.state] || Outcome.Skipped;
+    let error = test.error;
+    if (quarantined) {
+        status = Outcome.Failed;
+        error = `${quarantined.error} (quarantined: ${quarantined.reason})`;
+    } else if (outcome?.outcome) {
+        status = outcome.outcome;
+        error = outcome.reason || error;
+    }
+
+    return {
+        status,
+        quarantined: Boolean(quarantined),
+        actualResult: test.context['Actual result'] ?? '',
+        error: error || '',
+        duration: test.duration ?? null,
+        screenshot: test.images.length > 0 ? toPosix(path.join(dir, test.images[0])) : ''
+    };
+}
+
+// Đọc report JSON của mochawesome (reports/test-report.json, api-report.json...) kèm kết quả từng test
+export function readExecutionResults(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`${file} not found - run the suite with the mochawesome reporter first`);
+    }
+    const { stats = {} } = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const tests = readMochawesomeTests(file).map(test => ({ ...test, ...executionOf(test, path.dirname(file)) }));
+    return { file, executedAt: stats.start || null, tests };
+}
+
+// testCaseID -> kết quả, chỉ các test gắn với data row
+function resultsById(results) {
+    return new Map(results.tests.filter(test => test.testCaseID !== test.title).map(test => [test.testCaseID, test]));
+}
+
+function xml(value) {
+    return String(value ?? '')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[char]);
+}
+
+function seconds(ms) {
+    return ((ms || 0) / 1000).toFixed(3);
+}
+
+function testCaseXml(test) {
+    const attributes = `classname="${xml(test.suite)}" name="${xml(test.title)}" time="${seconds(test.duration)}"`;
+    let body = '';
+    if (test.status === Outcome.Failed && !test.quarantined) {
+        body = `<failure message="${xml(test.error.split('\n')[0])}">${xml(test.stack || test.error)}</failure>`;
+    } else if (test.status !== Outcome.Passed) {
+        // Case quarantined không làm fail build nên được ghi là skipped, kèm lỗi (đã có "quarantined: <reason>")
+        body = `<skipped message="${xml(test.quarantined ? test.error : `${test.status}: ${test.error}`)}"/>`;
+    }
+    // Jenkins (JUnit Attachments) / GitLab hiện screenshot qua [[ATTACHMENT|path]]
+    if (test.screenshot) body += `<system-out>${xml(`[[ATTACHMENT|${test.screenshot}]]`)}</system-out>`;
+    return body ? `    <testcase ${attributes}>${body}</testcase>` : `    <testcase ${attributes}/>`;
+}
+
+// JUnit XML cho dashboard của CI: mỗi describe của mochawesome là 1 <testsuite>.
+// Blocked / Skipped / quarantined là <skipped> để khớp với exit code của mocha
+export function toJUnitXml(results, name = 'Selenium data-driven tests') {
+    const suites = new Map();
+    for (const test of results.tests) {
+        suites.set(test.suite, [...(suites.get(test.suite) || []), test]);
+    }
+
+    const count = (tests, predicate) => tests.filter(predicate).length;
+    const failed = test => test.status === Outcome.Failed && !test.quarantined;
+    const skipped = test => test.status !== Outcome.Passed && !failed(test);
+    const time = tests => seconds(tests.reduce((sum, test) => sum + (test.duration || 0), 0));
+    const timestamp = results.executedAt ? ` timestamp="${xml(results.executedAt.split('.')[0])}"` : '';
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="${xml(name)}" tests="${results.tests.length}" failures="${count(results.tests, failed)}" ` +
+        `skipped="${count(results.tests, skipped)}" time="${time(results.tests)}">`
+    ];
+    for (const [suite, tests] of suites) {
+        lines.push(`  <testsuite name="${xml(suite)}" tests="${tests.length}" failures="${count(tests, failed)}" errors="0" ` +
+            `skipped="${count(tests, skipped)}" time="${time(tests)}"${timestamp}>`);
+        tests.forEach(test => lines.push(testCaseXml(test)));
+        lines.push('  </testsuite>');
+    }
+    lines.push('</testsuites>');
+    return `${lines.join('\n')}\n`;
+}
+
+// Giá trị ô giống cách data loader đọc lại được: tags "a, b", expectedErrors / expectedResponse dạng JSON
+function cellText(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+function resultValues(result, executedAt) {
+    if (!result) return { status: notRun };
+    return {
+        actualResult: result.actualResult,
+        status: result.status,
+        error: result.error,
+        duration: result.duration === null ? '' : Number((result.duration / 1000).toFixed(1)),
+        screenshot: result.screenshot,
+        executedAt: executedAt ? executedAt.replace('T', ' ').slice(0, 19) : ''
+    };
+}
+
+// Bảng kết quả của 1 suite: các cột của data file như trong file (placeholder chưa thay) + cột kết quả
+export async function executionSheet(kind, results, { file, options } = dataSource(kind)) {
+    const records = await readRecords(file, options);
+    if (!Array.isArray(records)) {
+        throw new Error(`${file}: expected an array of ${kind} rows`);
+    }
+    const byId = resultsById(results);
+    const fields = Object.keys(schemas[kind].properties).filter(field => records.some(record => record[field] !== undefined));
+    const columns = [
+        ...fields.map(field => ({ key: field, header: field })),
+        ...Object.entries(resultColumns).map(([key, [header]]) => ({ key, header }))
+    ];
+    const rows = records.map(record => ({
+        ...Object.fromEntries(fields.map(field => [field, cellText(record[field])])),
+        ...resultValues(byId.get(record.testCaseID), results.executedAt)
+    }));
+    return { kind, name: suiteNames[kind], source: file, columns, rows };
+}
+
+function csvCell(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+    return `${rows.map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+function statusCount(sheets) {
+    const counts = {};
+    sheets.flatMap(sheet => sheet.rows).forEach(row => { counts[row.status] = (counts[row.status] || 0) + 1; });
+    return counts;
+}
+
+// Ghi <base>.xlsx (mỗi suite 1 sheet, tô màu cột Status) và <base>-<kind>.csv
+export async function writeExecutionReport(sheets, base) {
+    fs.mkdirSync(path.dirname(base), { recursive: true });
+    const workbook = new ExcelJS.Workbook();
+    const files = [];
+
+    for (const sheet of sheets) {
+        const worksheet = workbook.addWorksheet(sheet.name, { views: [{ state: 'frozen', ySplit: 1 }] });
+        worksheet.columns = sheet.columns.map(column => ({ ...column, width: Math.min(Math.max(column.header.length + 2, 12), 40) }));
+        worksheet.addRows(sheet.rows);
+        worksheet.getRow(1).font = { bold: true };
+        worksheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: sheet.columns.length } };
+        worksheet.getColumn('status').eachCell((cell, rowNumber) => {
+            const color = statusColors[cell.value];
+            if (rowNumber > 1 && color) cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: color } };
+        });
+
+        const csv = `${base}-${sheet.kind}.csv`;
+        fs.writeFileSync(csv, toCsv([sheet.columns.map(column => column.header), ...sheet.rows.map(row => sheet.columns.map(column => row[column.key]))]));
+        files.push(csv);
+    }
+
+    await workbook.xlsx.writeFile(`${base}.xlsx`);
+    return { files: [`${base}.xlsx`, ...files], counts: statusCount(sheets) };
+}
+
+// Vị trí (0-based) các cột cần ghi trong dòng header: cột testCaseID + cột kết quả (thêm vào cuối nếu chưa có)
+function writeBackColumns(headers, kind, columnMap, source) {
+    const lookup = buildHeaderLookup(kind, columnMap);
+    const idColumn = headers.findIndex(header => lookup.get(normalizeHeader(header)) === 'testCaseID');
+    if (idColumn < 0) {
+        throw new Error(`${source}: no testCaseID column to match results against`);
+    }
+
+    const columns = {};
+    const added = [];
+    for (const [key, aliases] of Object.entries(resultColumns)) {
+        const names = aliases.map(normalizeHeader);
+        let index = headers.findIndex(header => names.includes(normalizeHeader(header)));
+        if (index < 0) {
+            index = headers.length;
+            headers.push(aliases[0]);
+            added.push(aliases[0]);
+        }
+        columns[key] = index;
+    }
+    return { idColumn, columns, added };
+}
+
+const writers = {
+    async xlsx(file, { kind, sheet, columnMap }, values) {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.readFile(file);
+        const worksheet = sheet ? workbook.getWorksheet(sheet) : workbook.worksheets[0];
+        if (!worksheet) {
+            throw new Error(`Sheet "${sheet}" not found in ${file}`);
+        }
+
+        const headers = [];
+        worksheet.getRow(1).eachCell((cell, column) => { headers[column - 1] = cell.text; });
+        const { idColumn, columns, added } = writeBackColumns(Array.from(headers, header => header ?? ''), kind, columnMap, file);
+        // Cột mới lấy style của header cuối cùng đang có
+        const headerRow = worksheet.getRow(1);
+        added.forEach((header, index) => {
+            const cell = headerRow.getCell(headers.length + index + 1);
+            cell.value = header;
+            cell.style = { ...headerRow.getCell(headers.length).style };
+        });
+
+        let updated = 0;
+        worksheet.eachRow((row, rowNumber) => {
+            const result = rowNumber > 1 && values.get(row.getCell(idColumn + 1).text.trim());
+            if (!result) return;
+            for (const [key, index] of Object.entries(columns)) {
+                const cell = row.getCell(index + 1);
+                cell.value = result[key] === '' ? null : result[key];
+                if (key === 'status' && statusColors[result.status]) {
+                    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: statusColors[result.status] } };
+                }
+            }
+            updated++;
+        });
+        await workbook.xlsx.writeFile(file);
+        return { updated, added };
+    },
+
+    async csv(file, { kind, columnMap }, values) {
+        const content = fs.readFileSync(file, 'utf-8');
+        const [headers = [], ...rows] = parseCsv(content, { bom: true, relax_column_count: true });
+        const { idColumn, columns, added } = writeBackColumns(headers, kind, columnMap, file);
+
+        let updated = 0;
+        for (const row of rows) {
+            const result = values.get(String(row[idColumn] ?? '').trim());
+            if (!result) continue;
+            for (const [key, index] of Object.entries(columns)) row[index] = result[key];
+            updated++;
+        }
+        const bom = content.charCodeAt(0) === 0xfeff ? '\uFEFF' : '';
+        fs.writeFileSync(file, bom + toCsv([headers, ...rows.map(row => headers.map((header, index) => row[index] ?? ''))]));
+        return { updated, added };
+    }
+};
+
+// Ghi kết quả vào chính spreadsheet nguồn (CSV / XLSX) theo testCaseID: điền Actual Result, Status, Error Message,
+// Duration, Screenshot, Executed At (thêm cột nếu chưa có). Row không có trong report giữ nguyên kết quả cũ
+export async function updateSourceSheet(kind, results, { file, options } = dataSource(kind)) {
+    const format = resolveFormat(file, options.format);
+    if (!writers[format]) {
+        return { file, skipped: `${format} is not a spreadsheet (only csv / xlsx sources are updated)` };
+    }
+    const values = new Map([...resultsById(results)].map(([testCaseID, result]) => [testCaseID, resultValues(result, results.executedAt)]));
+    return { file, ...(await writers[format](file, options, values)) };
+}
@@ -0,0 +1,107 @@
+import fs from 'fs';
+import { testConfig } from './config.js';
+import { readMochawesomeTests } from './report-utils.js';
+import { withDependencies } from './dependencies.js';
+import { log } from './logger.js';
+
+function escapeRegex(text) {
+    return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+// "Sign Up-TC59" / "Sign Up-TC5*" (glob * và ?) hoặc khoảng theo số cuối "Sign Up-TC10..20", "Sign Up-TC10..Sign Up-TC20"
+export function compileIdPattern(pattern) {
+    const bounds = pattern.split('..');
+    if (bounds.length === 1) {
+        const regex = new RegExp(`^${pattern.split('*').map(part => part.split('?').map(escapeRegex).join('.')).join('.*')}$`, 'i');
+        return id => regex.test(id);
+    }
+
+    const [start, end] = bounds.map(bound => /^(.*?)(\d+)$/.exec(bound.trim()));
+    if (bounds.length !== 2 || !start || !end || (end[1] && end[1] !== start[1])) {
+        throw new Error(`Invalid testCaseID range "${pattern}" (expected e.g. "Sign Up-TC10..20")`);
+    }
+    const [low, high] = [Number(start[2]), Number(end[2])].sort((a, b) => a - b);
+    return id => {
+        const match = /^(.*?)(\d+)$/.exec(id);
+        return Boolean(match) && match[1] === start[1] && Number(match[2]) >= low && Number(match[2]) <= high;
+    };
+}
+
+// testCaseID failed trong report mochawesome của lần chạy trước. Case quarantined / Blocked là pending nên không tính;
+// test không gắn data row (♿ Accessibility, 🖼️ Visual regression) luôn chạy nên cũng bỏ qua
+export function failedInReport(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`--rerun-failed: no previous report at ${file} - run the suite first or pass --rerun-report`);
+    }
+    return new Set(readMochawesomeTests(file)
+        .filter(test => test.state === 'failed' && test.testCaseID !== test.title)
+        .map(test => test.testCaseID));
+}
+
+// Điều kiện chọn row theo testConfig.select; null khi không có điều kiện nào (chạy như cũ)
+function selectionCriteria(report) {
+    const { ids, expectedResult, tags, rerunFailed, rerunReport } = testConfig.select;
+    const filters = [];
+    const described = [];
+
+    if (ids) {
+        const patterns = ids.map(compileIdPattern);
+        filters.push(record => patterns.some(matches => matches(record.testCaseID)));
+        described.push(`ids ${ids.join(', ')}`);
+    }
+    if (expectedResult) {
+        filters.push(record => record.expectedResult.toLowerCase() === expectedResult);
+        described.push(`expectedResult ${expectedResult}`);
+    }
+    if (tags) {
+        const included = tags.filter(tag => !tag.startsWith('!'));
+        const excluded = tags.filter(tag => tag.startsWith('!')).map(tag => tag.slice(1));
+        filters.push(record => {
+            const own = record.tags || [];
+            return (included.length === 0 || included.some(tag => own.includes(tag))) && !excluded.some(tag => own.includes(tag));
+        });
+        described.push(`tags ${tags.join(', ')}`);
+    }
+    if (rerunFailed) {
+        const file = rerunReport || report;
+        const failed = failedInReport(file);
+        filters.push(record => failed.has(record.testCaseID));
+        described.push(`${failed.size} failed case(s) in ${file}`);
+    }
+
+    if (filters.length === 0) return null;
+    return { match: record => filters.every(filter => filter(record)), description: described.join('; ') };
+}
+
+// Chọn row cho 2 suite: không có điều kiện thì cắt theo MAX_USERS / MAX_LOGINS như trước.
+// Có điều kiện (ids, expectedResult, tags, rerunFailed) thì lọc rồi mới cắt.
+// Cả 2 trường hợp đều tự thêm row đăng ký mà row đã chọn cần (dependsOn) để row đó không bị Blocked.
+// report: report mochawesome của suite, dùng cho --rerun-failed
+export function selectTestData(register, login, { report }) {
+    const criteria = selectionCriteria(report);
+    if (!criteria) {
+        const selectedLogin = login.slice(0, testConfig.maxLogins);
+        const selectedRegister = withDependencies(register.slice(0, testConfig.maxUsers), register, selectedLogin);
+        const added = selectedRegister.length - Math.min(register.length, testConfig.maxUsers);
+        if (added > 0) {
+            log.info(`🎯 +${added} registration row(s) beyond MAX_USERS=${testConfig.maxUsers} needed by dependsOn`);
+        }
+        return { register: selectedRegister, login: selectedLogin };
+    }
+
+    const selectedLogin = login.filter(criteria.match).slice(0, testConfig.maxLogins);
+    const matchedRegister = register.filter(criteria.match).slice(0, testConfig.maxUsers);
+    const selectedRegister = withDependencies(matchedRegister, register, selectedLogin);
+    const added = selectedRegister.length - matchedRegister.length;
+
+    log.info(`🎯 Selected ${selectedRegister.length}/${register.length} register and ${selectedLogin.length}/${login.length} login row(s) ` +
+        `by ${criteria.description}${added > 0 ? ` (+${added} registration row(s) needed by dependsOn)` : ''}`);
+    if (selectedRegister.length === 0 && selectedLogin.length === 0) {
+        if (testConfig.select.rerunFailed) {
+            log.info('✅ Nothing to rerun: no selected case failed in the previous run');
+        } else {
+            log.warn('⚠️ No data row matches the selection');
+        }
+    }
+    return { register: selectedRegister, login: selectedLogin };
+}
@@ -0,0 +1,21 @@
+import { testConfig } from './config.js';
+
+// Chia data rows cho các worker theo kiểu round-robin: worker i nhận row i, i + N, i + 2N...
+// Row có dependsOn (trỏ tới row trong cùng danh sách) đi cùng worker với row nó phụ thuộc,
+// nên round-robin tính theo nhóm phụ thuộc thay vì từng row
+export function shardRecords(records, { index, total } = testConfig.shard) {
+    if (total <= 1) return records;
+
+    const byId = new Map(records.map(record => [record.testCaseID, record]));
+    const rootOf = record => {
+        const seen = new Set();
+        while (byId.has(record.dependsOn) && !seen.has(record)) {
+            seen.add(record);
+            record = byId.get(record.dependsOn);
+        }
+        return record.testCaseID;
+    };
+
+    const groups = [...new Set(records.map(rootOf))];
+    return records.filter(record => groups.indexOf(rootOf(record)) % total === index);
+}
@@ -0,0 +1,58 @@
+import fs from 'fs';
+import path from 'path';
+import { testConfig } from './config.js';
+import { Outcome } from './outcomes.js';
+import { printWaitSavings } from './waits.js';
+
+export const workerReportDir = './reports/workers';
+
+// In summary cuối suite; khi chạy song song thì ghi thêm file JSON để runner gộp lại
+// drift (locator chỉ khớp bằng fallback) không in theo suite, được gộp vào báo cáo drift cuối lần chạy
+export function reportSummary(suite, title, { successful, failed, total, outcomes = [], flaky = [], waits = null, drift = [] }) {
+    printSummary(title, { successful, failed, total, outcomes, flaky, waits });
+
+    // Runner song song luôn set SHARD_TOTAL, kể cả khi chỉ có 1 worker
+    if (testConfig.shard.total > 1 || process.env.SHARD_TOTAL) {
+        fs.mkdirSync(workerReportDir, { recursive: true });
+        const file = path.join(workerReportDir, `${suite}-summary-${testConfig.shard.index}.json`);
+        fs.writeFileSync(file, JSON.stringify({ suite, title, successful, failed, total, outcomes, flaky, waits, drift }, null, 2));
+    }
+}
+
+export function printSummary(title, { successful, failed, total, outcomes = [], flaky = [], waits = null }) {
+    console.log(`\n📊 ${title} Results Summary:`);
+    console.log(`✅ Successful: ${successful.length}/${total}`);
+    console.log(`⚠ Failed: ${failed.length}/${total}`);
+    printWaitSavings(title, waits);
+
+    // Test case không có outcome (vd. before hook lỗi) được tính là Skipped
+    const counts = Object.fromEntries(Object.values(Outcome).map(outcome => [outcome, 0]));
+    outcomes.forEach(entry => counts[entry.outcome]++);
+    counts[Outcome.Skipped] += Math.max(0, total - outcomes.length);
+    console.log(`🧪 Outcomes: ${Object.entries(counts).map(([outcome, count]) => `${outcome} ${count}`).join(', ')}`);
+
+    if (failed.length > 0) {
+        console.log(`\n⚠ Failed ${title} Test Cases:`);
+        failed.forEach(tc => console.log(`  - ${tc}`));
+    }
+
+    for (const outcome of [Outcome.Blocked, Outcome.Skipped]) {
+        const entries = outcomes.filter(entry => entry.outcome === outcome);
+        if (entries.length === 0) continue;
+        console.log(`\n${outcome === Outcome.Blocked ? '🚧' : '⏭'} ${outcome} ${title} Test Cases:`);
+        entries.forEach(entry => console.log(`  - ${entry.testCaseID}: ${entry.reason}`));
+    }
+
+    // Case quarantine bị fail: vẫn là Failed nhưng không làm fail build
+    const quarantined = outcomes.filter(entry => entry.quarantined);
+    if (quarantined.length > 0) {
+        console.log(`\n🧊 Quarantined ${title} failures (not failing the build):`);
+        quarantined.forEach(entry => console.log(`  - ${entry.testCaseID}: ${entry.reason}`));
+    }
+
+    const retried = flaky.filter(entry => entry.passedOnRetry);
+    if (retried.length > 0) {
+        console.log(`\n🔁 ${title} passed on retry:`);
+        retried.forEach(entry => console.log(`  - ${entry.testCaseID}: retry ${entry.passedOnRetry} (${entry.errors[0] || 'no error recorded'})`));
+    }
+}
@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+import { faker } from '@faker-js/faker';
+
+// Placeholder trong data file, thay lúc load để mỗi lần chạy dùng account mới:
+//   {{runId}}  - mã của lần chạy, luôn 6 ký tự [a-z0-9] (testConfig.runId / RUN_ID)
+//   {{seq}}    - số thứ tự row trong file, 4 chữ số (0001, 0002...)
+//   {{uid:N}}  - N ký tự [a-z0-9] ngẫu nhiên theo runId
+//   {{faker.module.method}} - giá trị faker (độ dài thay đổi, không dùng cho row biên)
+// Các placeholder (trừ faker) có độ rộng cố định nên email biên (vd. 60 ký tự) giữ đúng độ dài
+const placeholderPattern = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const alphabet = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+// Field không bao giờ là template
+const literalFields = new Set(['testCaseID', 'expectedResult']);
+
+// Bytes ổn định theo runId + nội dung ô: cùng template (cùng thứ tự lặp lại) ở register và login
+// cho ra cùng giá trị, nên login dùng lại được đúng account vừa đăng ký
+function seedBytes(...parts) {
+    return crypto.createHash('sha256').update(parts.join('|')).digest();
+}
+
+function uid(bytes, length) {
+    let value = '';
+    for (let i = 0; value.length < length; i++) {
+        if (i > 0 && i % bytes.length === 0) bytes = seedBytes(bytes.toString('hex'));
+        value += alphabet[bytes[i % bytes.length] % alphabet.length];
+    }
+    return value;
+}
+
+function fakerValue(expression, bytes) {
+    faker.seed(bytes.readUInt32BE(0));
+    const [, moduleName, methodName, ...rest] = expression.split('.');
+    const module = faker[moduleName];
+    if (rest.length > 0 || !module || typeof module[methodName] !== 'function') return undefined;
+    return String(module[methodName]());
+}
+
+function renderValue(template, { runId, seq, repeat }) {
+    let occurrence = 0;
+    return template.replace(placeholderPattern, (placeholder, expression) => {
+        const bytes = seedBytes(runId, template, repeat, occurrence++);
+        if (expression === 'runId') return runId;
+        if (expression === 'seq') return String(seq).padStart(4, '0');
+
+        const uidMatch = /^uid:(\d+)$/.exec(expression);
+        if (uidMatch && Number(uidMatch[1]) > 0) return uid(bytes, Number(uidMatch[1]));
+
+        if (expression.startsWith('faker.')) {
+            const value = fakerValue(expression, bytes);
+            if (value !== undefined) return value;
+        }
+        throw new Error(`unknown placeholder ${placeholder} (supported: {{runId}}, {{seq}}, {{uid:N}}, {{faker.module.method}})`);
+    });
+}
+
+// Thay placeholder trong mọi field string của record; trả về records mới, lỗi ghi rõ row / field
+export function renderTemplates(records, { runId, source = 'data' }) {
+    if (!Array.isArray(records)) return records;
+    const repeats = new Map();
+
+    return records.map((record, index) => {
+        if (!record || typeof record !== 'object') return record;
+        const rendered = { ...record };
+        for (const [field, value] of Object.entries(record)) {
+            if (literalFields.has(field) || typeof value !== 'string' || !value.includes('{{')) continue;
+
+            // Ô giống hệt nhau trong cùng file vẫn ra giá trị khác nhau (lần lặp thứ k)
+            const repeatKey = `${field}\u0000${value}`;
+            const repeat = repeats.get(repeatKey) || 0;
+            repeats.set(repeatKey, repeat + 1);
+
+            try {
+                rendered[field] = renderValue(value, { runId, seq: index + 1, repeat });
+            } catch (error) {
+                throw new Error(`${source} row ${index + 1} (${record.testCaseID || 'no testCaseID'}) ${field}: ${error.message}`);
+            }
+        }
+        return rendered;
+    });
+}
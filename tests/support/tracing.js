@@ -0,0 +1,124 @@
+import fs from 'fs';
+import path from 'path';
+import addContext from 'mochawesome/addContext.js';
+import { testConfig } from './config.js';
+import { log } from './logger.js';
+import { reportLink } from './report-utils.js';
+
+// Step có tên hoặc locator chứa "password" không ghi giá trị thật
+const secretPattern = /password/i;
+
+// Trace của test đang chạy: { testCaseID, attempt, startedAt, steps, stack }
+let current = null;
+// Timeline của các attempt trước: mocha retry bằng bản clone của test nên context cũ không còn trong report
+const earlierTimelines = new Map();
+
+function safeName(value) {
+    return String(value).replace(/[^a-zA-Z0-9._-]+/g, '_');
+}
+
+// Bắt đầu ghi các bước của 1 lần thử (attempt) của test case
+export function startTrace(testCaseID, attempt = 0) {
+    current = { testCaseID, attempt, startedAt: Date.now(), steps: [], stack: [] };
+}
+
+// Helper tự retry (stale element, fill / click lại...) báo cho step đang chạy
+export function noteStepRetry() {
+    const step = current?.stack[current.stack.length - 1];
+    if (step) step.retries++;
+}
+
+function logStep(step) {
+    const where = step.locator ? ` ${step.locator}` : '';
+    if (step.outcome === 'failed') {
+        log.warn(`❌ Step "${step.name}"${where} failed after ${step.duration}ms: ${step.error}`);
+    } else if (step.retries > 0) {
+        log.info(`🔁 Step "${step.name}"${where} passed after ${step.retries} retry(s) (${step.duration}ms)`);
+    } else {
+        log.debug(`👣 Step "${step.name}"${where} (${step.duration}ms)`);
+    }
+}
+
+// Chạy action như 1 step của trace: ghi tên, locator, giá trị (password che ***), thời gian,
+// số lần retry và kết quả. Step gọi bên trong step khác có depth tăng dần.
+// Ngoài test (before / after hook) thì chỉ chạy action
+export async function traceStep(name, { locator, value, secret = false } = {}, action) {
+    if (!current) return action();
+
+    const trace = current;
+    const step = {
+        name,
+        locator: locator !== undefined ? String(locator) : undefined,
+        value: value === undefined ? undefined : secret || secretPattern.test(`${name} ${locator}`) ? '***' : String(value),
+        depth: trace.stack.length,
+        offset: Date.now() - trace.startedAt,
+        retries: 0
+    };
+    trace.steps.push(step);
+    trace.stack.push(step);
+    const started = Date.now();
+
+    try {
+        const result = await action();
+        step.outcome = 'passed';
+        return result;
+    } catch (error) {
+        step.outcome = 'failed';
+        step.error = error.message.split('\n')[0];
+        throw error;
+    } finally {
+        step.duration = Date.now() - started;
+        trace.stack.pop();
+        logStep(step);
+    }
+}
+
+function formatTimeline(steps) {
+    return steps.map(step => {
+        const icon = step.outcome === 'failed' ? '❌' : step.retries > 0 ? '🔁' : '✅';
+        const detail = [
+            step.locator,
+            step.value !== undefined ? `= "${step.value}"` : null,
+            step.retries > 0 ? `(${step.retries} retry)` : null,
+            step.error ? `- ${step.error}` : null
+        ].filter(Boolean).join(' ');
+        return `${`+${step.offset}ms`.padStart(9)} ${`${step.duration}ms`.padStart(7)}  ${'  '.repeat(step.depth)}${icon} ${step.name}${detail ? ` ${detail}` : ''}`;
+    }).join('\n');
+}
+
+// Gọi trong afterEach: ghi trace ra <trace.dir>/<testCaseID>_<browser>.jsonl (mỗi dòng 1 step,
+// attempt retry ghi nối vào cùng file) và gắn vào test trong report: đường dẫn file JSONL là 1 mục
+// riêng, timeline của mỗi attempt là 1 khối code (nằm trong phần test mochawesome mở / đóng được)
+export function finishTrace(context) {
+    const trace = current;
+    current = null;
+    if (!trace || !testConfig.trace.enabled) return null;
+
+    const file = path.join(testConfig.trace.dir, `${safeName(trace.testCaseID)}_${safeName(testConfig.browser)}.jsonl`);
+    const lines = trace.steps.map((step, index) => JSON.stringify({
+        runId: testConfig.runId,
+        testCaseID: trace.testCaseID,
+        browser: testConfig.browser,
+        attempt: trace.attempt,
+        step: index + 1,
+        ...step
+    }));
+    fs.mkdirSync(testConfig.trace.dir, { recursive: true });
+    if (trace.attempt === 0) {
+        fs.writeFileSync(file, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+    } else if (lines.length > 0) {
+        fs.appendFileSync(file, `${lines.join('\n')}\n`);
+    }
+
+    const timelines = trace.attempt > 0 ? earlierTimelines.get(trace.testCaseID) || [] : [];
+    if (trace.steps.length > 0) {
+        timelines.push({
+            title: `Step trace${trace.attempt > 0 ? ` (retry ${trace.attempt})` : ''}: ${trace.steps.length} step(s), ${Date.now() - trace.startedAt}ms`,
+            value: formatTimeline(trace.steps)
+        });
+    }
+    addContext(context, { title: 'Step trace file (JSON lines)', value: reportLink(file) });
+    timelines.forEach(timeline => addContext(context, timeline));
+    earlierTimelines.set(trace.testCaseID, timelines);
+    return file;
+}
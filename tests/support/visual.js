@@ -0,0 +1,242 @@
+import fs from 'fs';
+import path from 'path';
+import pixelmatch from 'pixelmatch';
+import { PNG } from 'pngjs';
+import addContext from 'mochawesome/addContext.js';
+import { testConfig } from './config.js';
+import { log } from './logger.js';
+import { reportLink } from './report-utils.js';
+
+// Độ nhạy màu của pixelmatch cho từng pixel; tolerance trong config là tỉ lệ pixel được phép khác
+const pixelThreshold = 0.1;
+// Màu tô lên vùng bỏ qua ở cả baseline lẫn ảnh chụp trước khi so (hiện rõ trong ảnh diff)
+const maskColor = [255, 0, 255, 255];
+
+// Cố định trang trước khi chụp: tắt caret nhấp nháy, animation / transition, cuộn về đầu trang.
+// Trả về vị trí (CSS px, theo viewport) của các element thuộc vùng bỏ qua
+const prepareScript = `
+    const [selectors] = arguments;
+    if (!document.getElementById('__visual-freeze')) {
+        const style = document.createElement('style');
+        style.id = '__visual-freeze';
+        style.textContent = '*, *::before, *::after { caret-color: transparent !important; transition: none !important; animation: none !important; }';
+        document.head.appendChild(style);
+    }
+    window.scrollTo(0, 0);
+    return {
+        url: location.href,
+        scale: window.devicePixelRatio,
+        rects: selectors.flatMap(selector => Array.from(document.querySelectorAll(selector)).map(element => {
+            const rect = element.getBoundingClientRect();
+            return { x: rect.left, y: rect.top, width: rect.width, height: rect.height };
+        }))
+    };
+`;
+const restoreScript = `document.getElementById('__visual-freeze')?.remove();`;
+
+function slug(value) {
+    return String(value).replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '').toLowerCase();
+}
+
+// Baseline tách theo browser + viewport: ảnh của Chrome 1920x1080 không dùng để so với Firefox hay 1366x768
+export function viewportName() {
+    const { width, height } = testConfig.screen;
+    return `${testConfig.browser}_${width}x${height}${testConfig.zoomLevel !== 1 ? `@${testConfig.zoomLevel}x` : ''}`;
+}
+
+// Đọc config/rules/visual-ignore.json: { regions: [{ name, page, state, selector | rect }] }.
+// page / state là "*" hoặc tên chính xác; state không kèm phần (field, ...) áp dụng cho mọi biến thể
+export function loadIgnoreRegions(file = testConfig.visual.ignoreFile) {
+    if (!fs.existsSync(file)) {
+        log.info(`ℹ️ No visual ignore regions at ${file}`);
+        return [];
+    }
+
+    const { regions = [] } = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const errors = [];
+    regions.forEach((region, index) => {
+        const where = `region ${index + 1}${region.name ? ` (${region.name})` : ''}`;
+        if (Boolean(region.selector) === Boolean(region.rect)) {
+            errors.push(`${where}: needs exactly one of selector, rect`);
+        }
+        if (region.rect && !['x', 'y', 'width', 'height'].every(key => Number.isFinite(region.rect[key]))) {
+            errors.push(`${where}: rect needs numeric x, y, width, height (CSS px)`);
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid visual ignore regions in ${file}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+    }
+    return regions;
+}
+
+function regionsFor(regions, page, state, name) {
+    const matches = (pattern, ...values) => !pattern || pattern === '*' || values.includes(pattern);
+    return regions.filter(region => matches(region.page, page) && matches(region.state, state, name));
+}
+
+function readPng(file) {
+    return PNG.sync.read(fs.readFileSync(file));
+}
+
+function writePng(file, png) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, PNG.sync.write(png));
+}
+
+// Bản sao của ảnh với các vùng bỏ qua (device px) tô kín bằng maskColor
+function maskRegions(png, rects) {
+    const masked = new PNG({ width: png.width, height: png.height });
+    png.data.copy(masked.data);
+    for (const rect of rects) {
+        const left = Math.max(0, Math.floor(rect.x));
+        const top = Math.max(0, Math.floor(rect.y));
+        const right = Math.min(png.width, Math.ceil(rect.x + rect.width));
+        const bottom = Math.min(png.height, Math.ceil(rect.y + rect.height));
+        for (let y = top; y < bottom; y++) {
+            for (let x = left; x < right; x++) {
+                masked.data.set(maskColor, (y * png.width + x) * 4);
+            }
+        }
+    }
+    return masked;
+}
+
+// So ảnh chụp với baseline sau khi che vùng bỏ qua: { diff, diffPixels, diffRatio } hoặc { reason } khi khác kích thước
+export function compareImages(actual, baseline, rects = []) {
+    if (actual.width !== baseline.width || actual.height !== baseline.height) {
+        return { reason: `size ${actual.width}x${actual.height} differs from baseline ${baseline.width}x${baseline.height}` };
+    }
+    const { width, height } = actual;
+    const diff = new PNG({ width, height });
+    const diffPixels = pixelmatch(maskRegions(actual, rects).data, maskRegions(baseline, rects).data, diff.data, width, height, { threshold: pixelThreshold });
+    return { diff, diffPixels, diffRatio: diffPixels / (width * height) };
+}
+
+function percent(ratio) {
+    return `${(ratio * 100).toFixed(2)}%`;
+}
+
+// Visual regression của 1 form: chụp ở từng trạng thái (mỗi trạng thái 1 lần trong lần chạy), so với baseline
+// trong <visual.baselineDir>/<browser>_<width>x<height>/<page>/<state>/<testCaseID>.png và ghi actual / diff vào <visual.outputDir>.
+// Ảnh phụ thuộc giá trị của row, nên baseline theo từng row: trạng thái đã có baseline chỉ được chụp từ row có baseline,
+// để chọn row khác (--ids, tags, shard, worker) không sinh diff giả.
+// Test "🖼️ Visual" cuối suite fail nếu có trạng thái lệch quá tolerance; chấp nhận thay đổi bằng npm run update-baselines
+export class VisualCheck {
+    constructor(page) {
+        this.page = page;
+        this.checkpoints = [];
+        this.regions = null;
+    }
+
+    // Thư mục baseline của 1 trạng thái; mỗi file <testCaseID>.png là baseline của 1 row
+    stateDir(name) {
+        return path.join(testConfig.visual.baselineDir, viewportName(), slug(this.page), slug(name));
+    }
+
+    baselineRows(name) {
+        const dir = this.stateDir(name);
+        return fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => file.endsWith('.png')).map(file => file.slice(0, -4)) : [];
+    }
+
+    // state: 'empty' | 'filled' | 'validation errors' | 'after redirect'; variant phân biệt các trạng thái lỗi.
+    // Không throw: lỗi khi chụp được ghi thành checkpoint "error", không làm fail test chức năng
+    async capture(driver, context, state, variant = '') {
+        const name = variant ? `${state} (${variant})` : state;
+        if (!testConfig.visual.enabled || this.checkpoints.some(checkpoint => checkpoint.state === name)) return null;
+
+        // Trạng thái đã có baseline: đợi row có baseline, row khác có giá trị khác nên không so được
+        const testCaseID = context.test.testCaseID;
+        const rows = this.baselineRows(name);
+        if (rows.length > 0 && !rows.includes(slug(testCaseID))) return null;
+
+        const shard = testConfig.shard.total > 1 ? `_w${testConfig.shard.index}` : '';
+        const file = `${slug(this.page)}/${slug(name)}/${slug(testCaseID)}`;
+        const output = path.join(testConfig.visual.outputDir, `${viewportName()}${shard}`, file);
+        const checkpoint = {
+            page: this.page,
+            state: name,
+            testCaseID,
+            url: null,
+            status: null,
+            baseline: path.join(testConfig.visual.baselineDir, viewportName(), `${file}.png`),
+            actual: `${output}.actual.png`,
+            diff: null
+        };
+        this.checkpoints.push(checkpoint);
+
+        try {
+            this.regions ??= loadIgnoreRegions();
+            const regions = regionsFor(this.regions, this.page, state, name);
+            const page = await driver.executeScript(prepareScript, regions.filter(region => region.selector).map(region => region.selector));
+            const screenshot = PNG.sync.read(Buffer.from(await driver.takeScreenshot(), 'base64'));
+            await driver.executeScript(restoreScript);
+            checkpoint.url = page.url;
+            writePng(checkpoint.actual, screenshot);
+
+            if (!fs.existsSync(checkpoint.baseline)) {
+                checkpoint.status = 'new';
+            } else {
+                const rects = [...page.rects, ...regions.filter(region => region.rect).map(region => region.rect)]
+                    .map(rect => ({ x: rect.x * page.scale, y: rect.y * page.scale, width: rect.width * page.scale, height: rect.height * page.scale }));
+                const { diff, diffPixels, diffRatio, reason } = compareImages(screenshot, readPng(checkpoint.baseline), rects);
+                checkpoint.ignored = rects.length;
+                if (reason) {
+                    checkpoint.reason = reason;
+                } else {
+                    Object.assign(checkpoint, { diffPixels, diffRatio });
+                    if (diffPixels > 0) {
+                        checkpoint.diff = `${output}.diff.png`;
+                        writePng(checkpoint.diff, diff);
+                    }
+                }
+                checkpoint.status = !reason && diffRatio <= testConfig.visual.tolerance ? 'passed' : 'failed';
+            }
+        } catch (error) {
+            checkpoint.status = 'error';
+            checkpoint.reason = error.message.split('\n')[0];
+        }
+
+        const summary = checkpoint.reason || (checkpoint.status === 'new' ? 'no baseline yet' : `${percent(checkpoint.diffRatio)} pixels differ`);
+        log.info(`${checkpoint.status === 'passed' ? '🖼️' : '⚠️ 🖼️'} ${this.page} ${name} [${testCaseID}]: ${checkpoint.status} (${summary})`);
+        const image = checkpoint.diff || (checkpoint.status !== 'error' ? checkpoint.actual : null);
+        addContext(context, {
+            title: `Visual: ${this.page} ${name} [${testCaseID}] - ${checkpoint.status} (${summary})`,
+            value: checkpoint.status === 'passed' || !image ? { baseline: checkpoint.baseline, diffRatio: checkpoint.diffRatio } : reportLink(image)
+        });
+        return checkpoint;
+    }
+
+    // Checkpoint lệch quá tolerance, khác kích thước hoặc không chụp được
+    failures() {
+        return this.checkpoints.filter(checkpoint => checkpoint.status === 'failed' || checkpoint.status === 'error');
+    }
+
+    // Trạng thái có baseline nhưng không row nào có baseline chạy trong lần này (bị lọc, ở shard / worker khác)
+    notChecked() {
+        const pageDir = path.join(testConfig.visual.baselineDir, viewportName(), slug(this.page));
+        if (!fs.existsSync(pageDir)) return [];
+        const captured = new Set(this.checkpoints.map(checkpoint => slug(checkpoint.state)));
+        return fs.readdirSync(pageDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && !captured.has(entry.name))
+            .map(entry => ({ state: entry.name, rows: this.baselineRows(entry.name) }))
+            .filter(entry => entry.rows.length > 0);
+    }
+
+    // Ghi <visual.outputDir>/<page>_<browser>_<viewport>[_w<shard>].json cho npm run update-baselines
+    save(dir = testConfig.visual.outputDir) {
+        const shard = testConfig.shard.total > 1 ? `_w${testConfig.shard.index}` : '';
+        const file = path.join(dir, `${slug(this.page)}_${viewportName()}${shard}.json`);
+        const report = {
+            page: this.page,
+            viewport: viewportName(),
+            runId: testConfig.runId,
+            tolerance: testConfig.visual.tolerance,
+            checkpoints: this.checkpoints,
+            notChecked: this.notChecked()
+        };
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(report, null, 2));
+        return { file, report };
+    }
+}
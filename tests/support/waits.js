@@ -0,0 +1,154 @@
+import { testConfig } from './config.js';
+import { log } from './logger.js';
+import { traceStep } from './tracing.js';
+
+// Khối lỗi mà app hiện ra sau khi submit (lỗi validation của field, alert lỗi đăng nhập / đăng ký)
+export const submitErrorSelectors = [
+    '.alert-danger',
+    '.invalid-feedback',
+    '.text-danger',
+    '.mat-error',
+    '[role="alert"]',
+    '[data-test$="-error"]',
+    '.login-error',
+    '#auth-error'
+];
+
+const pollInterval = 50;
+
+// Thời gian chờ thực tế so với các sleep cố định đã được thay thế, cộng dồn trong 1 suite
+let stats = { count: 0, waited: 0, replaced: 0, timedOut: 0 };
+
+// Đếm fetch / XHR đang chạy bằng cách bọc fetch và XMLHttpRequest (1 lần cho mỗi trang)
+const requestTracker = `() => {
+    if (window.__pendingRequests) return;
+    window.__pendingRequests = { count: 0 };
+    const pending = window.__pendingRequests;
+    const originalFetch = window.fetch;
+    if (originalFetch) {
+        window.fetch = function () {
+            pending.count++;
+            return originalFetch.apply(this, arguments).finally(() => pending.count--);
+        };
+    }
+    const originalSend = XMLHttpRequest.prototype.send;
+    XMLHttpRequest.prototype.send = function () {
+        pending.count++;
+        this.addEventListener('loadend', () => pending.count--, { once: true });
+        return originalSend.apply(this, arguments);
+    };
+}`;
+
+// Trạng thái của app trong browser: request đang chạy, và trên app Angular thì chờ thêm
+// testability.whenStable() của mọi root. Tracker thường đã được cài lúc tải trang (installRequestTracker),
+// cài ở đây chỉ là dự phòng khi browser không cho chạy script lúc tải trang
+const settleScript = `
+    const done = arguments[arguments.length - 1];
+    const [errorSelectors, pollInterval] = arguments;
+    (${requestTracker})();
+
+    const state = angularStable => ({
+        angular: typeof window.getAllAngularTestabilities === 'function',
+        stable: angularStable && window.__pendingRequests.count === 0 && document.readyState === 'complete',
+        url: location.href,
+        errorShown: errorSelectors.some(selector => Array.from(document.querySelectorAll(selector))
+            .some(element => element.offsetParent !== null && element.innerText.trim() !== ''))
+    });
+
+    const testabilities = typeof window.getAllAngularTestabilities === 'function' ? window.getAllAngularTestabilities() : [];
+    if (testabilities.length === 0) return done(state(true));
+
+    let remaining = testabilities.length;
+    const timer = setTimeout(() => done(state(false)), pollInterval);
+    testabilities.forEach(testability => testability.whenStable(() => {
+        if (--remaining === 0) {
+            clearTimeout(timer);
+            done(state(true));
+        }
+    }));
+`;
+
+// Cài tracker vào mọi trang trước script của app, để request đã gửi trước lần chờ đầu tiên của trang
+// (vd. request lúc khởi động app) cũng được đếm. Dùng preload script của WebDriver BiDi nếu session bật BiDi,
+// không thì Page.addScriptToEvaluateOnNewDocument của CDP (Chrome / Edge). Không cách nào được thì tracker
+// chỉ được cài ở lần chờ đầu tiên của mỗi trang
+export async function installRequestTracker(driver) {
+    try {
+        if ((await driver.getCapabilities()).get('webSocketUrl')) {
+            const { default: ScriptManager } = await import('selenium-webdriver/bidi/scriptManager.js');
+            const script = await ScriptManager([], driver);
+            await script.addPreloadScript(requestTracker);
+            return 'BiDi';
+        }
+        if (typeof driver.sendDevToolsCommand === 'function') {
+            await driver.sendDevToolsCommand('Page.addScriptToEvaluateOnNewDocument', { source: `(${requestTracker})();` });
+            return 'CDP';
+        }
+    } catch (error) {
+        log.warn(`⚠️ Could not install the request tracker on page load: ${error.message.split('\n')[0]}`);
+    }
+    log.info('ℹ️ Request tracker is installed at the first wait of each page: requests sent before it are not waited for');
+    return null;
+}
+
+// Chờ tới khi app ổn định: Angular whenStable, không còn fetch / XHR đang chạy, và nếu có điều kiện kết quả
+// thì URL đã đổi khỏi urlChangeFrom hoặc khối lỗi đã hiện. Hết timeout thì log và trả về, không throw:
+// bước đọc kết quả sau đó sẽ quyết định test pass / fail.
+// replaces: số ms của sleep cố định mà lần chờ này thay thế, để tính thời gian tiết kiệm
+export async function waitForAppSettled(driver, { label, replaces = 0, timeout = testConfig.timeouts.elementWait, urlChangeFrom, errorShown = false } = {}) {
+    return traceStep('wait', { value: label }, async () => {
+        const started = Date.now();
+        const needsOutcome = urlChangeFrom !== undefined || errorShown;
+        let state = null;
+        let settled = false;
+
+        while (!settled && Date.now() - started < timeout) {
+            try {
+                state = await driver.executeAsyncScript(settleScript, submitErrorSelectors, pollInterval);
+            } catch (error) {
+                // Trang đang chuyển (navigation) làm script bị huỷ, thử lại ở vòng sau
+                log.debug(`⏳ ${label}: ${error.message.split('\n')[0]}`);
+                state = null;
+            }
+            const outcomeShown = state && ((urlChangeFrom !== undefined && state.url !== urlChangeFrom) || (errorShown && state.errorShown));
+            settled = Boolean(state?.stable && (!needsOutcome || outcomeShown));
+            if (!settled) await driver.sleep(pollInterval);
+        }
+
+        const waited = Date.now() - started;
+        stats.count++;
+        stats.waited += waited;
+        stats.replaced += replaces;
+        if (!settled) {
+            stats.timedOut++;
+            log.info(`⏳ ${label}: app not settled after ${waited}ms, continuing`);
+        } else {
+            log.debug(`⏱️ ${label}: settled after ${waited}ms (fixed sleep was ${replaces}ms)`);
+        }
+        return { settled, waited, state };
+    });
+}
+
+// Lấy thống kê chờ của suite vừa chạy và bắt đầu đếm lại
+export function drainWaitStats() {
+    const drained = stats;
+    stats = { count: 0, waited: 0, replaced: 0, timedOut: 0 };
+    return drained;
+}
+
+export function mergeWaitStats(list) {
+    return list.filter(Boolean).reduce((total, entry) => ({
+        count: total.count + entry.count,
+        waited: total.waited + entry.waited,
+        replaced: total.replaced + entry.replaced,
+        timedOut: total.timedOut + entry.timedOut
+    }), { count: 0, waited: 0, replaced: 0, timedOut: 0 });
+}
+
+export function printWaitSavings(title, waits) {
+    if (!waits || waits.count === 0) return;
+    const seconds = ms => `${(ms / 1000).toFixed(1)}s`;
+    const saved = waits.replaced - waits.waited;
+    console.log(`⏱️ ${title} smart waits: ${waits.count} wait(s) took ${seconds(waits.waited)} instead of ${seconds(waits.replaced)} of fixed sleeps ` +
+        `(${saved >= 0 ? `saved ${seconds(saved)}` : `${seconds(-saved)} slower`}${waits.timedOut > 0 ? `, ${waits.timedOut} timed out` : ''})`);
+}
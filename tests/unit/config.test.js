@@ -0,0 +1,72 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { expect } from 'chai';
+import { resolveConfig, formatConfig } from '../support/config.js';
+
+const configDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'config');
+const resolve = ({ env = {}, argv = [] } = {}) => resolveConfig({ env, argv, configDir });
+
+describe('config', function () {
+    it('uses defaults and generates a 6-character runId', function () {
+        const { config, sources } = resolve();
+        expect(config).to.include({ profile: 'default', browser: 'chrome', headless: false, maxUsers: 71 });
+        expect(config.runId).to.match(/^[a-z0-9]{6}$/);
+        expect(sources).to.deep.equal({ runId: 'generated' });
+    });
+
+    it('layers profile, then env, then CLI flags', function () {
+        const { config, sources } = resolve({
+            env: { PROFILE: 'ci', TIMEOUT_IMPLICIT: '2000', MAX_USERS: '5' },
+            argv: ['--max-users=3', '--browser=firefox', '--no-headless']
+        });
+        expect(config).to.include({ profile: 'ci', maxUsers: 3, browser: 'firefox', headless: false });
+        expect(config.timeouts).to.include({ implicit: 2000, pageLoad: 20000 });
+        expect(sources).to.include({
+            'timeouts.pageLoad': 'profile:ci',
+            'timeouts.implicit': 'env:TIMEOUT_IMPLICIT',
+            maxUsers: 'cli:--max-users',
+            headless: 'cli:--headless'
+        });
+    });
+
+    it('coerces env / CLI strings to the option type', function () {
+        const { config } = resolve({
+            env: { HEADLESS: 'yes', TAGS: 'smoke, !slow', RUN_ID: 'k3x9q2' },
+            argv: ['--screen-width=1280']
+        });
+        expect(config.headless).to.equal(true);
+        expect(config.select.tags).to.deep.equal(['smoke', '!slow']);
+        expect(config.runId).to.equal('k3x9q2');
+        expect(config.screen.width).to.equal(1280);
+    });
+
+    it('collects every invalid value with its source', function () {
+        expect(() => resolve({ env: { MAX_USERS: '-1', BROWSER: 'safari' }, argv: ['--run-id=ABC'] }))
+            .to.throw(Error)
+            .with.property('message')
+            .that.includes('env:MAX_USERS: maxUsers must be an integer >= 0 (got "-1")')
+            .and.includes('env:BROWSER: browser must be one of')
+            .and.includes('cli:--run-id: runId must be 6 lowercase letters or digits');
+        expect(() => resolve({ argv: ['--shard-index=2', '--shard-total=2'] })).to.throw(/shard.index 2 must be lower than shard.total 2/);
+        expect(() => resolve({ argv: ['--profile=nope'] })).to.throw(/Unknown config profile "nope" \(available: .*ci/);
+    });
+
+    it('reads flags alongside mocha arguments without taking the next one as a value', function () {
+        // argv của "npm test -- --headless tests/x.test.js --retries 2 --timeout 5000"
+        const { config, sources } = resolve({ argv: ['--headless', 'tests/x.test.js', '--retries', '2', '--timeout', '5000', '--test-retries=1'] });
+        expect(config).to.include({ headless: true, retries: 1 });
+        expect(sources).to.include({ headless: 'cli:--headless', retries: 'cli:--test-retries' });
+
+        expect(() => resolve({ argv: ['--browser', 'firefox', '--profile'] }))
+            .to.throw(Error)
+            .with.property('message')
+            .that.includes('cli:--browser needs a value, write it as --browser=<value>')
+            .and.includes('cli:--profile needs a value, write it as --profile=<value>');
+    });
+
+    it('hides secrets when printing the config', function () {
+        const text = formatConfig(resolve({ env: { ADMIN_PASSWORD: 'hunter2' } }));
+        expect(text).to.match(/cleanup\.adminPassword\s+"\*\*\*"\s+env:ADMIN_PASSWORD/);
+        expect(text).to.not.include('hunter2');
+    });
+});
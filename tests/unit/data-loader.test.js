@@ -0,0 +1,64 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ExcelJS from 'exceljs';
+import { expect } from 'chai';
+import { loadRecords, numberCellText } from '../support/data-loader.js';
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+// Spreadsheet như người thiết kế test case nhập trong Excel: phone / postcode là ô số có định dạng
+// giữ số 0 đầu, ngày sinh là ô ngày
+async function writeRegisterSheet(file) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Sign Up');
+    sheet.addRow(['Test Case ID', 'Tags', 'Email', 'Password', 'First Name', 'Last Name', 'Date of Birth', 'Street',
+        'Postcode', 'City', 'State', 'Country', 'Phone', 'Expected Result', 'Expected Errors', 'Expected Response', 'Actual Result']);
+    sheet.addRow(['Sign Up-TC01', 'smoke', 'tc01{{runId}}@a.vn', 'matkhau123', 'Nguyen', 'Van', new Date('2007-06-08'), '123 Duong',
+        1234, 'Ha Noi', 'Tinh 1', 'VN', 901234567, 'Success', '', '201', 'Success']);
+    sheet.addRow(['Sign Up-TC02', '', 'tc02{{runId}}@a.vn', 'matkhau123', 'Tran', 'Thi', new Date('2000-01-31'), '45 Pho',
+        5010001, 'Hue', 'Tinh 2', 'VN', 123456789, 'Fail', 'phone: phone', '', '']);
+    sheet.getCell('I2').numFmt = '00000';
+    sheet.getCell('I3').numFmt = '00000-0000';
+    sheet.getCell('M2').numFmt = '0000000000';
+    sheet.getCell('M3').numFmt = '0000000000';
+    await workbook.xlsx.writeFile(file);
+}
+
+describe('data-loader', function () {
+    let dir;
+
+    before(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-loader-'));
+    });
+
+    after(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('loads the same rows from XLSX as from JSON, keeping leading zeros of numeric cells', async function () {
+        const xlsx = path.join(dir, 'register.xlsx');
+        await writeRegisterSheet(xlsx);
+
+        const fromJson = await loadRecords(path.join(fixtures, 'register.json'), { kind: 'register', runId: 'r1' });
+        const fromXlsx = await loadRecords(xlsx, { kind: 'register', runId: 'r1' });
+
+        expect(fromXlsx).to.deep.equal(fromJson);
+        expect(fromXlsx[0].phone).to.equal('0901234567');
+    });
+
+    describe('numberCellText', function () {
+        it('pads numbers to zero-only formats and fills separators', function () {
+            expect(numberCellText(901234567, '0000000000')).to.equal('0901234567');
+            expect(numberCellText(501, '00000-0000')).to.equal('00000-0501');
+            expect(numberCellText(1234567, '000')).to.equal('1234567');
+        });
+
+        it('keeps other numbers and formats as plain text', function () {
+            expect(numberCellText(901234567, 'General')).to.equal('901234567');
+            expect(numberCellText(1.5, '0000')).to.equal('1.5');
+            expect(numberCellText(42)).to.equal('42');
+        });
+    });
+});
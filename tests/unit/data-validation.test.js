@@ -0,0 +1,87 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { expect } from 'chai';
+import { validateDataset, formatValidationReport, assertValidDataset } from '../support/data-validation.js';
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const register = () => JSON.parse(fs.readFileSync(path.join(fixtures, 'register.json'), 'utf8'));
+
+describe('data-validation', function () {
+    it('accepts a valid register dataset', function () {
+        expect(validateDataset(register(), 'register')).to.deep.equal([]);
+    });
+
+    it('reports missing, unknown and invalid fields per row', function () {
+        const [first, second] = register();
+        delete first.password;
+        first.nickname = 'an';
+        first.country = 'XX';
+        second.expectedResult = 'Maybe';
+
+        const problems = validateDataset([first, second], 'register');
+        const byField = Object.fromEntries(problems.map(problem => [`${problem.row}:${problem.field}`, problem.message]));
+        expect(byField).to.include({
+            '1:password': 'is missing',
+            '1:nickname': 'is not a known field',
+            '1:country': 'must be a valid ISO 3166-1 alpha-2 country code'
+        });
+        expect(byField['2:expectedResult']).to.match(/^must be one of /);
+        expect(problems.find(problem => problem.field === 'country').value).to.equal('XX');
+    });
+
+    it('explains which pattern a value failed', function () {
+        const [first] = register();
+        first.testCaseID = ' Sign Up-TC01';
+        first.tags = ['smoke', 'Boundary', 'email_case'];
+
+        expect(validateDataset([first], 'register').map(({ field, value, message }) => ({ field, value, message }))).to.deep.equal([
+            { field: 'testCaseID', value: ' Sign Up-TC01', message: 'must not be blank or have leading/trailing spaces' },
+            { field: 'tags/1', value: 'Boundary', message: "must be lowercase letters, digits and '-'" },
+            { field: 'tags/2', value: 'email_case', message: "must be lowercase letters, digits and '-'" }
+        ]);
+    });
+
+    it('lets rows expecting Fail carry invalid values on purpose', function () {
+        const [, second] = register();
+        second.country = 'XX';
+        second.dob = '31/01/2000';
+        expect(validateDataset([second], 'register')).to.deep.equal([]);
+    });
+
+    it('rejects expectedErrors on rows expecting Success', function () {
+        const [first] = register();
+        first.expectedErrors = { email: 'taken' };
+        expect(validateDataset([first], 'register')).to.deep.include({
+            row: 1, testCaseID: 'Sign Up-TC01', value: undefined, field: 'expectedErrors', message: 'is only allowed on rows expecting Fail'
+        });
+    });
+
+    it('reports duplicate testCaseIDs and empty files', function () {
+        const [first] = register();
+        expect(validateDataset([first, { ...first }], 'register')).to.deep.equal([
+            { row: 2, testCaseID: 'Sign Up-TC01', field: 'testCaseID', message: 'duplicates row 1' }
+        ]);
+        expect(validateDataset([], 'login')[0]).to.include({ row: null, field: '(file)' });
+        expect(() => validateDataset([first], 'profile')).to.throw('Unknown data kind: profile');
+    });
+
+    it('formats problems grouped by row and throws them before tests are generated', function () {
+        const problems = [
+            { row: null, testCaseID: null, field: 'dependsOn', message: 'points to a missing row' },
+            { row: 3, testCaseID: 'Sign Up-TC03', field: 'dob', message: 'must be a date in YYYY-MM-DD format', value: '31/01/2000' }
+        ];
+        expect(formatValidationReport('register.json', problems)).to.equal([
+            '❌ register.json: 2 problem(s)',
+            '  File:',
+            '    - dependsOn: points to a missing row',
+            '  Row 3 (Sign Up-TC03):',
+            '    - dob: must be a date in YYYY-MM-DD format (got "31/01/2000")'
+        ].join('\n'));
+
+        const records = register();
+        expect(assertValidDataset(records, 'register', 'register.json')).to.equal(records);
+        expect(() => assertValidDataset(records, 'register', 'register.json', problems.slice(1)))
+            .to.throw(/^Invalid test data\n❌ register.json: 1 problem\(s\)/);
+    });
+});
@@ -0,0 +1,72 @@
+import { expect } from 'chai';
+import { resolveDependencies, orderByDependencies, withDependencies, dependencyBlocker } from '../support/dependencies.js';
+
+const account = (testCaseID, fields = {}) => ({
+    testCaseID, email: `${testCaseID.toLowerCase()}@a.vn`, password: 'matkhau123', firstName: 'Nguyen', country: 'VN', ...fields
+});
+
+describe('dependencies', function () {
+    describe('resolveDependencies', function () {
+        const register = [account('TC01'), account('TC02', { dependsOn: 'TC01', email: 'tc02@a.vn' }), account('TC03')];
+
+        it('lets login rows inherit email / password of the registration row', function () {
+            const { records, problems } = resolveDependencies(
+                [{ testCaseID: 'Sign In-TC01', dependsOn: 'TC01', expectedResult: 'Success' }, { testCaseID: 'Sign In-TC02', dependsOn: 'TC01', password: 'sai' }],
+                register,
+                'login'
+            );
+            expect(problems).to.deep.equal([]);
+            expect(records[0]).to.deep.equal({
+                testCaseID: 'Sign In-TC01', dependsOn: 'TC01', expectedResult: 'Success', email: 'tc01@a.vn', password: 'matkhau123'
+            });
+            expect(records[1]).to.include({ email: 'tc01@a.vn', password: 'sai' });
+        });
+
+        it('lets register rows inherit the whole form through a chain', function () {
+            const { records } = resolveDependencies([{ testCaseID: 'TC04', dependsOn: 'TC02' }], register, 'register');
+            expect(records[0]).to.include({ email: 'tc02@a.vn', firstName: 'Nguyen', country: 'VN' });
+        });
+
+        it('reports self references, unknown rows and cycles', function () {
+            const cyclic = [account('TC01', { dependsOn: 'TC02' }), account('TC02', { dependsOn: 'TC01' })];
+            const { problems } = resolveDependencies([
+                { testCaseID: 'TC05', dependsOn: 'TC05' },
+                { testCaseID: 'TC06', dependsOn: 'TC99' },
+                ...cyclic
+            ], [...cyclic, { testCaseID: 'TC05' }], 'register');
+            expect(problems.map(problem => `${problem.row} ${problem.testCaseID}: ${problem.message}`)).to.deep.equal([
+                '1 TC05: must not reference the row itself',
+                '2 TC06: must be the testCaseID of a registration row',
+                '3 TC01: forms a dependency cycle',
+                '4 TC02: forms a dependency cycle'
+            ]);
+        });
+    });
+
+    it('orders rows after the rows they depend on, keeping file order otherwise', function () {
+        const rows = [{ testCaseID: 'A', dependsOn: 'C' }, { testCaseID: 'B' }, { testCaseID: 'C' }, { testCaseID: 'D', dependsOn: 'X' }];
+        expect(orderByDependencies(rows).map(row => row.testCaseID)).to.deep.equal(['C', 'A', 'B', 'D']);
+    });
+
+    it('adds the registration rows that selected rows depend on, in file order', function () {
+        const register = [{ testCaseID: 'TC01' }, { testCaseID: 'TC02', dependsOn: 'TC01' }, { testCaseID: 'TC03' }, { testCaseID: 'TC04', dependsOn: 'TC02' }];
+        const login = [{ testCaseID: 'Sign In-TC01', dependsOn: 'TC04' }, { testCaseID: 'Sign In-TC02', dependsOn: 'TC99' }];
+        expect(withDependencies(register.slice(0, 1), register, login).map(row => row.testCaseID)).to.deep.equal(['TC01', 'TC02', 'TC04']);
+        expect(withDependencies(register.slice(2, 3), register, [])).to.deep.equal([register[2]]);
+    });
+
+    it('explains why a dependent row is blocked', function () {
+        const registration = {
+            successful: ['TC01'],
+            failed: ['TC02'],
+            outcomes: [{ testCaseID: 'TC02', outcome: 'Failed' }, { testCaseID: 'TC03', outcome: 'Blocked' }, { testCaseID: 'TC04', outcome: 'Skipped' }]
+        };
+        const blocker = dependsOn => dependencyBlocker({ dependsOn }, registration);
+        expect(blocker(undefined)).to.equal(null);
+        expect(blocker('TC01')).to.equal(null);
+        expect(blocker('TC02')).to.equal('dependency TC02 did not create the account');
+        expect(blocker('TC03')).to.equal('dependency TC03 was Blocked');
+        expect(blocker('TC04')).to.equal('dependency TC04 was Skipped');
+        expect(blocker('TC05')).to.equal('dependency TC05 did not run');
+    });
+});
@@ -0,0 +1,25 @@
+import { expect } from 'chai';
+import { compareFieldErrors } from '../support/field-errors.js';
+
+describe('field-errors', function () {
+    it('matches every expected pattern case-insensitively on its own field', function () {
+        expect(compareFieldErrors(
+            { email: 'valid email', password: ['at least', 'characters'] },
+            { email: ['Email format is invalid', 'Please enter a VALID EMAIL'], password: ['Password must be at least 8 characters'] }
+        )).to.deep.equal([]);
+    });
+
+    it('reports a field that has no error', function () {
+        expect(compareFieldErrors({ phone: 'phone' }, {})).to.deep.equal(['phone: expected an error but the field has none']);
+    });
+
+    it('reports a pattern that no message matches, with the messages found', function () {
+        expect(compareFieldErrors({ password: ['at least', 'uppercase'] }, { password: ['Password must be at least 8 characters'] }))
+            .to.deep.equal(['password: no message matches /uppercase/i (got "Password must be at least 8 characters")']);
+    });
+
+    it('reports errors on fields the row did not expect', function () {
+        expect(compareFieldErrors({ email: 'email' }, { email: ['Invalid email'], dob: ['Date of birth is required'] }))
+            .to.deep.equal(['dob: unexpected error "Date of birth is required"']);
+    });
+});
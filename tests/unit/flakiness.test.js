@@ -0,0 +1,70 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { expect } from 'chai';
+import { FlakinessTracker, recordFlakyRun, rankFlaky } from '../support/flakiness.js';
+
+// Test của mocha rút gọn: chỉ những gì recordAttempt đọc
+const attempt = (testCaseID, retry, state, extra = {}) => ({ testCaseID, state, currentRetry: () => retry, ...extra });
+
+describe('flakiness', function () {
+    let dir;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flakiness-'));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('groups the attempts of each test case and spots passes on retry', function () {
+        const tracker = new FlakinessTracker();
+        tracker.recordAttempt(attempt('TC01', 0, undefined, { attemptError: 'stale element' }), ['fill retry']);
+        tracker.recordAttempt(attempt('TC01', 1, 'passed'), ['fill retry', 'js click']);
+        tracker.recordAttempt(attempt('TC02', 0, 'pending', { outcome: { quarantined: true }, attemptError: 'timeout' }));
+        tracker.recordAttempt(attempt(undefined, 0, 'passed'));
+
+        expect(tracker.entries()).to.deep.equal([
+            { testCaseID: 'TC01', result: 'passed', attempts: 2, passedOnRetry: 1, fallbacks: { 'fill retry': 2, 'js click': 1 }, errors: ['stale element'] },
+            { testCaseID: 'TC02', result: 'failed', attempts: 1, passedOnRetry: null, fallbacks: {}, errors: ['timeout'] }
+        ]);
+    });
+
+    it('adds runs to the history file, ignoring Blocked / Skipped cases', function () {
+        const file = path.join(dir, 'history', 'flaky-history.json');
+        recordFlakyRun([
+            { testCaseID: 'TC01', result: 'passed', passedOnRetry: 1, fallbacks: { 'fill retry': 2 } },
+            { testCaseID: 'TC02', result: 'failed', passedOnRetry: null, fallbacks: {} },
+            { testCaseID: 'TC03', result: 'pending', passedOnRetry: null, fallbacks: {} }
+        ], file);
+        const history = recordFlakyRun([{ testCaseID: 'TC01', result: 'passed', passedOnRetry: null, fallbacks: { 'js click': 1 } }], file);
+
+        expect(JSON.parse(fs.readFileSync(file, 'utf-8'))).to.deep.equal(history);
+        expect(history.runs).to.equal(2);
+        expect(history.tests).to.have.all.keys('TC01', 'TC02');
+        expect(history.tests.TC01).to.include({ runs: 2, failedRuns: 0, passedOnRetry: 1 });
+        expect(history.tests.TC01.fallbacks).to.deep.equal({ 'fill retry': 2, 'js click': 1 });
+        expect(history.tests.TC01.recent.map(run => run.fallbacks)).to.deep.equal([['fill retry'], ['js click']]);
+        expect(history.tests.TC02).to.include({ runs: 1, failedRuns: 1 });
+    });
+
+    it('ranks unstable cases by rate, then passes on retry, then fallback count', function () {
+        const recent = (...flags) => flags.map(flag => ({ passedOnRetry: flag === 'retry' ? 1 : null, fallbacks: flag === 'fallback' ? ['js click'] : [] }));
+        const history = {
+            runs: 4,
+            tests: {
+                TC01: { runs: 4, failedRuns: 0, passedOnRetry: 1, fallbacks: {}, recent: recent('retry', 'ok', 'ok', 'ok') },
+                TC02: { runs: 4, failedRuns: 1, passedOnRetry: 0, fallbacks: { 'js click': 5, 'fill retry': 1 }, recent: recent('fallback', 'fallback', 'ok', 'ok') },
+                TC03: { runs: 4, failedRuns: 0, passedOnRetry: 2, fallbacks: {}, recent: recent('retry', 'retry', 'ok', 'ok') },
+                TC04: { runs: 4, failedRuns: 2, passedOnRetry: 0, fallbacks: {}, recent: recent('ok', 'ok', 'ok', 'ok') }
+            }
+        };
+
+        const ranking = rankFlaky(history);
+        expect(ranking.map(row => [row.testCaseID, row.flakyRate])).to.deep.equal([['TC03', 0.5], ['TC02', 0.5], ['TC01', 0.25]]);
+        expect(ranking[1]).to.include({ fallbackCount: 6, failedRuns: 1 });
+        expect(ranking[1].topFallbacks).to.deep.equal(['js click x5', 'fill retry x1']);
+        expect(rankFlaky(history, 1).map(row => row.testCaseID)).to.deep.equal(['TC03']);
+    });
+});
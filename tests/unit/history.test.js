@@ -0,0 +1,83 @@
+import { expect } from 'chai';
+import { analyzeHistory, environmentName } from '../support/history.js';
+
+const config = { profile: 'default', baseUrl: 'http://localhost:4200/', headless: true, screen: '1920x1080', zoomLevel: 1, remote: null };
+
+// 1 lần chạy: cases { testCaseID: outcome } hoặc { testCaseID: [outcome, error] }
+function run(index, cases, { browser = 'chrome', configKey = 'aaaa1111' } = {}) {
+    return {
+        runId: `run00${index}`,
+        at: `2026-10-0${index}T08:00:00.000Z`,
+        browser,
+        configKey,
+        config,
+        commit: `c${index}`,
+        dirty: false,
+        cases: Object.entries(cases).map(([testCaseID, value]) => {
+            const [outcome, error] = [].concat(value);
+            return { suite: 'registration', testCaseID, outcome, duration: 1000, error };
+        })
+    };
+}
+
+describe('history', function () {
+    describe('analyzeHistory', function () {
+        const history = {
+            runs: [
+                run(1, { TC01: 'Passed', TC02: 'Passed', TC03: 'Failed', TC04: 'Passed' }),
+                run(2, { TC01: 'Passed', TC02: ['Failed', 'timeout'], TC03: 'Passed', TC04: 'Blocked' }),
+                run(3, { TC01: 'Passed', TC02: ['Failed', 'expected Success'], TC03: 'Passed', TC04: 'Failed' }),
+                run(4, { TC01: ['Failed', 'email taken'], TC02: ['Failed', 'expected Fail'], TC03: 'Skipped', TC04: 'Passed' })
+            ]
+        };
+        let environment;
+
+        before(function () {
+            [environment] = analyzeHistory(history);
+        });
+
+        it('reports the pass rate trend per run, leaving Blocked / Skipped out', function () {
+            expect(environment.trend.map(entry => entry.passRate)).to.deep.equal([0.75, 2 / 3, 0.5, 1 / 3]);
+            expect(environment.trend[1].counts).to.deep.equal({ Passed: 2, Failed: 1, Blocked: 1, Skipped: 0 });
+            expect(environment.trend[3]).to.include({ runId: 'run004', commit: 'c4', duration: 3000, averageDuration: 1000 });
+        });
+
+        it('finds cases newly broken or fixed against their previous judged run', function () {
+            expect(environment.newlyBroken.map(entry => entry.testCaseID)).to.deep.equal(['TC01']);
+            expect(environment.newlyBroken[0]).to.deep.include({ error: 'email taken', previous: { runId: 'run003', at: '2026-10-03T08:00:00.000Z', commit: 'c3' } });
+            // TC04: run 3 Failed, run 2 Blocked không tính
+            expect(environment.newlyFixed.map(entry => entry.testCaseID)).to.deep.equal(['TC04']);
+        });
+
+        it('finds the first failing run of the current failure streak, oldest first', function () {
+            expect(environment.regressions.map(entry => [entry.testCaseID, entry.failingRuns, entry.firstFailing.runId, entry.lastPassed?.runId]))
+                .to.deep.equal([['TC02', 3, 'run002', 'run001'], ['TC01', 1, 'run004', 'run003']]);
+            expect(environment.regressions[0]).to.include({ firstError: 'timeout', error: 'expected Fail' });
+        });
+
+        it('ranks cases by pass rate', function () {
+            expect(environment.cases.map(entry => [entry.testCaseID, entry.passRate])).to.deep.equal([
+                ['TC02', 0.25], ['TC03', 2 / 3], ['TC04', 2 / 3], ['TC01', 0.75]
+            ]);
+        });
+
+        it('keeps browsers and configs apart, most recent environment first', function () {
+            const environments = analyzeHistory({
+                runs: [
+                    run(1, { TC01: 'Passed' }),
+                    run(2, { TC01: 'Failed' }, { browser: 'firefox' }),
+                    run(3, { TC01: 'Failed' }, { configKey: 'bbbb2222' })
+                ]
+            });
+            expect(environments.map(entry => entry.key)).to.deep.equal(['chrome|bbbb2222', 'firefox|aaaa1111', 'chrome|aaaa1111']);
+            // Mỗi môi trường chỉ có 1 lần chạy nên không có case nào "mới hỏng"
+            expect(environments.flatMap(entry => entry.newlyBroken)).to.deep.equal([]);
+        });
+    });
+
+    it('names an environment by the config that makes runs comparable', function () {
+        expect(environmentName({ browser: 'chrome', config })).to.equal('chrome · headless · 1920x1080 · profile default · http://localhost:4200/');
+        expect(environmentName({ browser: 'edge', config: { ...config, headless: false, zoomLevel: 1.25, remote: 'http://grid:4444 windows' } }))
+            .to.equal('edge · headed · 1920x1080 · zoom 1.25 · profile default · remote http://grid:4444 windows · http://localhost:4200/');
+    });
+});
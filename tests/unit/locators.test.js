@@ -0,0 +1,34 @@
+import { expect } from 'chai';
+import { By } from 'selenium-webdriver';
+import { LocatorChain, drainLocatorDrift } from '../support/locators.js';
+
+// Driver giả: chỉ By nằm trong matches mới tìm thấy element
+const fakeDriver = (...matches) => ({
+    findElements: async by => (matches.some(match => String(match) === String(by)) ? [{ by: String(by) }] : [])
+});
+
+describe('locators', function () {
+    const primary = By.css('[data-test="nav-user-menu"]');
+    const fallback = By.id('menu');
+    const locator = new LocatorChain('nav.userMenu', [primary, fallback]);
+
+    beforeEach(function () {
+        drainLocatorDrift();
+    });
+
+    it('records drift when an element is located only by a fallback', async function () {
+        expect(await locator.locate(fakeDriver(fallback))).to.deep.equal({ by: String(fallback) });
+        expect(await locator.locate(fakeDriver(primary, fallback))).to.deep.equal({ by: String(primary) });
+        expect(await locator.locate(fakeDriver())).to.equal(null);
+
+        expect(drainLocatorDrift()).to.deep.equal([
+            { locator: 'nav.userMenu', primary: String(primary), matched: String(fallback), position: 2, count: 1 }
+        ]);
+    });
+
+    it('does not record drift for existence probes', async function () {
+        expect(await locator.locateAll(fakeDriver(fallback))).to.have.lengthOf(1);
+        expect(await locator.locateAll(fakeDriver())).to.deep.equal([]);
+        expect(drainLocatorDrift()).to.deep.equal([]);
+    });
+});
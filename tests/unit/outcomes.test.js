@@ -0,0 +1,83 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { expect } from 'chai';
+import { Outcome, loadSystemErrorRules, matchSystemError, recordOutcome, outcomeList } from '../support/outcomes.js';
+
+const rulesFile = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'config', 'rules', 'system-errors.json');
+
+describe('outcomes', function () {
+    describe('system error rules', function () {
+        let rules;
+
+        before(function () {
+            rules = loadSystemErrorRules(rulesFile);
+        });
+
+        it('matches the error message shown on the page', function () {
+            expect(matchSystemError({ errorMessage: 'Product is OUT OF STOCK' }, rules))
+                .to.deep.equal({ rule: 'Out of stock', outcome: Outcome.Blocked, evidence: 'Product is OUT OF STOCK' });
+        });
+
+        it('needs url and status to match on the same response', function () {
+            const responses = [
+                { url: 'http://localhost:8091/users/register', status: 201 },
+                { url: 'http://localhost:8091/products', status: 500 }
+            ];
+            expect(matchSystemError({ responses }, rules)).to.equal(null);
+
+            responses[0].status = 502;
+            expect(matchSystemError({ responses }, rules)).to.deep.equal({
+                rule: 'API server error', outcome: Outcome.Blocked, evidence: 'HTTP 502 http://localhost:8091/users/register'
+            });
+        });
+
+        it('uses the first matching rule, and the rule outcome', function () {
+            expect(matchSystemError({ responses: [{ url: '/users/login', status: 429 }] }, rules).rule).to.equal('Rate limited');
+            expect(matchSystemError({ currentUrl: 'http://localhost:4200/maintenance' }, rules))
+                .to.deep.include({ rule: 'Maintenance page', outcome: Outcome.Skipped });
+            expect(matchSystemError({ errorMessage: 'Email is already in use', currentUrl: 'http://localhost:4200/auth/register' }, rules))
+                .to.equal(null);
+        });
+
+        it('rejects invalid rules with every problem listed', function () {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outcomes-'));
+            const file = path.join(dir, 'rules.json');
+            fs.writeFileSync(file, JSON.stringify({
+                rules: [
+                    { name: 'Empty' },
+                    { message: '(', outcome: 'Failed' },
+                    { status: '6xx' }
+                ]
+            }));
+            try {
+                expect(() => loadSystemErrorRules(file)).to.throw(Error).with.property('message')
+                    .that.includes('rule 1 (Empty): needs at least one of message, url, status')
+                    .and.includes('rule 2: outcome must be one of Blocked, Skipped')
+                    .and.includes('rule 2: Invalid regular expression')
+                    .and.includes('rule 3: status must be an HTTP status code or "4xx"/"5xx" (got "6xx")');
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('recordOutcome', function () {
+        it('maps mocha test state to an outcome, keeping an explicit outcome set by the test', function () {
+            const outcomes = new Map();
+            recordOutcome(outcomes, { testCaseID: 'TC01', state: 'passed', duration: 120 });
+            recordOutcome(outcomes, { testCaseID: 'TC02', state: 'failed', duration: 80, attemptError: 'expected Success' });
+            recordOutcome(outcomes, { testCaseID: 'TC03', state: 'pending' });
+            recordOutcome(outcomes, { testCaseID: 'TC04', state: 'pending', outcome: { outcome: Outcome.Blocked, reason: 'Rate limited' } });
+            recordOutcome(outcomes, { title: 'hook without testCaseID', state: 'failed' });
+
+            expect(outcomeList(outcomes)).to.deep.equal([
+                { testCaseID: 'TC01', outcome: Outcome.Passed, duration: 120 },
+                { testCaseID: 'TC02', outcome: Outcome.Failed, duration: 80, error: 'expected Success' },
+                { testCaseID: 'TC03', outcome: Outcome.Skipped, reason: 'skipped', duration: null },
+                { testCaseID: 'TC04', outcome: Outcome.Blocked, reason: 'Rate limited', duration: null }
+            ]);
+        });
+    });
+});
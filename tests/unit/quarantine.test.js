@@ -0,0 +1,55 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { expect } from 'chai';
+import { loadQuarantine, quarantinedFailure } from '../support/quarantine.js';
+
+describe('quarantine', function () {
+    let dir;
+    const write = entries => {
+        const file = path.join(dir, 'quarantine.json');
+        fs.writeFileSync(file, JSON.stringify(entries));
+        return file;
+    };
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quarantine-'));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('treats a missing file as an empty list', function () {
+        expect(loadQuarantine(path.join(dir, 'missing.json')).size).to.equal(0);
+    });
+
+    it('keeps entries until their expiry date, inclusive', function () {
+        const today = new Date().toISOString().split('T')[0];
+        const quarantine = loadQuarantine(write([
+            { testCaseID: 'TC01', reason: 'flaky date picker' },
+            { testCaseID: 'TC02', reason: 'known bug', until: today },
+            { testCaseID: 'TC03', reason: 'fixed already', until: '2000-01-01' }
+        ]));
+        expect([...quarantine.keys()]).to.deep.equal(['TC01', 'TC02']);
+        expect(quarantine.get('TC02')).to.deep.equal({ testCaseID: 'TC02', reason: 'known bug', until: today });
+    });
+
+    it('lists every invalid entry', function () {
+        expect(() => loadQuarantine(write({ testCaseID: 'TC01' }))).to.throw(/must be an array of \{ testCaseID, reason, until\? \}/);
+        expect(() => loadQuarantine(write([
+            { reason: 'no id' },
+            { testCaseID: 'TC02', reason: ' ' },
+            { testCaseID: 'TC03', reason: 'bad date', until: '31/12/2099' }
+        ]))).to.throw(Error).with.property('message')
+            .that.includes('entry 1: testCaseID is missing')
+            .and.includes('entry 2 (TC02): reason is missing')
+            .and.includes('entry 3 (TC03): until must be a date in YYYY-MM-DD format');
+    });
+
+    it('marks a quarantined failure as Failed but quarantined', function () {
+        expect(quarantinedFailure({ testCaseID: 'TC01', reason: 'flaky date picker' }, new Error('timeout\n  at stack'))).to.deep.equal({
+            outcome: 'Failed', reason: 'quarantined: flaky date picker (timeout)', quarantined: true
+        });
+    });
+});
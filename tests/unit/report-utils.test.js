@@ -0,0 +1,46 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { expect } from 'chai';
+import { rebaseReportLinks } from '../support/report-utils.js';
+
+describe('report-utils', function () {
+    let dir;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-utils-'));
+        fs.mkdirSync(path.join(dir, 'reports', 'workers'), { recursive: true });
+        fs.mkdirSync(path.join(dir, 'reports', 'artifacts', 'TC01_chrome'), { recursive: true });
+        fs.writeFileSync(path.join(dir, 'reports', 'artifacts', 'TC01_chrome', 'screenshot.png'), '');
+        fs.writeFileSync(path.join(dir, 'reports', 'artifacts', 'TC01_chrome', 'page.html'), '');
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('rebases links of a worker report onto the merged report dir', function () {
+        const context = [
+            '../artifacts/TC01_chrome/screenshot.png',
+            { title: 'Failure artifacts', value: '../artifacts/TC01_chrome/.' },
+            { title: 'Page at failure', value: { url: 'http://localhost:4200/auth/register', html: '../artifacts/TC01_chrome/page.html' } },
+            { title: 'Actual result', value: 'Success' },
+            { title: 'Missing file', value: '../artifacts/TC02_chrome/page.html' }
+        ];
+        const report = {
+            results: [{ tests: [], suites: [{ tests: [{ title: 'test', context: JSON.stringify(context, null, 2) }, { title: 'no context' }], suites: [] }] }]
+        };
+
+        rebaseReportLinks(report, path.join(dir, 'reports', 'workers'), path.join(dir, 'reports'));
+
+        const [test, untouched] = report.results[0].suites[0].tests;
+        expect(JSON.parse(test.context)).to.deep.equal([
+            'artifacts/TC01_chrome/screenshot.png',
+            { title: 'Failure artifacts', value: 'artifacts/TC01_chrome' },
+            { title: 'Page at failure', value: { url: 'http://localhost:4200/auth/register', html: 'artifacts/TC01_chrome/page.html' } },
+            { title: 'Actual result', value: 'Success' },
+            { title: 'Missing file', value: '../artifacts/TC02_chrome/page.html' }
+        ]);
+        expect(untouched).to.deep.equal({ title: 'no context' });
+    });
+});
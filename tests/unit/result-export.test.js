@@ -0,0 +1,109 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { expect } from 'chai';
+import { parse as parseCsv } from 'csv-parse/sync';
+import { readExecutionResults, toJUnitXml, executionSheet, updateSourceSheet } from '../support/result-export.js';
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const registerSource = { file: path.join(fixtures, 'register.json'), options: { kind: 'register', columnMap: {} } };
+
+const test = (title, state, fields = {}) => ({ title, state, duration: 1500, pending: state === 'pending', ...fields });
+const context = (...entries) => JSON.stringify(entries);
+
+// Report mochawesome rút gọn: 1 case pass, 1 fail kèm screenshot, 1 Blocked và 1 quarantined (đều pending)
+function writeReport(file) {
+    fs.writeFileSync(file, JSON.stringify({
+        stats: { start: '2026-10-19T08:30:00.000Z' },
+        results: [{
+            title: '',
+            tests: [],
+            suites: [{
+                title: 'Registration',
+                suites: [],
+                tests: [
+                    test('📝 Register Sign Up-TC01: Nguyen Van', 'passed', { context: context({ title: 'Actual result', value: 'Success' }) }),
+                    test('📝 Register Sign Up-TC02: Tran & <Thi>', 'failed', {
+                        err: { message: 'expected Fail\nbut got Success', estack: 'AssertionError: expected Fail' },
+                        context: context('screenshots/TC02.png', { title: 'Actual result', value: 'Success' })
+                    }),
+                    test('📝 Register Sign Up-TC03: Le Van', 'pending', {
+                        duration: null,
+                        context: context({ title: 'Outcome', value: { outcome: 'Blocked', reason: 'Rate limited' } })
+                    }),
+                    test('📝 Register Sign Up-TC04: Pham Van', 'pending', {
+                        context: context({ title: 'Quarantined failure', value: { error: 'timeout', reason: 'flaky date picker' } })
+                    }),
+                    test('♿ Accessibility Sign Up form', 'passed')
+                ]
+            }]
+        }]
+    }));
+}
+
+describe('result-export', function () {
+    let dir;
+    let results;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'result-export-'));
+        writeReport(path.join(dir, 'test-report.json'));
+        results = readExecutionResults(path.join(dir, 'test-report.json'));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('reads the outcome of every test, including Blocked and quarantined pending tests', function () {
+        const byId = Object.fromEntries(results.tests.map(result => [result.testCaseID, result]));
+        expect(results.executedAt).to.equal('2026-10-19T08:30:00.000Z');
+        expect(byId['Sign Up-TC01']).to.include({ status: 'Passed', actualResult: 'Success', error: '', screenshot: '' });
+        expect(byId['Sign Up-TC02']).to.include({ status: 'Failed', quarantined: false, screenshot: `${dir.split(path.sep).join('/')}/screenshots/TC02.png` });
+        expect(byId['Sign Up-TC03']).to.include({ status: 'Blocked', error: 'Rate limited', duration: null });
+        expect(byId['Sign Up-TC04']).to.include({ status: 'Failed', quarantined: true, error: 'timeout (quarantined: flaky date picker)' });
+        expect(() => readExecutionResults(path.join(dir, 'missing.json'))).to.throw(/missing.json not found/);
+    });
+
+    it('writes JUnit XML where only real failures fail the build', function () {
+        const xml = toJUnitXml(results);
+        expect(xml).to.include('<testsuites name="Selenium data-driven tests" tests="5" failures="1" skipped="2" time="6.000">');
+        expect(xml).to.include('<testsuite name="Registration" tests="5" failures="1" errors="0" skipped="2" time="6.000" timestamp="2026-10-19T08:30:00">');
+        expect(xml).to.include('name="📝 Register Sign Up-TC02: Tran &amp; &lt;Thi&gt;" time="1.500"><failure message="expected Fail">AssertionError: expected Fail</failure>');
+        expect(xml).to.include('[[ATTACHMENT|');
+        expect(xml).to.include('<skipped message="Blocked: Rate limited"/>');
+        expect(xml).to.include('<skipped message="timeout (quarantined: flaky date picker)"/>');
+    });
+
+    it('lists every data row with its result, or Not Run', async function () {
+        const sheet = await executionSheet('register', results, registerSource);
+        expect(sheet).to.include({ kind: 'register', name: 'Registration' });
+        expect(sheet.columns.map(column => column.header)).to.include.members(['testCaseID', 'tags', 'email', 'Status', 'Executed At']);
+        expect(sheet.rows[0]).to.include({ testCaseID: 'Sign Up-TC01', tags: 'smoke', email: 'tc01{{runId}}@a.vn', status: 'Passed', duration: 1.5 });
+        expect(sheet.rows[0].executedAt).to.equal('2026-10-19 08:30:00');
+        expect(sheet.rows[1]).to.include({ testCaseID: 'Sign Up-TC02', status: 'Failed', expectedErrors: '{"phone":"phone"}' });
+
+        const notRun = await executionSheet('register', { ...results, tests: [] }, registerSource);
+        expect(notRun.rows.map(row => row.status)).to.deep.equal(['Not Run', 'Not Run']);
+    });
+
+    it('writes results back into a CSV source, adding the result columns', async function () {
+        const file = path.join(dir, 'register.csv');
+        fs.writeFileSync(file, '\uFEFFTest Case ID,Email,Status\r\nSign Up-TC02,a@b.c,Old\r\nSign Up-TC09,x@y.z,Kept\r\n');
+
+        const result = await updateSourceSheet('register', results, { file, options: { kind: 'register', columnMap: {} } });
+        expect(result).to.include({ file, updated: 1 });
+        expect(result.added).to.deep.equal(['Actual Result', 'Error Message', 'Duration (s)', 'Screenshot', 'Executed At']);
+
+        const content = fs.readFileSync(file, 'utf-8');
+        expect(content.charCodeAt(0)).to.equal(0xfeff);
+        const [headers, updated, untouched] = parseCsv(content, { bom: true });
+        const row = Object.fromEntries(headers.map((header, index) => [header, updated[index]]));
+        expect(row).to.include({ Status: 'Failed', 'Actual Result': 'Success', 'Error Message': 'expected Fail\nbut got Success', 'Duration (s)': '1.5' });
+        expect(untouched.slice(0, 3)).to.deep.equal(['Sign Up-TC09', 'x@y.z', 'Kept']);
+
+        const skipped = await updateSourceSheet('register', results, registerSource);
+        expect(skipped.skipped).to.match(/json is not a spreadsheet/);
+    });
+});
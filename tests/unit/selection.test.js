@@ -0,0 +1,101 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { expect } from 'chai';
+import { testConfig } from '../support/config.js';
+import { compileIdPattern, failedInReport, selectTestData } from '../support/selection.js';
+
+const register = [
+    { testCaseID: 'Sign Up-TC01', tags: ['smoke'], expectedResult: 'Success' },
+    { testCaseID: 'Sign Up-TC02', expectedResult: 'Fail' },
+    { testCaseID: 'Sign Up-TC03', tags: ['smoke', 'slow'], expectedResult: 'Success' },
+    { testCaseID: 'Sign Up-TC04', expectedResult: 'Success' },
+    { testCaseID: 'Sign Up-TC05', dependsOn: 'Sign Up-TC04', expectedResult: 'Success' }
+];
+const login = [
+    { testCaseID: 'Sign In-TC01', tags: ['smoke'], expectedResult: 'Success' },
+    { testCaseID: 'Sign In-TC02', dependsOn: 'Sign Up-TC05', expectedResult: 'Success' }
+];
+const ids = records => records.map(record => record.testCaseID.replace(/^Sign (Up|In)-/, ''));
+
+// Mochawesome report rút gọn: chỉ những field failedInReport đọc
+function writeReport(file, tests) {
+    fs.writeFileSync(file, JSON.stringify({
+        results: [{ title: '', tests: [], suites: [{ title: 'Registration', tests, suites: [] }] }]
+    }));
+}
+
+describe('selection', function () {
+    let saved;
+    let dir;
+
+    beforeEach(function () {
+        saved = { select: testConfig.select, maxUsers: testConfig.maxUsers, maxLogins: testConfig.maxLogins, logLevel: testConfig.logLevel };
+        testConfig.select = { rerunFailed: false };
+        testConfig.logLevel = 'error';
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'selection-'));
+    });
+
+    afterEach(function () {
+        Object.assign(testConfig, saved);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('compileIdPattern', function () {
+        it('matches exact ids and globs case-insensitively', function () {
+            expect(compileIdPattern('sign up-tc01')('Sign Up-TC01')).to.equal(true);
+            expect(compileIdPattern('Sign Up-TC5*')('Sign Up-TC59')).to.equal(true);
+            expect(compileIdPattern('Sign Up-TC5?')('Sign Up-TC5')).to.equal(false);
+            expect(compileIdPattern('Sign Up-TC1.')('Sign Up-TC1x')).to.equal(false);
+        });
+
+        it('matches numeric ranges in either notation', function () {
+            const short = compileIdPattern('Sign Up-TC10..20');
+            expect(['Sign Up-TC09', 'Sign Up-TC10', 'Sign Up-TC20', 'Sign Up-TC21', 'Sign In-TC15'].map(short))
+                .to.deep.equal([false, true, true, false, false]);
+            expect(compileIdPattern('Sign Up-TC20..Sign Up-TC10')('Sign Up-TC15')).to.equal(true);
+            expect(() => compileIdPattern('Sign Up-TC10..Sign In-TC20')).to.throw(/Invalid testCaseID range/);
+        });
+    });
+
+    describe('selectTestData', function () {
+        it('cuts by MAX_USERS / MAX_LOGINS without criteria, keeping the rows dependents need', function () {
+            testConfig.maxUsers = 2;
+            testConfig.maxLogins = 2;
+            const selected = selectTestData(register, login, {});
+            expect(ids(selected.register)).to.deep.equal(['TC01', 'TC02', 'TC04', 'TC05']);
+            expect(ids(selected.login)).to.deep.equal(['TC01', 'TC02']);
+        });
+
+        it('filters by tags, expectedResult and ids before cutting', function () {
+            testConfig.select = { tags: ['smoke', '!slow'], rerunFailed: false };
+            expect(ids(selectTestData(register, login, {}).register)).to.deep.equal(['TC01']);
+
+            testConfig.select = { expectedResult: 'fail', ids: ['Sign Up-TC0*'], rerunFailed: false };
+            const selected = selectTestData(register, login, {});
+            expect(ids(selected.register)).to.deep.equal(['TC02']);
+            expect(selected.login).to.deep.equal([]);
+        });
+
+        it('adds registration rows needed by dependsOn through a chain', function () {
+            testConfig.select = { ids: ['Sign In-TC02'], rerunFailed: false };
+            const selected = selectTestData(register, login, {});
+            expect(ids(selected.register)).to.deep.equal(['TC04', 'TC05']);
+            expect(ids(selected.login)).to.deep.equal(['TC02']);
+        });
+
+        it('reruns only cases that failed in the previous report', function () {
+            const report = path.join(dir, 'test-report.json');
+            writeReport(report, [
+                { title: '📝 Register Sign Up-TC02: Tran Thi', state: 'failed' },
+                { title: '📝 Register Sign Up-TC03: Le Van', state: 'passed' },
+                { title: '♿ Accessibility Sign Up form', state: 'failed' }
+            ]);
+            expect([...failedInReport(report)]).to.deep.equal(['Sign Up-TC02']);
+
+            testConfig.select = { rerunFailed: true };
+            expect(ids(selectTestData(register, login, { report }).register)).to.deep.equal(['TC02']);
+            expect(() => failedInReport(path.join(dir, 'missing.json'))).to.throw(/no previous report/);
+        });
+    });
+});
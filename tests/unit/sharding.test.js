@@ -0,0 +1,47 @@
+import { expect } from 'chai';
+import { shardRecords } from '../support/sharding.js';
+
+const ids = records => records.map(record => record.testCaseID);
+
+describe('sharding', function () {
+    const records = [
+        { testCaseID: 'TC01' },
+        { testCaseID: 'TC02' },
+        { testCaseID: 'TC03', dependsOn: 'TC01' },
+        { testCaseID: 'TC04' },
+        { testCaseID: 'TC05', dependsOn: 'TC03' },
+        { testCaseID: 'TC06', dependsOn: 'Sign Up-TC99' },
+        { testCaseID: 'TC07' }
+    ];
+    const shards = total => Array.from({ length: total }, (_, index) => shardRecords(records, { index, total }));
+
+    it('returns every row when there is a single shard', function () {
+        expect(shardRecords(records, { index: 0, total: 1 })).to.equal(records);
+    });
+
+    it('deals dependency groups round-robin, in file order', function () {
+        // Nhóm: [TC01, TC03, TC05], [TC02], [TC04], [TC06] (dependsOn ngoài danh sách), [TC07]
+        expect(shards(2).map(ids)).to.deep.equal([
+            ['TC01', 'TC03', 'TC04', 'TC05', 'TC07'],
+            ['TC02', 'TC06']
+        ]);
+    });
+
+    it('covers every row exactly once and keeps each dependency chain in one shard', function () {
+        for (const total of [2, 3, 4, 7, 9]) {
+            const result = shards(total);
+            expect(result.flatMap(ids).sort(), `total ${total}`).to.deep.equal(ids(records));
+
+            const shardOf = new Map(result.flatMap((shard, index) => shard.map(record => [record.testCaseID, index])));
+            for (const record of records.filter(record => shardOf.has(record.dependsOn))) {
+                expect(shardOf.get(record.testCaseID), `${record.testCaseID} total ${total}`).to.equal(shardOf.get(record.dependsOn));
+            }
+        }
+    });
+
+    it('does not loop on a dependency cycle', function () {
+        const cycle = [{ testCaseID: 'TC01', dependsOn: 'TC02' }, { testCaseID: 'TC02', dependsOn: 'TC01' }, { testCaseID: 'TC03' }];
+        const result = [0, 1].map(index => ids(shardRecords(cycle, { index, total: 2 })));
+        expect(result.flat().sort()).to.deep.equal(['TC01', 'TC02', 'TC03']);
+    });
+});
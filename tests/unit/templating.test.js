@@ -0,0 +1,75 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { expect } from 'chai';
+import { renderTemplates } from '../support/templating.js';
+
+const registerFile = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'data', 'register.json');
+const render = (records, runId = 'k3x9q2') => renderTemplates(records, { runId, source: 'register.json' });
+
+describe('templating', function () {
+    it('replaces {{runId}} and {{seq}} with fixed-width values', function () {
+        const [first, second] = render([
+            { testCaseID: 'TC01', email: 'tc{{seq}}{{runId}}@a.vn' },
+            { testCaseID: 'TC02', email: 'tc{{seq}}{{runId}}@a.vn' }
+        ]);
+        expect(first.email).to.equal('tc0001k3x9q2@a.vn');
+        expect(second.email).to.equal('tc0002k3x9q2@a.vn');
+    });
+
+    it('keeps the length of boundary emails', function () {
+        const template = 'abcdefghijklmnopqrstuvwxyzabcdefghijklmnopq{{runId}}@domain.com';
+        const [record] = render([{ testCaseID: 'TC01', email: template }]);
+        expect(record.email).to.have.lengthOf(60);
+
+        const [short] = render([{ testCaseID: 'TC04', email: '{{uid:1}}@{{uid:1}}.vn' }]);
+        expect(short.email).to.match(/^[a-z0-9]@[a-z0-9]\.vn$/);
+    });
+
+    it('renders the boundary emails of data/register.json at their original lengths', function () {
+        // Email cố định trước khi có placeholder: độ dài là điều kiện biên của test case
+        const original = {
+            'Sign Up-TC01': 'abcdefghijklmnopqrstuvwxyzabcdefghijklmnopqrstuvw@domain.com',
+            'Sign Up-TC04': 'a@a.vn',
+            'Sign Up-TC05': 'ab@c.vn',
+            'Sign Up-TC06': 'abcdefghijklmnopqrstuvwxyzabcdefghijklmnopqrstuv@domain.com',
+            'Sign Up-TC07': 'abcdefghijklmnopqrstuvwxyzabcdefghijklmnopqrstuv2@domain.com'
+        };
+        const records = JSON.parse(fs.readFileSync(registerFile, 'utf8')).filter(record => record.testCaseID in original);
+        expect(records).to.have.lengthOf(Object.keys(original).length);
+
+        for (const runId of ['k3x9q2', '000000']) {
+            for (const record of render(records, runId)) {
+                expect(record.email, record.testCaseID).to.have.lengthOf(original[record.testCaseID].length);
+            }
+        }
+    });
+
+    it('gives the same values for the same runId and different values for another run', function () {
+        const records = [{ testCaseID: 'TC04', email: '{{uid:8}}@a.vn', firstName: '{{faker.person.firstName}}' }];
+        expect(render(records)).to.deep.equal(render(records));
+        expect(render(records)[0].email).to.not.equal(render(records, 'zzzzzz')[0].email);
+    });
+
+    it('gives repeated identical cells different values in file order', function () {
+        const [first, second] = render([
+            { testCaseID: 'TC01', email: '{{uid:8}}@a.vn' },
+            { testCaseID: 'TC02', email: '{{uid:8}}@a.vn' }
+        ]);
+        expect(first.email).to.not.equal(second.email);
+
+        // login.json dùng cùng template => cùng account với register.json
+        expect(render([{ testCaseID: 'Sign In-TC01', email: '{{uid:8}}@a.vn' }])[0].email).to.equal(first.email);
+    });
+
+    it('leaves literal fields and non-template values untouched', function () {
+        const [record] = render([{ testCaseID: 'TC{{seq}}', expectedResult: 'Success', email: 'a@b.c', age: 18 }]);
+        expect(record).to.deep.equal({ testCaseID: 'TC{{seq}}', expectedResult: 'Success', email: 'a@b.c', age: 18 });
+    });
+
+    it('names the row and field of an unknown placeholder', function () {
+        expect(() => render([{ testCaseID: 'TC07', email: '{{nope}}@a.vn' }]))
+            .to.throw('register.json row 1 (TC07) email: unknown placeholder {{nope}}');
+        expect(() => render([{ testCaseID: 'TC08', email: '{{faker.internet.nope}}' }])).to.throw(/unknown placeholder/);
+    });
+});
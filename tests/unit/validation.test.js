@@ -0,0 +1,86 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { expect } from 'chai';
+import { loadRules, validateRegistration } from '../mock-server/validation.js';
+
+const validPayload = {
+    first_name: 'John',
+    last_name: 'Doe',
+    dob: '1990-01-15',
+    address: '123 Main St',
+    postcode: '70000',
+    city: 'Ho Chi Minh',
+    state: 'HCM',
+    country: 'VN',
+    phone: '0901234567',
+    email: 'john.doe@example.com',
+    password: 'SecurePass123!'
+};
+
+describe('validation', function () {
+    // Bỏ qua MOCK_RULES của môi trường: spec chạy trên rules.json mặc định
+    const rules = loadRules(null);
+    const validate = fields => validateRegistration({ ...validPayload, ...fields }, rules);
+
+    it('accepts a valid payload', function () {
+        expect(validate({})).to.deep.equal({});
+    });
+
+    it('reports required fields by label, trimming blanks', function () {
+        expect(validate({ first_name: '   ', country: undefined, password: null })).to.deep.equal({
+            first_name: ['First name is required.'],
+            country: ['Country is required.'],
+            password: ['Password is required.']
+        });
+    });
+
+    it('checks length boundaries', function () {
+        expect(validate({ password: 'a'.repeat(10), last_name: 'a'.repeat(20) })).to.deep.equal({});
+        expect(validate({ password: 'a'.repeat(9), last_name: 'a'.repeat(21) })).to.deep.equal({
+            last_name: ['Last name must not be greater than 20 characters.'],
+            password: ['Password must be at least 10 characters.']
+        });
+        expect(validate({ password: 'a'.repeat(41) }).password).to.deep.equal(['Password must not be greater than 40 characters.']);
+    });
+
+    it('checks patterns, email, and country codes', function () {
+        expect(validate({ first_name: 'John3', phone: '+84901234567', email: 'john@example', country: 'XX' })).to.deep.equal({
+            first_name: ['First name format is invalid.'],
+            phone: ['Phone format is invalid.'],
+            email: ['Email address must be a valid email address.'],
+            country: ['Country is not a valid country.']
+        });
+        expect(validate({ email: 'a@b.c' }).email).to.deep.equal(['Email address must be a valid email address.']);
+        expect(validate({ email: 'a@a.vn' })).to.deep.equal({});
+    });
+
+    it('computes the age at referenceDate, birthday inclusive', function () {
+        // referenceDate = 2025-07-01, tuổi hợp lệ 18..74
+        expect(validate({ dob: '2007-07-01' })).to.deep.equal({});
+        expect(validate({ dob: '2007-07-02' }).dob).to.deep.equal(['Customer must be 18 years old or older.']);
+        expect(validate({ dob: '1950-07-02' })).to.deep.equal({});
+        expect(validate({ dob: '1950-07-01' }).dob).to.deep.equal(['Customer must be younger than 75 years old.']);
+        expect(validate({ dob: '01/01/1990' }).dob).to.deep.equal(['Date of Birth must be a valid date (YYYY-MM-DD).']);
+    });
+
+    it('uses today when no referenceDate is set', function () {
+        const lastYear = `${new Date().getUTCFullYear() - 1}-01-01`;
+        expect(validateRegistration({ ...validPayload, dob: lastYear }, { ...rules, referenceDate: undefined }).dob)
+            .to.deep.equal(['Customer must be 18 years old or older.']);
+    });
+
+    it('merges an override file onto the default rules per field', function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validation-'));
+        try {
+            const file = path.join(dir, 'rules.json');
+            fs.writeFileSync(file, JSON.stringify({ referenceDate: '2030-01-01', fields: { password: { minLength: 8 } } }));
+            const override = loadRules(file);
+            expect(override.referenceDate).to.equal('2030-01-01');
+            expect(override.fields.password).to.deep.equal({ required: true, minLength: 8, maxLength: 40 });
+            expect(override.fields.email).to.deep.equal(rules.fields.email);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
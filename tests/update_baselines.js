@@ -0,0 +1,43 @@
+import fs from 'fs';
+import path from 'path';
+import { testConfig } from './support/config.js';
+
+// Chấp nhận thay đổi giao diện có chủ đích: chép ảnh actual của lần chạy visual gần nhất đè lên baseline.
+// Mặc định chỉ các trạng thái lệch baseline (failed) hoặc chưa có baseline (new)
+// node tests/update_baselines.js [--only "Sign Up form/filled"] [--all] [--visual-dir=dir] [--visual-baselines=dir]
+const args = process.argv.slice(2);
+const onlyIndex = args.indexOf('--only');
+const only = onlyIndex >= 0 ? args[onlyIndex + 1] : null;
+const all = args.includes('--all');
+
+const dir = testConfig.visual.outputDir;
+const manifests = fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => file.endsWith('.json')) : [];
+if (manifests.length === 0) {
+    console.log(`ℹ️ No visual results in ${dir} yet - run the suite with --visual first (npm run test:visual)`);
+    process.exit(0);
+}
+
+const accepted = [];
+const skipped = [];
+for (const manifest of manifests) {
+    const { checkpoints = [] } = JSON.parse(fs.readFileSync(path.join(dir, manifest), 'utf-8'));
+    for (const checkpoint of checkpoints) {
+        const name = `${checkpoint.page}/${checkpoint.state}`;
+        if (only && !name.includes(only)) continue;
+        if (!all && checkpoint.status !== 'failed' && checkpoint.status !== 'new') continue;
+        if (!fs.existsSync(checkpoint.actual)) {
+            skipped.push(`${name}: no captured image (${checkpoint.reason || checkpoint.status})`);
+            continue;
+        }
+        fs.mkdirSync(path.dirname(checkpoint.baseline), { recursive: true });
+        fs.copyFileSync(checkpoint.actual, checkpoint.baseline);
+        accepted.push(`${name} (${checkpoint.status}) -> ${checkpoint.baseline}`);
+    }
+}
+
+console.log(`🖼️ Accepted ${accepted.length} baseline(s) from ${dir}`);
+accepted.forEach(line => console.log(`  ✅ ${line}`));
+skipped.forEach(line => console.log(`  ⚠️ ${line}`));
+if (accepted.length > 0) {
+    console.log(`Commit ${testConfig.visual.baselineDir} so the next runs compare against the new baselines`);
+}